@@ -6,6 +6,10 @@
  *   ./send.js <endpoint_id> "message text"
  *   ./send.js <endpoint_id> "[MEDIA:image]/path/to/image.png"
  *   ./send.js <endpoint_id> "[MEDIA:file]/path/to/document.pdf"
+ *   ./send.js <endpoint_id> '[CARD]{"text":"Deploy?","buttons":[{"text":"Approve"}]}'
+ *   ./send.js <endpoint_id> "[EDIT:om_xxx]corrected text"
+ *   ./send.js <endpoint_id> "[RECALL:om_xxx]"
+ *   ./send.js <endpoint_id> "[STREAM]partial output"   (then [STREAM:replace], [STREAM:done])
  *
  * Exit codes:
  *   0 - Success
@@ -19,7 +23,13 @@ dotenv.config({ path: path.join(process.env.HOME, 'zylos/.env') });
 
 import { getConfig, DATA_DIR } from '../src/lib/config.js';
 import { chooseReplyTarget } from '../src/lib/reply-target.js';
-import { sendToGroup, sendMessage, uploadImage, sendImage, uploadFile, sendFile, replyToMessage, sendMarkdownCard, replyMarkdownCard } from '../src/lib/message.js';
+import { sendToGroup, sendMessage, uploadImage, sendImage, uploadFile, sendFile, replyToMessage, sendMarkdownCard, replyMarkdownCard, editBotMessage, recallMessage, editCard } from '../src/lib/message.js';
+import { buildActionCard, saveCardState } from '../src/lib/card.js';
+import { postInternal } from '../src/lib/internal-client.js';
+import { parseStreamDirective, streamReply } from '../src/lib/stream.js';
+import { chooseMessageFormat, markdownToPostParagraphs, splitPostParagraphs, buildPostContent, postParagraphsToText } from '../src/lib/markdown-post.js';
+import { resolveMentions, renderMentions, hasBareMention, loadGroupMembers, saveGroupMembers, MEMBERS_MAX_AGE_MS } from '../src/lib/mention.js';
+import { listChatMembers } from '../src/lib/chat.js';
 
 const TYPING_DIR = path.join(DATA_DIR, 'typing');
 
@@ -31,6 +41,10 @@ if (args.length < 2) {
   console.error('Usage: send.js <endpoint_id> <message>');
   console.error('       send.js <endpoint_id> "[MEDIA:image]/path/to/image.png"');
   console.error('       send.js <endpoint_id> "[MEDIA:file]/path/to/file.pdf"');
+  console.error('       send.js <endpoint_id> \'[CARD]{"text":"...","buttons":[{"text":"OK"}]}\'');
+  console.error('       send.js <endpoint_id> "[EDIT:om_xxx]new text"');
+  console.error('       send.js <endpoint_id> "[RECALL:om_xxx]"');
+  console.error('       send.js <endpoint_id> "[STREAM]partial text"  ([STREAM:replace] / [STREAM:done])');
   process.exit(1);
 }
 
@@ -63,7 +77,7 @@ const parsedEndpoint = parseEndpoint(rawEndpoint);
 const endpointId = parsedEndpoint.chatId;
 
 if (message.trim() === '[SKIP]') {
-  markTypingDone(parsedEndpoint.msg);
+  await markTypingDone(parsedEndpoint.msg);
   process.exit(0);
 }
 
@@ -76,6 +90,14 @@ if (!config.enabled) {
 
 // Parse media prefix
 const mediaMatch = message.match(/^\[MEDIA:(\w+)\](.+)$/);
+// Parse interactive card prefix (JSON spec or raw schema 2.0 card)
+const cardMatch = message.match(/^\[CARD\]\s*([\s\S]+)$/);
+// Parse edit prefix: replace the text of a message the bot already sent
+const editMatch = message.match(/^\[EDIT:(om_[\w-]+)\]\s*([\s\S]+)$/);
+// Parse recall directive: retract a message the bot already sent
+const recallMatch = message.trim().match(/^\[RECALL:(om_[\w-]+)\]$/);
+// Parse streaming directive: build one card reply across several calls
+const streamDirective = parseStreamDirective(message);
 
 /**
  * Split long message into chunks (markdown-aware).
@@ -155,32 +177,60 @@ function splitMessage(text, maxLength) {
   return chunks;
 }
 
+// Card max content length (Feishu card body limit ~28KB JSON; keep text under 4000 for safety)
+const CARD_MAX_LENGTH = 4000;
+// Post chunk length (post body limit ~30KB JSON; same budget as cards)
+const POST_MAX_LENGTH = 4000;
+
 /**
- * Check if text contains markdown formatting worth rendering as a card.
- * Returns true for code blocks, headers, bold, lists, tables, etc.
+ * Resolve the agent's @mentions for this chat (see src/lib/mention.js).
+ * A bare @name needs the group's member roster: the one index.js saved, or a
+ * fresh listChatMembers call when that is missing or stale.
+ * @returns {Promise<string>} Text with canonical `@[name](id)` mentions
  */
-function hasMarkdownContent(text) {
-  // Code blocks (``` or indented)
-  if (/```/.test(text)) return true;
-  // Headers (# at start of line)
-  if (/^#{1,6}\s/m.test(text)) return true;
-  // Bold (**text**)
-  if (/\*\*[^*]+\*\*/.test(text)) return true;
-  // Bullet or numbered lists (- item or 1. item at start of line)
-  if (/^[\s]*[-*]\s/m.test(text) || /^[\s]*\d+\.\s/m.test(text)) return true;
-  // Tables (| col | col |)
-  if (/\|.+\|/.test(text) && /^[\s]*\|[\s]*[-:]+/m.test(text)) return true;
-  return false;
+async function prepareMentions(text) {
+  const { chatId, type } = parsedEndpoint;
+  const isGroup = type !== 'p2p';
+  let members = [];
+  if (isGroup && hasBareMention(text)) {
+    members = loadGroupMembers(chatId, { maxAgeMs: MEMBERS_MAX_AGE_MS });
+    if (!members) {
+      const result = await listChatMembers(chatId);
+      if (result.success) {
+        members = saveGroupMembers(chatId, result.members);
+      } else {
+        console.log(`[feishu] Failed to load members for mentions: ${result.message}`);
+        members = loadGroupMembers(chatId) || [];
+      }
+    }
+  }
+  const allowAll = isGroup && config.groups?.[chatId]?.allowMentionAll === true;
+  const resolved = resolveMentions(text, { members, allowAll });
+  if (resolved.blockedAll) {
+    console.log(`[feishu] @all is not enabled for ${chatId} (groups.${chatId}.allowMentionAll), sent as plain text`);
+  }
+  if (resolved.unresolved.length) {
+    console.log(`[feishu] Unresolved mention(s), sent as plain text: ${resolved.unresolved.map(n => '@' + n).join(', ')}`);
+  }
+  return resolved.text;
 }
 
-// Card max content length (Feishu card body limit ~28KB JSON; keep text under 4000 for safety)
-const CARD_MAX_LENGTH = 4000;
+/**
+ * Render canonical mentions in a card's markdown elements.
+ */
+function withCardMentions(card) {
+  const elements = card.body?.elements?.map(el => (
+    el.tag === 'markdown' ? { ...el, content: renderMentions(el.content, 'card') } : el
+  ));
+  return elements ? { ...card, body: { ...card.body, elements } } : card;
+}
 
 /**
  * Send a single chunk as a markdown card, with routing logic.
  * Falls back to plain text on card failure.
  */
 async function sendCardChunk(chunk, isFirstChunk) {
+  chunk = renderMentions(chunk, 'card');
   const { chatId } = parsedEndpoint;
   // p2p DMs never reply-to (invisible in the 1:1 view); only groups reply.
   const replyTarget = chooseReplyTarget(parsedEndpoint, { isFirstChunk });
@@ -188,7 +238,7 @@ async function sendCardChunk(chunk, isFirstChunk) {
 
   if (replyTarget) {
     try {
-      result = await replyMarkdownCard(replyTarget, chunk);
+      result = await replyMarkdownCard(replyTarget, chunk, { chatId });
     } catch (err) {
       console.log('[feishu] Card reply threw, falling back:', err.message);
       result = { success: false };
@@ -205,21 +255,26 @@ async function sendCardChunk(chunk, isFirstChunk) {
 
 /**
  * Send text message with auto-chunking.
- * When useMarkdownCard is enabled and text contains markdown, sends as interactive card.
+ * Text with markdown is rendered per message.format (see chooseMessageFormat):
+ * as post messages or interactive cards; otherwise it goes out as plain text.
  * Routing logic (unified for DM and group):
  *   - Topic/reply (root exists): ALL chunks reply to parent||root (stay in thread)
  *   - Group @mention (no root): first chunk replies to msg, rest use sendToGroup
  *   - DM (no root): sendMessage directly
  *   - Fallback: sendToGroup
  * Reply failures fall back to sendMessage (DM) or sendToGroup (group).
+ * @returns {Promise<Array<{ messageId: string, msgType: string, text: string }>>} The sent messages
  */
 async function sendText(endpoint, text) {
-  const useCard = config.message?.useMarkdownCard && hasMarkdownContent(text);
+  const format = chooseMessageFormat(text, config.message);
+  if (format === 'post') return sendPostText(endpoint, text);
+  const useCard = format === 'card';
   const maxLen = useCard ? CARD_MAX_LENGTH : MAX_LENGTH;
   const chunks = splitMessage(text, maxLen);
   const { chatId, root, parent, msg, type } = parsedEndpoint;
   const isDM = type === 'p2p';
   const isGroup = type === 'group';
+  const sent = [];
 
   for (let i = 0; i < chunks.length; i++) {
     let result;
@@ -227,38 +282,82 @@ async function sendText(endpoint, text) {
 
     if (useCard) {
       result = await sendCardChunk(chunks[i], isFirstChunk);
-      // Fall back to plain text if card sending fails
-      if (!result.success) {
+      if (result.success) {
+        sent.push({ messageId: result.messageId, msgType: 'interactive', text: chunks[i] });
+      } else {
+        // Fall back to plain text if card sending fails
         console.log('[feishu] Card send failed, falling back to text:', result.message);
         // Re-split: card chunks (up to 4000) may exceed plain text limit (2000)
-        const subChunks = splitMessage(chunks[i], MAX_LENGTH);
-        for (let j = 0; j < subChunks.length; j++) {
-          result = await sendPlainTextChunk(endpoint, subChunks[j], isFirstChunk && j === 0);
-          if (!result.success) break;
-        }
+        result = await sendTextFallback(endpoint, chunks[i], isFirstChunk, sent);
       }
     } else {
-      result = await sendPlainTextChunk(endpoint, chunks[i], isFirstChunk);
+      result = await sendRoutedChunk(endpoint, chunks[i], isFirstChunk);
+      if (result.success) sent.push({ messageId: result.messageId, msgType: 'text', text: chunks[i] });
     }
 
     if (!result.success) {
       throw new Error(result.message);
     }
-    // Small delay between chunks
-    if (i < chunks.length - 1) {
-      await new Promise(r => setTimeout(r, 500));
+    // No delay between chunks: message.js paces sends per chat and retries rate limits
+  }
+
+  if (chunks.length > 1) {
+    console.log(`Sent ${chunks.length} chunks`);
+  }
+  return sent.filter(m => m.messageId);
+}
+
+/**
+ * Send text that failed to go out as a card or post as plain text chunks,
+ * adding them to sent.
+ * @returns {Promise<object>} Result of the last send
+ */
+async function sendTextFallback(endpoint, text, isFirstChunk, sent) {
+  const subChunks = splitMessage(text, MAX_LENGTH);
+  let result = { success: false, message: 'Nothing to send' };
+  for (let j = 0; j < subChunks.length; j++) {
+    result = await sendRoutedChunk(endpoint, subChunks[j], isFirstChunk && j === 0);
+    if (!result.success) break;
+    sent.push({ messageId: result.messageId, msgType: 'text', text: subChunks[j] });
+  }
+  return result;
+}
+
+/**
+ * Send markdown as post (rich text) messages, split between post paragraphs.
+ * A chunk whose post is rejected is resent as plain text.
+ * @returns {Promise<Array<{ messageId: string, msgType: string, text: string }>>} The sent messages
+ */
+async function sendPostText(endpoint, text) {
+  const chunks = splitPostParagraphs(markdownToPostParagraphs(text), POST_MAX_LENGTH);
+  const sent = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    const isFirstChunk = i === 0;
+    const chunkText = postParagraphsToText(chunks[i]);
+    let result = await sendRoutedChunk(endpoint, buildPostContent(chunks[i]), isFirstChunk, 'post');
+    if (result.success) {
+      sent.push({ messageId: result.messageId, msgType: 'post', text: chunkText });
+    } else {
+      console.log('[feishu] Post send failed, falling back to text:', result.message);
+      result = await sendTextFallback(endpoint, chunkText, isFirstChunk, sent);
+    }
+    if (!result.success) {
+      throw new Error(result.message);
     }
   }
 
   if (chunks.length > 1) {
     console.log(`Sent ${chunks.length} chunks`);
   }
+  return sent.filter(m => m.messageId);
 }
 
 /**
- * Send a single chunk as plain text with routing logic.
+ * Send a single chunk (plain text by default, or post content) with routing logic.
  */
-async function sendPlainTextChunk(endpoint, chunk, isFirstChunk) {
+async function sendRoutedChunk(endpoint, chunk, isFirstChunk, msgType = 'text') {
+  if (msgType === 'text') chunk = renderMentions(chunk, 'text');
   const { chatId, type } = parsedEndpoint;
   const isDM = type === 'p2p';
   // p2p DMs never reply-to (invisible in the 1:1 view); only groups reply.
@@ -267,7 +366,7 @@ async function sendPlainTextChunk(endpoint, chunk, isFirstChunk) {
 
   if (replyTarget) {
     try {
-      result = await replyToMessage(replyTarget, chunk);
+      result = await replyToMessage(replyTarget, chunk, msgType, { chatId });
     } catch (err) {
       console.log('[feishu] Reply threw, falling back:', err.message);
       result = { success: false };
@@ -275,13 +374,13 @@ async function sendPlainTextChunk(endpoint, chunk, isFirstChunk) {
     if (!result.success) {
       console.log('[feishu] Reply failed, falling back:', result.message);
       result = isDM
-        ? await sendMessage(chatId, chunk, 'chat_id', 'text')
-        : await sendToGroup(endpoint, chunk);
+        ? await sendMessage(chatId, chunk, 'chat_id', msgType)
+        : await sendToGroup(endpoint, chunk, msgType);
     }
   } else if (isDM) {
-    result = await sendMessage(chatId, chunk, 'chat_id', 'text');
+    result = await sendMessage(chatId, chunk, 'chat_id', msgType);
   } else {
-    result = await sendToGroup(endpoint, chunk);
+    result = await sendToGroup(endpoint, chunk, msgType);
   }
 
   return result;
@@ -290,82 +389,124 @@ async function sendPlainTextChunk(endpoint, chunk, isFirstChunk) {
 /**
  * Send media (image or file).
  * Thread-aware: in topic threads, reply to parent||root to stay in topic.
+ * @returns {Promise<{ messageId: string, msgType: string, fileName: string }>}
  */
 async function sendMedia(type, filePath) {
   const trimmedPath = filePath.trim();
   const { chatId, root, parent } = parsedEndpoint;
   // p2p DMs never reply-to (invisible in the 1:1 view); only groups reply.
   const replyTarget = chooseReplyTarget(parsedEndpoint);
+  const fileName = path.basename(trimmedPath);
 
+  let content;
+  let sendDirect;
   if (type === 'image') {
     const uploadResult = await uploadImage(trimmedPath);
     if (!uploadResult.success) {
       throw new Error(`Failed to upload image: ${uploadResult.message}`);
     }
-    if (replyTarget) {
-      try {
-        const result = await replyToMessage(replyTarget, JSON.stringify({ image_key: uploadResult.imageKey }), 'image');
-        if (result.success) return;
-        console.log('[feishu] Image reply failed, falling back to sendImage:', result.message);
-        if (parent && root && parent !== root) {
-          const rootReply = await replyToMessage(root, JSON.stringify({ image_key: uploadResult.imageKey }), 'image');
-          if (rootReply.success) return;
-          console.log('[feishu] Image root reply fallback failed, falling back to sendImage:', rootReply.message);
-        }
-      } catch (err) {
-        console.log('[feishu] Image reply threw, falling back:', err.message);
-        if (parent && root && parent !== root) {
-          try {
-            const rootReply = await replyToMessage(root, JSON.stringify({ image_key: uploadResult.imageKey }), 'image');
-            if (rootReply.success) return;
-          } catch {}
-        }
-      }
-    }
-    const sendResult = await sendImage(chatId, uploadResult.imageKey);
-    if (!sendResult.success) {
-      throw new Error(`Failed to send image: ${sendResult.message}`);
-    }
+    content = JSON.stringify({ image_key: uploadResult.imageKey });
+    sendDirect = () => sendImage(chatId, uploadResult.imageKey);
   } else if (type === 'file') {
     const uploadResult = await uploadFile(trimmedPath);
     if (!uploadResult.success) {
       throw new Error(`Failed to upload file: ${uploadResult.message}`);
     }
-    if (replyTarget) {
-      try {
-        const result = await replyToMessage(replyTarget, JSON.stringify({ file_key: uploadResult.fileKey }), 'file');
-        if (result.success) return;
-        console.log('[feishu] File reply failed, falling back to sendFile:', result.message);
-        if (parent && root && parent !== root) {
-          const rootReply = await replyToMessage(root, JSON.stringify({ file_key: uploadResult.fileKey }), 'file');
-          if (rootReply.success) return;
-          console.log('[feishu] File root reply fallback failed, falling back to sendFile:', rootReply.message);
-        }
-      } catch (err) {
-        console.log('[feishu] File reply threw, falling back:', err.message);
-        if (parent && root && parent !== root) {
-          try {
-            const rootReply = await replyToMessage(root, JSON.stringify({ file_key: uploadResult.fileKey }), 'file');
-            if (rootReply.success) return;
-          } catch {}
-        }
+    content = JSON.stringify({ file_key: uploadResult.fileKey });
+    sendDirect = () => sendFile(chatId, uploadResult.fileKey);
+  } else {
+    throw new Error(`Unsupported media type: ${type}`);
+  }
+
+  const sent = (result) => ({ messageId: result.messageId, msgType: type, fileName });
+  const label = type === 'image' ? 'Image' : 'File';
+  const direct = type === 'image' ? 'sendImage' : 'sendFile';
+  if (replyTarget) {
+    try {
+      const result = await replyToMessage(replyTarget, content, type, { chatId });
+      if (result.success) return sent(result);
+      console.log(`[feishu] ${label} reply failed, falling back to ${direct}:`, result.message);
+      if (parent && root && parent !== root) {
+        const rootReply = await replyToMessage(root, content, type, { chatId });
+        if (rootReply.success) return sent(rootReply);
+        console.log(`[feishu] ${label} root reply fallback failed, falling back to ${direct}:`, rootReply.message);
+      }
+    } catch (err) {
+      console.log(`[feishu] ${label} reply threw, falling back:`, err.message);
+      if (parent && root && parent !== root) {
+        try {
+          const rootReply = await replyToMessage(root, content, type, { chatId });
+          if (rootReply.success) return sent(rootReply);
+        } catch {}
       }
     }
-    const sendResult = await sendFile(chatId, uploadResult.fileKey);
-    if (!sendResult.success) {
-      throw new Error(`Failed to send file: ${sendResult.message}`);
+  }
+  const sendResult = await sendDirect();
+  if (!sendResult.success) {
+    throw new Error(`Failed to send ${type}: ${sendResult.message}`);
+  }
+  return sent(sendResult);
+}
+
+/**
+ * Send card JSON with the usual routing (reply in groups, falling back to a
+ * plain send).
+ */
+async function sendInteractive(card) {
+  const { chatId } = parsedEndpoint;
+  // p2p DMs never reply-to (invisible in the 1:1 view); only groups reply.
+  const replyTarget = chooseReplyTarget(parsedEndpoint);
+  let result;
+
+  if (replyTarget) {
+    try {
+      result = await replyToMessage(replyTarget, JSON.stringify(card), 'interactive', { chatId });
+    } catch (err) {
+      console.log('[feishu] Card reply threw, falling back:', err.message);
+      result = { success: false };
+    }
+    if (!result.success) {
+      result = await sendMessage(chatId, card, 'chat_id', 'interactive');
     }
   } else {
-    throw new Error(`Unsupported media type: ${type}`);
+    result = await sendMessage(chatId, card, 'chat_id', 'interactive');
   }
+  return result;
 }
 
 /**
- * Write a typing-done marker file so index.js can remove the typing indicator.
- * The marker file name is the original trigger message ID.
+ * Send an interactive card with callback actions (buttons, selects, forms).
+ * The sent card is persisted so index.js can route its callbacks and update it.
+ * @returns {Promise<{ messageId: string, msgType: string, text: string }>} The
+ *   sent card, with a text summary for the outgoing history record
  */
-function markTypingDone(msgId) {
+async function sendActionCard(cardJson) {
+  let spec;
+  try {
+    spec = JSON.parse(cardJson);
+  } catch (err) {
+    throw new Error(`Invalid [CARD] JSON: ${err.message}`);
+  }
+  const card = spec.schema ? spec : buildActionCard(spec);
+  const result = await sendInteractive(card);
+
+  if (!result.success) {
+    throw new Error(`Failed to send card: ${result.message}`);
+  }
+  saveCardState(result.messageId, { card, endpoint: rawEndpoint });
+  const title = card.header?.title?.content || spec.title || '';
+  const body = spec.text || '';
+  return { messageId: result.messageId, msgType: 'interactive', text: `[card] ${[title, body].filter(Boolean).join(' — ')}` };
+}
+
+/**
+ * Tell index.js the reply is complete so it removes the typing indicator.
+ * Goes over the control socket; when the bot is unreachable, a marker file
+ * named after the trigger message ID is written instead.
+ */
+async function markTypingDone(msgId) {
   if (!msgId) return;
+  if (await postInternal('/internal/typing-done', { messageId: msgId }, { timeoutMs: 2000 })) return;
   try {
     const safeMsgId = String(msgId).replace(/[^a-zA-Z0-9_-]/g, '_');
     fs.mkdirSync(TYPING_DIR, { recursive: true });
@@ -378,57 +519,111 @@ function markTypingDone(msgId) {
 }
 
 /**
- * Notify index.js to record the bot's outgoing message into in-memory history.
+ * Notify index.js to record the bot's outgoing messages into in-memory
+ * history, one entry per sent message under its real message ID.
+ * @param {Array<{ messageId: string, msgType: string, text?: string, fileName?: string }>} messages
  */
-async function recordOutgoing(text) {
-  let internalSecret = process.env.FEISHU_INTERNAL_SECRET;
-  if (!internalSecret) {
-    // Fallback: read token from file (written by index.js at startup)
-    try {
-      internalSecret = fs.readFileSync(path.join(DATA_DIR, '.internal-token'), 'utf8').trim();
-    } catch {}
-  }
-  if (!internalSecret) {
-    console.warn('[feishu] Warning: FEISHU_INTERNAL_SECRET not set — record-outgoing will be rejected (403)');
-    return;
-  }
-  const port = config.webhook_port || 3458;
-  const safeText = String(text || '').slice(0, 4000);
-  const body = JSON.stringify({
+async function recordOutgoing(messages) {
+  if (!messages.length) return;
+  await postInternal('/internal/record-outgoing', {
     chatId: parsedEndpoint.chatId,
     threadId: parsedEndpoint.thread || null,
-    text: safeText
+    messages: messages.map(m => ({
+      messageId: m.messageId,
+      msgType: m.msgType,
+      ...(m.fileName ? { fileName: m.fileName } : {}),
+      text: renderMentions(String(m.text || ''), 'plain').slice(0, 4000)
+    }))
   });
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), 5000);
-  try {
-    await fetch(`http://127.0.0.1:${port}/internal/record-outgoing`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Internal-Token': internalSecret,
-      },
-      body,
-      signal: controller.signal
-    });
-  } catch { /* non-critical */ }
-  finally {
-    clearTimeout(timer);
+}
+
+/**
+ * Edit a message the bot sent earlier and update it in index.js's history.
+ */
+async function sendEdit(messageId, text) {
+  const result = await editBotMessage(messageId, text);
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+  await postInternal('/internal/record-edit', {
+    chatId: result.chatId || parsedEndpoint.chatId,
+    messageId,
+    text: String(text).slice(0, 4000)
+  });
+}
+
+/**
+ * Recall a message the bot sent earlier and drop it from index.js's history.
+ */
+async function sendRecall(messageId) {
+  const result = await recallMessage(messageId);
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+  await postInternal('/internal/record-recall', {
+    chatId: result.chatId || parsedEndpoint.chatId,
+    threadId: result.threadId,
+    messageId
+  });
+}
+
+/**
+ * Apply a [STREAM] directive: one card per trigger message, created on the
+ * first call and updated by later ones (see src/lib/stream.js). Without a
+ * trigger message in the endpoint there is nothing to key the stream on, so
+ * the text is sent normally.
+ * @returns {Promise<boolean>} whether the reply is complete
+ */
+async function sendStream({ mode, text }) {
+  const { msg, chatId } = parsedEndpoint;
+  text = await prepareMentions(text);
+  if (!msg) {
+    if (text) await recordOutgoing(await sendText(endpointId, text));
+    return true;
+  }
+
+  const result = await streamReply({
+    key: msg,
+    mode,
+    text,
+    deps: {
+      createCard: (card) => sendInteractive(withCardMentions(card)),
+      updateCard: (messageId, card) => editCard(messageId, withCardMentions(card), { chatId }),
+      // Chunks are final messages: record them now, cards once the stream is done
+      sendChunks: async (chunk) => { await recordOutgoing(await sendText(endpointId, chunk)); },
+    },
+  });
+  if (result.done) {
+    await recordOutgoing(result.cards.map(card => ({ ...card, msgType: 'interactive' })));
   }
+  return result.done;
 }
 
 async function send() {
   try {
+    let replied = true;
     if (mediaMatch) {
       const [, mediaType, mediaPath] = mediaMatch;
-      await sendMedia(mediaType, mediaPath);
-      await recordOutgoing(mediaType === 'image' ? '[sent image]' : '[sent file]');
+      const sent = await sendMedia(mediaType, mediaPath);
+      await recordOutgoing([{ ...sent, text: `[${sent.msgType}: ${sent.fileName}]` }]);
+    } else if (cardMatch) {
+      await recordOutgoing([await sendActionCard(cardMatch[1])]);
+    } else if (editMatch) {
+      await sendEdit(editMatch[1], editMatch[2]);
+    } else if (recallMatch) {
+      await sendRecall(recallMatch[1]);
+    } else if (streamDirective) {
+      replied = await sendStream(streamDirective);
     } else {
-      await sendText(endpointId, message);
-      await recordOutgoing(message);
+      const text = await prepareMentions(message);
+      const sent = await sendText(endpointId, text);
+      await recordOutgoing(sent);
+      // IDs let the agent edit the reply later ([EDIT:om_xxx])
+      if (sent.length) console.log(`message_id: ${sent.map(m => m.messageId).join(', ')}`);
     }
-    // Mark the trigger message as replied (for typing indicator removal)
-    markTypingDone(parsedEndpoint.msg);
+    // Mark the trigger message as replied (for typing indicator removal);
+    // a stream keeps the indicator until its final call
+    if (replied) await markTypingDone(parsedEndpoint.msg);
     console.log('Message sent successfully');
     process.exit(0);
   } catch (err) {
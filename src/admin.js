@@ -6,7 +6,15 @@
  * Usage: node admin.js <command> [args]
  */
 
-import { loadConfig, saveConfig } from './lib/config.js';
+import path from 'path';
+import { loadConfig, saveConfig, DATA_DIR } from './lib/config.js';
+import { MEDIA_DIR, scanMedia, summarizeMediaUsage, pruneMedia, getMediaLimits, formatBytes } from './lib/media.js';
+import { MESSAGE_FORMATS } from './lib/markdown-post.js';
+import { OUTBOX_DIR, listOutbox, replayOutbox, dropOutbox, getOutboxExpiryMs } from './lib/outbox.js';
+import { postInternal } from './lib/internal-client.js';
+import { isSocketLive } from './lib/control-server.js';
+import { loadSmartFilterStats, FILTER_REASONS } from './lib/smart-filter.js';
+import { STORE_DIR, createMessageStore, getStoreRetentionMs, importLegacyLogs } from './lib/message-store.js';
 
 // ============================================================
 // Helper: get the groups map (new format) or derive from legacy
@@ -65,7 +73,9 @@ const commands = {
       const mode = cfg.mode || (cfg.requireMention === false ? 'smart' : 'mention');
       const allowFrom = cfg.allowFrom?.length ? ` allowFrom: [${cfg.allowFrom.join(', ')}]` : '';
       const historyLimit = cfg.historyLimit ? ` history: ${cfg.historyLimit}` : '';
-      console.log(`  ${chatId} - ${cfg.name || 'unnamed'} [${mode}]${allowFrom}${historyLimit}`);
+      const reactions = typeof cfg.reactionFeedback === 'boolean' ? ` reactions: ${cfg.reactionFeedback ? 'on' : 'off'}` : '';
+      const filter = cfg.smartFilter && cfg.smartFilter.enabled !== false ? ' filter: on' : '';
+      console.log(`  ${chatId} - ${cfg.name || 'unnamed'} [${mode}]${allowFrom}${historyLimit}${reactions}${filter}`);
     }
   },
 
@@ -316,11 +326,289 @@ const commands = {
     const config = loadConfig();
     if (!config.message) config.message = {};
     config.message.useMarkdownCard = enabled;
+    // message.format takes precedence over useMarkdownCard; keep them in step
+    config.message.format = enabled ? 'card' : 'text';
     saveConfigOrExit(config);
     console.log(`Markdown card: ${enabled ? 'ON' : 'OFF'}`);
     console.log('Config hot-reloads, no restart needed.');
   },
 
+  'set-message-format': (value) => {
+    value = String(value || '').trim().toLowerCase();
+    if (!MESSAGE_FORMATS.includes(value)) {
+      console.error(`Usage: admin.js set-message-format <${MESSAGE_FORMATS.join('|')}>`);
+      process.exit(1);
+    }
+    const config = loadConfig();
+    if (!config.message) config.message = {};
+    config.message.format = value;
+    config.message.useMarkdownCard = value === 'card';
+    saveConfigOrExit(config);
+    console.log(`Message format: ${value}`);
+    console.log('Config hot-reloads, no restart needed.');
+  },
+
+  'set-group-mention-all': (chatId, value) => {
+    const normalizedChatId = String(chatId || '').trim();
+    value = String(value || '').trim().toLowerCase();
+    if (!normalizedChatId || !['on', 'off', 'true', 'false'].includes(value)) {
+      console.error('Usage: admin.js set-group-mention-all <chat_id> <on|off>');
+      process.exit(1);
+    }
+    const enabled = value === 'on' || value === 'true';
+    const config = loadConfig();
+    if (!config.groups?.[normalizedChatId]) {
+      console.error(`Group ${normalizedChatId} not configured. Add it first with add-group.`);
+      process.exit(1);
+    }
+    config.groups[normalizedChatId].allowMentionAll = enabled;
+    saveConfigOrExit(config);
+    console.log(`@all mentions for ${normalizedChatId}: ${enabled ? 'ON' : 'OFF'}`);
+    console.log('Config hot-reloads, no restart needed.');
+  },
+
+  'set-smart-filter': (chatId, rule, ...values) => {
+    const normalizedChatId = String(chatId || '').trim();
+    const usage = () => {
+      console.error('Usage: admin.js set-smart-filter <chat_id> <rule> [value...]');
+      console.error('  rules: on|off, keywords <k...>, questions <on|off>, ignore <id...>,');
+      console.error('         ignore-bots <on|off>, min-length <n>, cooldown <seconds>');
+      process.exit(1);
+    };
+    if (!normalizedChatId || !rule) usage();
+    const config = loadConfig();
+    const group = config.groups?.[normalizedChatId];
+    if (!group) {
+      console.error(`Group ${normalizedChatId} not configured. Add it first with add-group.`);
+      process.exit(1);
+    }
+    const filter = group.smartFilter || {};
+    const toggle = (value) => {
+      value = String(value || '').trim().toLowerCase();
+      if (!['on', 'off', 'true', 'false'].includes(value)) usage();
+      return value === 'on' || value === 'true';
+    };
+    const count = (value) => {
+      const n = Number(value);
+      if (value === undefined || !Number.isInteger(n) || n < 0) usage();
+      return n;
+    };
+    switch (rule) {
+      case 'on':
+      case 'off':
+        filter.enabled = rule === 'on';
+        break;
+      case 'keywords':
+        filter.keywords = values;
+        break;
+      case 'questions':
+        filter.questions = toggle(values[0]);
+        break;
+      case 'ignore':
+        filter.ignoreSenders = values;
+        break;
+      case 'ignore-bots':
+        filter.ignoreBots = toggle(values[0]);
+        break;
+      case 'min-length':
+        filter.minLength = count(values[0]);
+        break;
+      case 'cooldown':
+        filter.cooldownSeconds = count(values[0]);
+        break;
+      default:
+        usage();
+    }
+    group.smartFilter = filter;
+    saveConfigOrExit(config);
+    console.log(`Smart filter for ${normalizedChatId}: ${JSON.stringify(filter)}`);
+    if ((group.mode || (group.requireMention === false ? 'smart' : 'mention')) !== 'smart') {
+      console.log('Note: the filter only applies while the group is in smart mode.');
+    }
+    console.log('Config hot-reloads, no restart needed.');
+  },
+
+  'smart-filter-stats': (chatId) => {
+    const config = loadConfig();
+    const stats = loadSmartFilterStats();
+    const entries = Object.entries(stats).filter(([id]) => !chatId || id === chatId);
+    if (entries.length === 0) {
+      console.log('No smart filter activity recorded');
+      return;
+    }
+    for (const [id, entry] of entries) {
+      const filtered = FILTER_REASONS.reduce((sum, r) => sum + (entry.filtered?.[r] || 0), 0);
+      const total = filtered + (entry.forwarded || 0);
+      const share = total ? Math.round((filtered / total) * 100) : 0;
+      const name = config.groups?.[id]?.name || 'unnamed';
+      console.log(`${id} - ${name} (since ${entry.since})`);
+      console.log(`  forwarded: ${entry.forwarded || 0}, filtered: ${filtered} (${share}%)`);
+      const reasons = FILTER_REASONS.filter(r => entry.filtered?.[r]).map(r => `${r} ${entry.filtered[r]}`);
+      if (reasons.length) console.log(`  by rule: ${reasons.join(', ')}`);
+    }
+    console.log('(Counters are written by the running bot about once a minute.)');
+  },
+
+  'set-reaction-feedback': (value, chatId) => {
+    value = String(value || '').trim().toLowerCase();
+    if (!['on', 'off', 'true', 'false'].includes(value)) {
+      console.error('Usage: admin.js set-reaction-feedback <on|off> [chat_id]');
+      process.exit(1);
+    }
+    const enabled = value === 'on' || value === 'true';
+    const config = loadConfig();
+    if (chatId) {
+      const normalizedChatId = String(chatId).trim();
+      if (!config.groups?.[normalizedChatId]) {
+        console.error(`Group ${normalizedChatId} not configured. Add it first with add-group.`);
+        process.exit(1);
+      }
+      config.groups[normalizedChatId].reactionFeedback = enabled;
+      saveConfigOrExit(config);
+      console.log(`Reaction feedback for ${normalizedChatId}: ${enabled ? 'ON' : 'OFF'}`);
+    } else {
+      if (!config.message) config.message = {};
+      config.message.reactionFeedback = enabled;
+      saveConfigOrExit(config);
+      console.log(`Reaction feedback (default): ${enabled ? 'ON' : 'OFF'}`);
+    }
+    console.log('Config hot-reloads, no restart needed.');
+  },
+
+  'set-coalesce': (chatType, seconds) => {
+    chatType = String(chatType || '').trim().toLowerCase();
+    const value = Number(seconds);
+    if (!['dm', 'group'].includes(chatType) || seconds === undefined || !Number.isFinite(value) || value < 0) {
+      console.error('Usage: admin.js set-coalesce <dm|group> <seconds>  (0 = off)');
+      process.exit(1);
+    }
+    const config = loadConfig();
+    if (!config.message) config.message = {};
+    if (!config.message.coalesce) config.message.coalesce = {};
+    config.message.coalesce[chatType === 'dm' ? 'dmSeconds' : 'groupSeconds'] = value;
+    saveConfigOrExit(config);
+    console.log(`Message burst window (${chatType}): ${value ? `${value}s` : 'OFF'}`);
+    console.log('Config hot-reloads, no restart needed.');
+  },
+
+  'media-usage': () => {
+    const config = loadConfig();
+    const usage = summarizeMediaUsage(scanMedia());
+    const limits = getMediaLimits(config);
+    const total = usage.reduce((sum, u) => sum + u.bytes, 0);
+    const maxAge = limits.maxAgeMs ? `${limits.maxAgeMs / 86400000}d` : 'off';
+    const maxTotal = limits.maxTotalBytes ? formatBytes(limits.maxTotalBytes) : 'off';
+    console.log(`Media directory: ${MEDIA_DIR}`);
+    console.log(`Total: ${formatBytes(total)} (limits: max age ${maxAge}, max total ${maxTotal})`);
+    if (usage.length === 0) {
+      console.log('No media files');
+      return;
+    }
+    for (const u of usage) {
+      const name = u.chat ? (config.groups?.[u.chat]?.name || u.chat) : '(unsorted)';
+      const oldest = new Date(u.oldestMs).toISOString().slice(0, 10);
+      console.log(`  ${name}: ${u.files} files, ${formatBytes(u.bytes)} (oldest ${oldest})`);
+    }
+  },
+
+  'prune-media': (chatId, maxAgeDays) => {
+    if (maxAgeDays !== undefined && !(Number(maxAgeDays) >= 0)) {
+      console.error('Usage: admin.js prune-media [chat_id|all] [max_age_days]');
+      process.exit(1);
+    }
+    const config = loadConfig();
+    const limits = getMediaLimits(config);
+    if (maxAgeDays !== undefined) {
+      limits.maxAgeMs = Number(maxAgeDays) * 86400000;
+    }
+    const target = chatId && chatId !== 'all' ? String(chatId).trim() : undefined;
+    const { removed, freedBytes, failed } = pruneMedia(limits, { chatId: target });
+    console.log(`Pruned ${removed} files (${formatBytes(freedBytes)})${target ? ` from ${target}` : ''}${failed ? `, ${failed} failed` : ''}`);
+  },
+
+  'store-usage': () => {
+    const config = loadConfig();
+    const usage = createMessageStore().usage();
+    const retentionMs = getStoreRetentionMs(config);
+    console.log(`Message store: ${STORE_DIR} (retention: ${retentionMs ? `${retentionMs / 86400000}d` : 'off'})`);
+    console.log(`  ${usage.chats} chats, ${usage.threads} threads, ${usage.files} day files, ${formatBytes(usage.bytes)}`);
+    if (usage.oldest) console.log(`  ${usage.oldest} .. ${usage.newest}`);
+  },
+
+  'prune-store': (retentionDays) => {
+    if (retentionDays !== undefined && !(Number(retentionDays) > 0)) {
+      console.error('Usage: admin.js prune-store [retention_days]');
+      process.exit(1);
+    }
+    const retentionMs = retentionDays !== undefined
+      ? Number(retentionDays) * 86400000
+      : getStoreRetentionMs(loadConfig());
+    if (!retentionMs) {
+      console.log('Store retention is off (store.retentionDays = 0), nothing to prune');
+      return;
+    }
+    const { files, bytes } = createMessageStore().prune({ retentionMs });
+    console.log(`Pruned ${files} files (${formatBytes(bytes)})`);
+  },
+
+  'import-logs': async () => {
+    // The running bot loads the store's message index once, so it would not
+    // see imported messages and could store them a second time
+    if (await isSocketLive()) {
+      console.error('The bot is running; stop it first (pm2 stop zylos-feishu), import, then start it again');
+      process.exit(1);
+    }
+    const logsDir = path.join(DATA_DIR, 'logs');
+    const result = importLegacyLogs(createMessageStore(), logsDir);
+    console.log(`Imported ${result.messages} messages from ${result.files} group logs in ${logsDir}`);
+    if (result.skipped.length) {
+      console.log(`Skipped ${result.skipped.length} DM logs (no chat_id recorded): ${result.skipped.join(', ')}`);
+    }
+  },
+
+  'outbox': () => {
+    const config = loadConfig();
+    const { pending, dead } = listOutbox();
+    const now = Date.now();
+    const age = (t) => `${Math.round((now - t) / 60000)}m`;
+    const excerpt = (content) => String(content).replace(/\s+/g, ' ').slice(0, 80);
+    const expiryMs = getOutboxExpiryMs(config);
+    console.log(`Outbox: ${OUTBOX_DIR} (expiry: ${expiryMs ? `${expiryMs / 60000}m` : 'off'})`);
+    console.log(`Pending (${pending.length}):`);
+    for (const e of pending) {
+      const next = e.nextAttemptAt > now ? `, next try in ${Math.ceil((e.nextAttemptAt - now) / 1000)}s` : '';
+      console.log(`  ${e.id}  ${e.endpoint.split('|')[0]}  age ${age(e.enqueuedAt)}, ${e.attempts} attempt(s)${next}${e.lastError ? `, last error: ${e.lastError}` : ''}`);
+      console.log(`    ${excerpt(e.content)}`);
+    }
+    console.log(`Dead (${dead.length}):`);
+    for (const e of dead) {
+      console.log(`  ${e.id}  ${e.endpoint.split('|')[0]}  ${e.failure} ${age(e.failedAt)} ago${e.lastError ? `: ${e.lastError}` : ''}`);
+      console.log(`    ${excerpt(e.content)}`);
+    }
+  },
+
+  'outbox-replay': async (id) => {
+    const target = String(id || '').trim();
+    if (!target) {
+      console.error('Usage: admin.js outbox-replay <id|all>');
+      process.exit(1);
+    }
+    const count = replayOutbox(target);
+    console.log(`Replaying ${count} message(s)`);
+    if (count && !await postInternal('/internal/outbox-flush', {})) {
+      console.log('Bot not reachable; they are delivered when it next runs.');
+    }
+  },
+
+  'outbox-drop': (id) => {
+    const target = String(id || '').trim();
+    if (!target) {
+      console.error('Usage: admin.js outbox-drop <id|all>');
+      process.exit(1);
+    }
+    console.log(`Dropped ${dropOutbox(target)} message(s)`);
+  },
+
   'migrate-groups': () => {
     const config = loadConfig();
     const result = migrateGroupConfig(config);
@@ -347,6 +635,13 @@ Commands:
   set-group-policy <policy>           Set group policy (disabled|allowlist|open)
   set-group-allowfrom <chat_id> <ids> Set per-group allowed senders
   set-group-history-limit <id> <n>    Set per-group history message limit
+  set-group-mention-all <id> <on|off> Let the bot's replies @all in a group
+  set-smart-filter <id> <rule> [v...] Pre-filter smart group messages; rules:
+                                      on|off, keywords <k...> (/re/ ok),
+                                      questions <on|off>, ignore <id...>,
+                                      ignore-bots <on|off>, min-length <n>,
+                                      cooldown <seconds>
+  smart-filter-stats [chat_id]        Show forwarded/filtered counters
   migrate-groups                      Migrate legacy group config to new format
 
   Legacy (backward-compatible aliases):
@@ -375,6 +670,31 @@ Commands:
 
   Message Settings:
   set-markdown-card <on|off>          Toggle markdown card rendering
+  set-message-format <text|post|card|auto>
+                                      How markdown replies render (auto: post,
+                                      card for tables)
+  set-reaction-feedback <on|off> [id] Forward emoji reactions on bot messages
+                                      (global default, or per group with chat_id)
+  set-coalesce <dm|group> <seconds>   Combine a sender's messages arriving within
+                                      this window into one agent turn (0 = off)
+
+  Media:
+  media-usage                         Show media disk usage per chat
+  prune-media [chat_id|all] [days]    Delete media past the age/size limits
+                                      (days overrides media.maxAgeDays)
+
+  Message Store:
+  store-usage                         Show message store size and date range
+  prune-store [days]                  Delete stored messages past the retention
+                                      (days overrides store.retentionDays)
+  import-logs                         Import pre-store group logs (logs/*.log)
+                                      (run while the bot is stopped)
+
+  C4 Outbox:
+  outbox                              List queued and dead (expired/rejected)
+                                      messages for the agent
+  outbox-replay <id|all>              Requeue dead messages / retry now
+  outbox-drop <id|all>                Delete queued or dead messages
 
 Permission flow:
   Private DM:  dmPolicy (open|allowlist|owner) + dmAllowFrom
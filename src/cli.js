@@ -4,11 +4,17 @@
  */
 
 import dotenv from 'dotenv';
+import fs from 'fs';
 import path from 'path';
 dotenv.config({ path: path.join(process.env.HOME, 'zylos/.env') });
 
 import { testAuth } from './lib/client.js';
-import { sendToGroup, sendToUser, listMessages, uploadImage, sendImage, uploadFile, sendFile, downloadImage, downloadFile } from './lib/message.js';
+import { sendToGroup, sendToUser, listMessages, uploadImage, sendImage, uploadFile, sendFile, editBotMessage, recallMessage } from './lib/message.js';
+import { postInternal } from './lib/internal-client.js';
+import { downloadMedia, getMediaLimits } from './lib/media.js';
+import { getConfig } from './lib/config.js';
+import { createMessageStore } from './lib/message-store.js';
+import { searchMessages, parseSearchDate, DEFAULT_SEARCH_DAYS } from './lib/search.js';
 import { getDocument, getDocumentInfo, getWikiNode, getSpreadsheet, getSheetValues, writeSheetValues, copySheet, addSheet } from './lib/document.js';
 import { listEvents } from './lib/calendar.js';
 import { listChats, searchChats, listChatMembers } from './lib/chat.js';
@@ -30,12 +36,28 @@ Commands:
   send-user <user_id> <msg>      Send message to a user
   send-image <chat_id> <path>    Send image to a chat
   send-file <chat_id> <path>     Send file to a chat
-  download-image <msg_id> <key> <path>  Download image from message
-  download-file <msg_id> <key> <path>   Download file from message
+  edit <msg_id> <msg>            Edit a message the bot sent (text or markdown card)
+  recall <msg_id>                Recall (delete) a message the bot sent
+  download-image <msg_id> <key> [path] Download image from message
+  download-file <msg_id> <key> [path]  Download file from message
+                                 (cached; without path prints the cached file)
   messages <chat_id> [options]   List messages in a chat
                                  --limit N    Max messages (default: 50)
                                  --today      Only today's messages
                                  --days N     Messages from last N days
+  search [keywords] [options]    Search the stored chat history (JSON). chat_link
+                                 opens the chat, not the message (Feishu has no
+                                 message links): find it there by thread_id and
+                                 timestamp
+                                 --from <name|id>  Sender
+                                 --chat <chat_id>  --thread <thread_id>
+                                 --since <date|Nd> --until <date>
+                                 --days N     Messages from last N days
+                                 --limit N    Max results (default: 20)
+                                 Without --chat, --since or --days only the
+                                 last ${DEFAULT_SEARCH_DAYS} days are searched. DMs from the
+                                 old per-user logs are not imported, so older
+                                 DM history is not searchable
 
   doc <doc_id>                   Get document content
   doc <doc_id> --info            Get document metadata
@@ -64,6 +86,21 @@ Examples:
 `);
 }
 
+/**
+ * Download through the media cache, copying to savePath when given.
+ */
+async function downloadToPath(type, messageId, key, savePath) {
+  const name = type === 'file' && savePath ? path.basename(savePath) : null;
+  const result = await downloadMedia({ messageId, key, kind: type, name, limits: getMediaLimits(getConfig()) });
+  if (!result.success) return result;
+  const note = result.cached ? ' (cached)' : '';
+  if (!savePath) {
+    return { success: true, path: result.path, message: `${result.path}${note}` };
+  }
+  fs.copyFileSync(result.path, savePath);
+  return { success: true, path: savePath, message: `Saved to ${savePath}${note}` };
+}
+
 async function main() {
   if (!command || command === 'help' || command === '--help' || command === '-h') {
     printUsage();
@@ -120,20 +157,43 @@ async function main() {
         result = await sendFile(args[1], uploadFileResult.fileKey);
         break;
 
+      case 'edit':
+        if (args.length < 3) {
+          console.error('Usage: feishu-cli edit <message_id> <new_text>');
+          process.exit(1);
+        }
+        result = await editBotMessage(args[1], args[2]);
+        if (result.success) {
+          // Keep the running bot's chat history in sync (non-critical)
+          await postInternal('/internal/record-edit', { chatId: result.chatId, messageId: args[1], text: args[2] });
+        }
+        break;
+
+      case 'recall':
+        if (args.length < 2) {
+          console.error('Usage: feishu-cli recall <message_id>');
+          process.exit(1);
+        }
+        result = await recallMessage(args[1]);
+        if (result.success) {
+          await postInternal('/internal/record-recall', { chatId: result.chatId, threadId: result.threadId, messageId: args[1] });
+        }
+        break;
+
       case 'download-image':
-        if (args.length < 4) {
-          console.error('Usage: feishu-cli download-image <message_id> <image_key> <save_path>');
+        if (args.length < 3) {
+          console.error('Usage: feishu-cli download-image <message_id> <image_key> [save_path]');
           process.exit(1);
         }
-        result = await downloadImage(args[1], args[2], args[3]);
+        result = await downloadToPath('image', args[1], args[2], args[3]);
         break;
 
       case 'download-file':
-        if (args.length < 4) {
-          console.error('Usage: feishu-cli download-file <message_id> <file_key> <save_path>');
+        if (args.length < 3) {
+          console.error('Usage: feishu-cli download-file <message_id> <file_key> [save_path]');
           process.exit(1);
         }
-        result = await downloadFile(args[1], args[2], args[3]);
+        result = await downloadToPath('file', args[1], args[2], args[3]);
         break;
 
       case 'messages':
@@ -165,12 +225,49 @@ async function main() {
           console.log(`Found ${result.messages.length} messages:\n`);
           result.messages.forEach(msg => {
             const time = new Date(msg.createTime).toLocaleString();
-            console.log(`[${time}] ${msg.sender}: ${msg.content}`);
+            console.log(`[${time}] ${msg.sender} (${msg.id}): ${msg.content}`);
           });
           process.exit(0);
         }
         break;
 
+      case 'search': {
+        const options = { '--from': null, '--chat': null, '--thread': null, '--since': null, '--until': null, '--days': null, '--limit': null };
+        const keywords = [];
+        for (let i = 1; i < args.length; i++) {
+          if (args[i] in options) options[args[i]] = args[++i] ?? null;
+          else keywords.push(args[i]);
+        }
+        if (!keywords.length && !options['--from'] && !options['--chat']) {
+          console.error('Usage: feishu-cli search [keywords] [--from <name|id>] [--chat <chat_id>] [--thread <thread_id>] [--since <date|Nd>] [--until <date>] [--days N] [--limit N]');
+          process.exit(1);
+        }
+        let since = options['--days']
+          ? parseSearchDate(`${parseInt(options['--days']) || 1}d`)
+          : parseSearchDate(options['--since']);
+        const until = parseSearchDate(options['--until'], { endOfDay: true });
+        if ((options['--since'] && !since) || (options['--until'] && !until)) {
+          console.error('Invalid date: use YYYY-MM-DD, an ISO timestamp or Nd (N days ago)');
+          process.exit(1);
+        }
+        // Searching every chat reads every day file; bound it unless asked
+        if (!since && !options['--chat']) since = parseSearchDate(`${DEFAULT_SEARCH_DAYS}d`);
+        const groups = getConfig().groups || {};
+        const query = keywords.join(' ');
+        const { total, results } = searchMessages(createMessageStore(), {
+          query,
+          sender: options['--from'],
+          chatId: options['--chat'],
+          threadId: options['--thread'],
+          since,
+          until,
+          limit: parseInt(options['--limit']) || 20,
+          chatName: (chatId) => groups[chatId]?.name
+        });
+        console.log(JSON.stringify({ success: true, query, since, total, count: results.length, results }, null, 2));
+        process.exit(0);
+      }
+
       case 'doc':
         if (args.length < 2) {
           console.error('Usage: feishu-cli doc <doc_id> [--info]');
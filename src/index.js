@@ -19,10 +19,22 @@ import * as Lark from '@larksuiteoapi/node-sdk';
 dotenv.config({ path: path.join(process.env.HOME, 'zylos/.env') });
 
 import { getConfig, watchConfig, saveConfig, DATA_DIR, getCredentials, stopWatching } from './lib/config.js';
-import { downloadImage, downloadFile, sendMessage, replyToMessage, extractPermissionError, addReaction, removeReaction, listMessages } from './lib/message.js';
+import { resetClient, getBotInfo } from './lib/client.js';
+import { getProxyAgent, getProxyHttpInstance } from './lib/proxy.js';
+import { sendMessage, replyToMessage, extractPermissionError, addReaction, removeReaction, listMessages, getMessage, listForwardedMessages } from './lib/message.js';
 import { getUserInfo } from './lib/contact.js';
-import { listChatMembers } from './lib/chat.js';
+import { listChatMembers, getChatInfo } from './lib/chat.js';
 import { sendThreadAware } from './lib/reply-send.js';
+import { extractMessageContent, buildMediaRefs, describeAttachments } from './lib/message-content.js';
+import { MEDIA_DIR, downloadMedia, protectMedia, pruneMedia, getMediaLimits, formatBytes } from './lib/media.js';
+import { buildActionCard, buildActionResultCard, describeCardAction, getSystemCardAction, loadCardState, saveCardState, pruneCardStates } from './lib/card.js';
+import { pruneStreamStates } from './lib/stream.js';
+import { saveGroupMembers, clearGroupMembers } from './lib/mention.js';
+import { CONTROL_SOCKET, createInternalRouter, startControlServer, stopControlServer, recordOutgoingHandler } from './lib/control-server.js';
+import { createOutbox, getOutboxExpiryMs } from './lib/outbox.js';
+import { createCoalescer, getCoalesceWindowMs, burstKey } from './lib/coalesce.js';
+import { createMessageStore, getStoreRetentionMs, toIsoTimestamp } from './lib/message-store.js';
+import { evaluateSmartFilter, loadSmartFilterStats, countSmartFilterResult, saveSmartFilterStats } from './lib/smart-filter.js';
 
 // C4 receive interface path
 const C4_RECEIVE = path.join(process.env.HOME, 'zylos/.claude/skills/comm-bridge/scripts/c4-receive.js');
@@ -53,11 +65,11 @@ console.log(`[feishu] Starting (${connectionMode} mode)...`);
 console.log(`[feishu] Data directory: ${DATA_DIR}`);
 
 // Ensure directories exist
-const LOGS_DIR = path.join(DATA_DIR, 'logs');
-const MEDIA_DIR = path.join(DATA_DIR, 'media');
-fs.mkdirSync(LOGS_DIR, { recursive: true });
 fs.mkdirSync(MEDIA_DIR, { recursive: true });
 
+// Message store (src/lib/message-store.js): audit log and warm context
+const messageStore = createMessageStore();
+
 // State files
 const CURSORS_PATH = path.join(DATA_DIR, 'group-cursors.json');
 const USER_CACHE_PATH = path.join(DATA_DIR, 'user-cache.json');
@@ -109,10 +121,26 @@ if (connectionMode === 'webhook' && !config.bot?.verification_token) {
 // Watch for config changes
 watchConfig((newConfig) => {
   console.log(`[feishu] Config reloaded`);
+  const proxyChanged = JSON.stringify(config.proxy || null) !== JSON.stringify(newConfig.proxy || null);
+  const mediaIntervalChanged = getMediaLimits(config).intervalMs !== getMediaLimits(newConfig).intervalMs;
   config = newConfig;
   if (!newConfig.enabled) {
     console.log(`[feishu] Component disabled, stopping...`);
     shutdown();
+    return;
+  }
+  if (proxyChanged) {
+    // New API client on next use; the websocket must reconnect to pick up the new route
+    console.log(`[feishu] Proxy settings changed, recreating Feishu connections`);
+    resetClient();
+    if (wsClient) {
+      wsClient.close({ force: true });
+      startWebSocket(getCredentials());
+    }
+  }
+  if (mediaIntervalChanged) {
+    console.log(`[feishu] Media cleanup interval changed to ${Math.round(getMediaLimits(config).intervalMs / 60000)} min`);
+    scheduleMediaCleanup();
   }
 });
 
@@ -166,6 +194,10 @@ async function addTypingIndicator(messageId) {
         timer,
       });
 
+      // The reply may have finished while the reaction was being added
+      if (earlyTypingDone.delete(messageId)) {
+        removeTypingIndicator(messageId);
+      }
       return true;
     }
   } catch (err) {
@@ -210,9 +242,34 @@ async function removeTypingIndicator(messageId) {
   }
 }
 
+// Replies reported done before their typing indicator was registered: Map<messageId, doneAt>
+const earlyTypingDone = new Map();
+const EARLY_TYPING_DONE_TTL = 60 * 1000;
+
+/**
+ * A reply to messageId is complete: remove its typing indicator.
+ * send.js reports this over the control socket (/internal/typing-done) or,
+ * when the bot is unreachable, with a marker file.
+ * @returns {boolean} whether an active indicator was found
+ */
+function handleTypingDone(messageId) {
+  if (activeTypingIndicators.has(messageId)) {
+    removeTypingIndicator(messageId);
+    console.log(`[feishu] Typing indicator removed for ${messageId} (reply sent)`);
+    return true;
+  }
+  const now = Date.now();
+  for (const [id, doneAt] of earlyTypingDone) {
+    if (now - doneAt > EARLY_TYPING_DONE_TTL) earlyTypingDone.delete(id);
+  }
+  earlyTypingDone.set(messageId, now);
+  return false;
+}
+
 /**
- * Check for typing-done marker files written by send.js.
- * When found, remove the typing indicator and clean up the marker.
+ * Fallback: typing-done marker files written by send.js when the control
+ * socket is unreachable. Picked up on directory change, with a slow sweep
+ * for missed events and orphaned markers.
  */
 const TYPING_DIR = path.join(DATA_DIR, 'typing');
 fs.mkdirSync(TYPING_DIR, { recursive: true });
@@ -236,8 +293,7 @@ function checkTypingDoneMarkers() {
       const filePath = path.join(TYPING_DIR, file);
 
       if (activeTypingIndicators.has(messageId)) {
-        removeTypingIndicator(messageId);
-        console.log(`[feishu] Typing indicator removed for ${messageId} (reply sent)`);
+        handleTypingDone(messageId);
         try { fs.unlinkSync(filePath); } catch { /* ignore */ }
       } else {
         // Clean up orphaned markers older than 60s (indicator timed out or never registered)
@@ -253,8 +309,22 @@ function checkTypingDoneMarkers() {
   } catch { /* ignore */ }
 }
 
-// Poll for typing-done markers every 2 seconds
-const typingCheckInterval = setInterval(checkTypingDoneMarkers, 2000);
+let typingWatcher = null;
+let typingCheckTimer = null;
+try {
+  typingWatcher = fs.watch(TYPING_DIR, () => {
+    // Coalesce bursts of events into one scan
+    if (typingCheckTimer) return;
+    typingCheckTimer = setTimeout(() => {
+      typingCheckTimer = null;
+      checkTypingDoneMarkers();
+    }, 100);
+  });
+  typingWatcher.on('error', () => {});
+} catch (err) {
+  console.log(`[feishu] Cannot watch typing markers, relying on the sweep: ${err.message}`);
+}
+const typingCheckInterval = setInterval(checkTypingDoneMarkers, 30 * 1000);
 
 // ============================================================
 // Permission error tracking (cooldown to avoid spam)
@@ -354,7 +424,7 @@ let groupCursors = loadCursors();
 // File logs are kept for audit; this Map is used for fast context.
 // ============================================================
 const DEFAULT_HISTORY_LIMIT = 5;
-const chatHistories = new Map(); // Map<historyKey, Array<{ message_id, user_name, user_id, text, timestamp }>>
+const chatHistories = new Map(); // Map<historyKey, Array<{ message_id, user_name, user_id, text, timestamp, msg_type?, file_name? }>>
 
 function getHistoryKey(chatId, threadId = null) {
   return threadId ? `${chatId}:${threadId}` : chatId;
@@ -382,6 +452,23 @@ function recordHistoryEntry(historyKey, entry) {
   }
 }
 
+/**
+ * Replace the text of an edited message wherever it appears in history.
+ * @returns {boolean} whether an entry was found
+ */
+function applyHistoryEdit(messageId, text) {
+  let found = false;
+  for (const history of chatHistories.values()) {
+    const entry = history.find(m => m.message_id === messageId);
+    if (entry) {
+      entry.text = text;
+      entry.edited = true;
+      found = true;
+    }
+  }
+  return found;
+}
+
 /**
  * Get recent context messages from in-memory history.
  * Excludes the current message itself.
@@ -393,8 +480,8 @@ function getInMemoryContext(historyKey, currentMessageId) {
   const baseChatId = historyKey.includes(':') ? historyKey.split(':')[0] : historyKey;
   const limit = getGroupHistoryLimit(baseChatId);
 
-  // Filter out the current message and get recent entries
-  const filtered = history.filter(m => m.message_id !== currentMessageId);
+  // Filter out the current message and recalled messages, then get recent entries
+  const filtered = history.filter(m => m.message_id !== currentMessageId && !m.recalled);
   const count = Math.min(limit, filtered.length);
   return filtered.slice(-count);
 }
@@ -426,78 +513,139 @@ function pinRootMessage(context, rootId, historyKey) {
 
 /**
  * Get context with lazy load fallback.
- * If in-memory history is empty (e.g. after restart), fetch from API once.
+ * If in-memory history is empty (e.g. after restart), warm it from the
+ * message store. Feishu does not redeliver events missed while the bot was
+ * down, so the container is also fetched from the API (once) and merged:
+ * only the messages after the newest one stored before this process started,
+ * or the latest ones when nothing was stored. Fetched messages are stored.
  * @param {string} containerId - chat_id or thread_id
  * @param {string} currentMessageId - current message to exclude
  * @param {'chat'|'thread'} containerType - container type for API fallback
  */
 const _lazyLoadedContainers = new Set();
+const PROCESS_STARTED_AT = new Date().toISOString();
 
-// Preload group member names into cache (avoids cross-tenant API errors)
-const _preloadedGroups = new Set();
+// Preload group member names into cache (avoids cross-tenant API errors).
+// Entries expire after GROUP_MEMBERS_TTL and are invalidated by membership events.
+const GROUP_MEMBERS_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const _preloadedGroups = new Map(); // Map<chatId, preloadedAt>
 async function preloadGroupMembers(chatId) {
-  if (_preloadedGroups.has(chatId)) return;
-  _preloadedGroups.add(chatId);
+  const preloadedAt = _preloadedGroups.get(chatId);
+  if (preloadedAt && Date.now() - preloadedAt < GROUP_MEMBERS_TTL) return;
+  _preloadedGroups.set(chatId, Date.now());
   try {
     const result = await listChatMembers(chatId);
     if (result.success && result.members) {
       const now = Date.now();
       let count = 0;
       for (const member of result.members) {
-        if (member.memberId && member.name && !userCacheMemory.has(member.memberId)) {
+        if (!member.memberId || !member.name) continue;
+        const cached = userCacheMemory.get(member.memberId);
+        if (!cached || cached.name !== member.name) {
           userCacheMemory.set(member.memberId, { name: member.name, expireAt: now + SENDER_NAME_TTL });
           _userCacheDirty = true;
           count++;
         }
       }
+      // Roster for send.js to resolve the agent's outgoing @name mentions
+      saveGroupMembers(chatId, result.members);
       console.log(`[feishu] Preloaded ${count} member names for group ${chatId}`);
+    } else {
+      // Allow a retry on the next message
+      _preloadedGroups.delete(chatId);
     }
   } catch (err) {
+    _preloadedGroups.delete(chatId);
     console.log(`[feishu] Failed to preload group members for ${chatId}: ${err.message}`);
   }
 }
 
+/**
+ * Drop a group's member preload so the next message reloads it.
+ */
+function invalidateGroupMembers(chatId) {
+  _preloadedGroups.delete(chatId);
+  clearGroupMembers(chatId);
+}
+
 async function getContextWithFallback(containerId, currentMessageId, containerType = 'chat', historyKey = containerId, historyLimit = null) {
   if (_lazyLoadedContainers.has(historyKey)) {
     return getInMemoryContext(historyKey, currentMessageId);
   }
 
-  // First access after restart — try to fetch from API
+  const limit = historyLimit || (containerType === 'thread'
+    ? (config.message?.context_messages || DEFAULT_HISTORY_LIMIT)
+    : getGroupHistoryLimit(containerId));
+  const [chatId, threadId = null] = historyKey.split(':');
+
+  // First access after restart — warm from the message store
+  let warmed = 0;
+  // Anything after the newest message stored before the restart may have
+  // been missed while the bot was down
+  let gapStart = null;
   try {
-    const limit = historyLimit || (containerType === 'thread'
-      ? (config.message?.context_messages || DEFAULT_HISTORY_LIMIT)
-      : getGroupHistoryLimit(containerId));
-    const result = await listMessages(containerId, limit, 'desc', null, null, containerType);
+    const stored = messageStore.recent(chatId, threadId, limit + 1).filter(m => m.message_id !== currentMessageId);
+    if (stored.length > 0) {
+      for (const m of stored) {
+        recordHistoryEntry(historyKey, {
+          timestamp: m.timestamp,
+          message_id: m.message_id,
+          user_id: m.user_id || m.open_id,
+          user_name: m.user_name,
+          text: m.text,
+          ...(m.msg_type ? { msg_type: m.msg_type } : {}),
+          ...(m.file_name ? { file_name: m.file_name } : {}),
+          ...(m.edited ? { edited: true } : {}),
+          ...(m.recalled ? { recalled: true } : {})
+        });
+      }
+      warmed = stored.length;
+      console.log(`[feishu] Warmed ${stored.length} messages for ${containerType} ${historyKey} from the message store`);
+    }
+    gapStart = messageStore.recent(chatId, threadId, 1, { until: PROCESS_STARTED_AT })[0]?.timestamp || null;
+  } catch (err) {
+    console.log(`[feishu] Message store read failed for ${historyKey}: ${err.message}`);
+  }
+
+  // Fetch what may have been missed while down and merge. Thread containers
+  // take no time range, so their already-stored messages are skipped here.
+  try {
+    const startTime = gapStart && containerType === 'chat' ? Math.floor(Date.parse(gapStart) / 1000) : null;
+    const result = await listMessages(containerId, limit, 'desc', startTime, null, containerType);
     if (result.success) {
       _lazyLoadedContainers.add(historyKey);
-      if (result.messages.length > 0) {
+      const missed = gapStart ? result.messages.filter(m => m.createTime > gapStart) : result.messages;
+      if (missed.length > 0) {
         // Sort by createTime to ensure chronological order
         // (reverse of desc is usually correct, but thread root may be returned out of order)
-        const msgs = result.messages.sort((a, b) => new Date(a.createTime) - new Date(b.createTime));
+        const msgs = missed.sort((a, b) => new Date(a.createTime) - new Date(b.createTime));
         for (const msg of msgs) {
           const userName = await resolveUserName(msg.sender);
-          // Parse post messages (raw JSON) into readable text
-          let text = msg.content;
-          if (msg.type === 'post' && typeof text === 'string') {
-            try {
-              const parsed = JSON.parse(text);
-              const content = parsed.content || [];
-              ({ text } = extractPostText(content, msg.id));
-            } catch { /* use raw content */ }
-          }
+          // Render every message type the same way the live receive path does
+          const extracted = await extractMessageContent(
+            { msgType: msg.type, content: msg.rawContent, messageId: msg.id },
+            historyContentDeps
+          );
+          // Post images are already inline in the post text
+          const refs = buildMediaRefs(extracted, msg.id, { includeImages: msg.type !== 'post' });
+          let text = [extracted.text, ...refs].filter(Boolean).join('\n');
           // Resolve @_user_N mentions in lazy-loaded messages
           if (msg.mentions && msg.mentions.length > 0) {
             text = resolveMentions(text, msg.mentions);
           }
-          recordHistoryEntry(historyKey, {
-            timestamp: msg.createTime,
+          const entry = {
+            timestamp: toIsoTimestamp(msg.createTime),
             message_id: msg.id,
             user_id: msg.sender,
             user_name: userName,
             text
-          });
+          };
+          recordHistoryEntry(historyKey, entry);
+          messageStore.appendMessage({ ...entry, chat_id: chatId, thread_id: threadId, msg_type: msg.type });
         }
         console.log(`[feishu] Lazy-loaded ${msgs.length} messages for ${containerType} ${historyKey}`);
+        // Missed messages were appended after the stored ones
+        if (warmed > 0) chatHistories.get(historyKey)?.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
       }
       return getInMemoryContext(historyKey, currentMessageId);
     }
@@ -560,36 +708,64 @@ function decrypt(encrypt, encryptKey) {
   return JSON.parse(decrypted);
 }
 
+// ============================================================
+// Message routes: where each logged message lives, so later events that only
+// carry a message_id (recall, reactions) can find its chat and history.
+// ============================================================
+const MESSAGE_ROUTE_LIMIT = 1000;
+const messageRoutes = new Map(); // Map<messageId, { chatId, chatType, threadId, userName, endpoint, forwarded }>
+
+function rememberMessageRoute(messageId, route) {
+  if (!messageId) return;
+  messageRoutes.delete(messageId);
+  messageRoutes.set(messageId, route);
+  if (messageRoutes.size > MESSAGE_ROUTE_LIMIT) {
+    // Map preserves insertion order — drop the oldest entry
+    messageRoutes.delete(messageRoutes.keys().next().value);
+  }
+}
+
+/**
+ * Mark a logged message as forwarded to C4 (the agent may act on it).
+ */
+function markMessageForwarded(messageId, endpoint) {
+  const route = messageRoutes.get(messageId);
+  if (!route) return;
+  route.forwarded = true;
+  route.endpoint = endpoint;
+}
+
 // Log message (mentions resolved to real names for readable context)
 // Also records to in-memory chat history for fast context building.
-async function logMessage(chatType, chatId, userId, openId, text, messageId, timestamp, mentions, threadId = null) {
+// meta: { rootId, parentId, msgType, attachments } kept in the message store
+async function logMessage(chatType, chatId, userId, openId, text, messageId, timestamp, mentions, threadId = null, meta = {}) {
   const userName = await resolveUserName(userId, openId);
   const resolvedText = resolveMentions(text, mentions);
   const logEntry = {
-    timestamp: timestamp || new Date().toISOString(),
+    timestamp: timestamp ? toIsoTimestamp(timestamp) : new Date().toISOString(),
     message_id: messageId,
     user_id: userId,
     open_id: openId,
     user_name: userName,
     text: resolvedText
   };
-  const logLine = JSON.stringify(logEntry) + '\n';
-
-  // File log for audit — per thread when applicable
-  const logId = chatType === 'p2p' ? userId : chatId;
-  const safeLogId = String(logId).replace(/[^a-zA-Z0-9_-]/g, '_');
-  const safeThreadId = threadId ? String(threadId).replace(/[^a-zA-Z0-9_-]/g, '_') : null;
-  const logFileName = safeThreadId ? `${safeLogId}_t_${safeThreadId}.log` : `${safeLogId}.log`;
-  const logFile = path.resolve(LOGS_DIR, logFileName);
-  if (!logFile.startsWith(path.resolve(LOGS_DIR) + path.sep)) {
-    console.error(`[feishu] Log path escapes LOGS_DIR: ${logFile}`);
-    return;
-  }
+
+  // Message store for audit — per thread when applicable
   try {
-    fs.appendFileSync(logFile, logLine);
+    messageStore.appendMessage({
+      ...logEntry,
+      chat_id: chatId,
+      chat_type: chatType,
+      thread_id: threadId,
+      root_id: meta.rootId,
+      parent_id: meta.parentId,
+      msg_type: meta.msgType,
+      attachments: meta.attachments
+    });
   } catch (err) {
     console.error(`[feishu] Failed to write log: ${err.message}`);
   }
+  rememberMessageRoute(messageId, { chatId, chatType, threadId, userName, endpoint: null, forwarded: false });
 
   // In-memory history for context (group chats and threads)
   // Thread messages go to thread history only (context isolation)
@@ -735,6 +911,48 @@ function resolveMentions(text, mentions, { stripBot = false, botOpenId: botId }
   return resolved.trim();
 }
 
+// ============================================================
+// Smart group pre-filter (src/lib/smart-filter.js): rule-based triage of
+// non-mention messages before they reach the agent
+// ============================================================
+const smartForwardedAt = new Map(); // Map<chatId, last forwarded time> for cooldowns
+const smartFilterStats = loadSmartFilterStats();
+let _smartFilterStatsDirty = false;
+
+/**
+ * Run a smart-group message through the group's smartFilter rules and count
+ * the result. Passing messages start the group's cooldown.
+ * @returns {{ pass: boolean, reason: string }}
+ */
+function checkSmartFilter(chatId, text, sender) {
+  const verdict = evaluateSmartFilter(
+    {
+      text,
+      senderIds: [sender.sender_id?.user_id, sender.sender_id?.open_id, sender.sender_id?.app_id],
+      fromBot: sender.sender_type === 'app'
+    },
+    resolveGroupConfig(chatId)?.smartFilter,
+    { lastForwardedAt: smartForwardedAt.get(chatId) || 0 }
+  );
+  if (verdict.reason === 'no-filter') return verdict;
+  countSmartFilterResult(smartFilterStats, chatId, verdict);
+  _smartFilterStatsDirty = true;
+  if (verdict.pass) smartForwardedAt.set(chatId, Date.now());
+  return verdict;
+}
+
+function persistSmartFilterStats() {
+  if (!_smartFilterStatsDirty) return;
+  _smartFilterStatsDirty = false;
+  if (!saveSmartFilterStats(smartFilterStats)) _smartFilterStatsDirty = true;
+}
+
+const smartFilterStatsInterval = setInterval(persistSmartFilterStats, 60 * 1000);
+
+// ============================================================
+// C4 delivery
+// ============================================================
+
 /**
  * Parse c4-receive JSON response from stdout.
  */
@@ -748,52 +966,94 @@ function parseC4Response(stdout) {
 }
 
 /**
- * Send message to Claude via C4 (with 1 retry on unexpected failure)
+ * Hand one outbox entry to C4 (c4-receive).
+ * @returns {Promise<{ ok: boolean, rejected?: boolean, message?: string }>}
  */
-function sendToC4(source, endpoint, content, onReject) {
-  if (!content) {
-    console.error('[feishu] sendToC4 called with empty content');
-    return;
-  }
+function deliverToC4(entry) {
   const childEnv = { ...process.env, FEISHU_INTERNAL_SECRET: INTERNAL_SECRET };
   const args = [
     C4_RECEIVE,
-    '--channel', source,
-    '--endpoint', endpoint,
+    '--channel', entry.channel,
+    '--endpoint', entry.endpoint,
     '--json',
-    '--content', content
+    '--content', entry.content
   ];
 
-  execFile('node', args, { encoding: 'utf8', timeout: 35000, env: childEnv }, (error, stdout) => {
-    if (!error) {
-      console.log(`[feishu] Sent to C4: ${content.substring(0, 50)}...`);
-      return;
-    }
-    const response = parseC4Response(error.stdout || stdout);
-    if (response && response.ok === false && response.error?.message) {
-      console.warn(`[feishu] C4 rejected (${response.error.code}): ${response.error.message}`);
-      if (onReject) onReject(response.error.message);
-      return;
-    }
-    console.warn(`[feishu] C4 send failed, retrying in 2s: ${error.message}`);
-    setTimeout(() => {
-      execFile('node', args, { encoding: 'utf8', timeout: 35000, env: childEnv }, (retryError, retryStdout) => {
-        if (!retryError) {
-          console.log(`[feishu] Sent to C4 (retry): ${content.substring(0, 50)}...`);
-          return;
-        }
-        const retryResponse = parseC4Response(retryError.stdout || retryStdout);
-        if (retryResponse && retryResponse.ok === false && retryResponse.error?.message) {
-          console.error(`[feishu] C4 rejected after retry (${retryResponse.error.code}): ${retryResponse.error.message}`);
-          if (onReject) onReject(retryResponse.error.message);
-        } else {
-          console.error(`[feishu] C4 send failed after retry: ${retryError.message}`);
-        }
-      });
-    }, 2000);
+  return new Promise((resolve) => {
+    execFile('node', args, { encoding: 'utf8', timeout: 35000, env: childEnv }, (error, stdout) => {
+      if (!error) {
+        console.log(`[feishu] Sent to C4: ${entry.content.substring(0, 50)}...`);
+        return resolve({ ok: true });
+      }
+      const response = parseC4Response(error.stdout || stdout);
+      if (response && response.ok === false && response.error?.message) {
+        console.warn(`[feishu] C4 rejected (${response.error.code}): ${response.error.message}`);
+        return resolve({ ok: false, rejected: true, message: response.error.message });
+      }
+      resolve({ ok: false, message: error.message });
+    });
   });
 }
 
+// Reject callbacks of messages this process queued: Map<entryId, onReject>.
+// After a restart, notify entries fall back to a reply built from the endpoint.
+const c4RejectHandlers = new Map();
+
+/**
+ * An outbox entry was given up on (rejected by C4, or expired): tell the
+ * sender when the entry asks for it.
+ */
+function handleC4Failure(entry, reason, message) {
+  const onReject = c4RejectHandlers.get(entry.id);
+  c4RejectHandlers.delete(entry.id);
+  if (!onReject && !entry.notify) return;
+  const expiryMinutes = Math.round(getOutboxExpiryMs(config) / 60000);
+  const text = reason === 'rejected'
+    ? message
+    : `Sorry, your message could not be delivered to the agent within ${expiryMinutes} minutes and was dropped. Please send it again.`;
+  if (onReject) {
+    onReject(text);
+    return;
+  }
+  const target = parseEndpoint(entry.endpoint);
+  if (target.messageId) removeTypingIndicator(target.messageId);
+  sendThreadAwareMessage(target.chatId, text, target)
+    .catch(e => console.error('[feishu] outbox failure reply failed:', e.message));
+}
+
+const c4Outbox = createOutbox({
+  deliver: async (entry) => {
+    const result = await deliverToC4(entry);
+    if (result.ok) c4RejectHandlers.delete(entry.id);
+    return result;
+  },
+  onFailure: handleC4Failure,
+  getExpiryMs: () => getOutboxExpiryMs(config),
+});
+
+/**
+ * Send message to Claude via C4, through the durable outbox
+ * (src/lib/outbox.js: retried with backoff, in order per chat).
+ * onReject(text) is called when C4 refuses the message or it expires.
+ */
+function sendToC4(source, endpoint, content, onReject) {
+  if (!content) {
+    console.error('[feishu] sendToC4 called with empty content');
+    return;
+  }
+  try {
+    const entry = c4Outbox.enqueue({ channel: source, endpoint, content, notify: !!onReject });
+    if (onReject) c4RejectHandlers.set(entry.id, onReject);
+  } catch (err) {
+    // Outbox not writable: one direct attempt
+    console.error(`[feishu] Outbox write failed, sending directly: ${err.message}`);
+    deliverToC4({ channel: source, endpoint, content }).then((result) => {
+      if (!result.ok) console.error(`[feishu] C4 send failed: ${result.message}`);
+      if (result.rejected && onReject) onReject(result.message);
+    });
+  }
+}
+
 /**
  * Build structured endpoint string for C4.
  * Format: chatId|type:group|root:rootId|parent:parentId|msg:messageId
@@ -819,30 +1079,43 @@ function buildEndpoint(chatId, { chatType, rootId, parentId, messageId, threadId
   return endpoint;
 }
 
+/**
+ * Reply target encoded in an endpoint string (inverse of buildEndpoint).
+ * @returns {{ chatId: string, chatType?: string, rootId?: string, parentId?: string, messageId?: string, threadId?: string }}
+ */
+function parseEndpoint(endpoint) {
+  const [chatId, ...parts] = String(endpoint).split('|');
+  const fields = {};
+  for (const part of parts) {
+    const colonIdx = part.indexOf(':');
+    if (colonIdx > 0) fields[part.substring(0, colonIdx)] = part.substring(colonIdx + 1);
+  }
+  return {
+    chatId,
+    chatType: fields.type,
+    rootId: fields.root,
+    parentId: fields.parent,
+    messageId: fields.msg,
+    threadId: fields.thread
+  };
+}
+
 /**
  * Fetch content of a quoted/replied message (best-effort).
  * Returns { sender, text } with resolved sender name.
  */
 async function fetchQuotedMessage(messageId) {
   try {
-    const { getClient } = await import('./lib/client.js');
-    const client = getClient();
-    const res = await client.im.message.get({
-      path: { message_id: messageId },
-    });
-    if (res.code === 0 && res.data?.items?.[0]) {
-      const msg = res.data.items[0];
-      const senderId = msg.sender?.id;
-      const senderName = await resolveUserName(senderId);
-      const content = JSON.parse(msg.body?.content || '{}');
-      let text;
-      if (msg.msg_type === 'text') {
-        text = content.text || '';
-      } else if (msg.msg_type === 'post') {
-        ({ text } = extractPostText(JSON.parse(msg.body?.content || '{}').content || [], messageId));
-      } else {
-        text = `[${msg.msg_type} message]`;
-      }
+    const result = await getMessage(messageId);
+    if (result.success) {
+      const msg = result.item;
+      const senderName = await resolveUserName(msg.sender);
+      const extracted = await extractMessageContent(
+        { msgType: msg.type, content: msg.rawContent, messageId },
+        contentDeps
+      );
+      const refs = buildMediaRefs(extracted, messageId, { includeImages: msg.type !== 'post' });
+      let text = [extracted.text, ...refs].filter(Boolean).join('\n');
       // Resolve @mentions in quoted message
       if (msg.mentions && msg.mentions.length > 0) {
         text = resolveMentions(text, msg.mentions);
@@ -873,7 +1146,7 @@ function formatMessage(
   userName,
   text,
   contextMessages = [],
-  mediaPath = null,
+  attachments = [],
   { quotedContent, threadContext, threadRootId, groupName, smartHint } = {}
 ) {
   const prefix = chatType === 'p2p'
@@ -920,114 +1193,88 @@ When uncertain, prefer NOT to reply. Reply with exactly [SKIP] to stay silent.
 
   parts.push(`<current-message>\n${safeText}\n</current-message>`);
 
+  const files = (attachments || []).filter(a => a.path);
+  if (files.length > 0) {
+    const lines = files.map((a) => {
+      const name = a.name ? ` name="${escapeXml(a.name)}"` : '';
+      return `<attachment kind="${escapeXml(a.kind)}" key="${escapeXml(a.key)}"${name} path="${escapeXml(a.path)}" />`;
+    });
+    parts.push(`\n\n<attachments>\n${lines.join('\n')}\n</attachments>`);
+  }
+
   let message = parts.join('');
 
-  if (mediaPath) {
-    message += ` ---- file: ${escapeXml(mediaPath)}`;
+  // Single-file suffix kept for C4 consumers that only read the first attachment
+  if (files.length > 0) {
+    message += ` ---- file: ${escapeXml(files[0].path)}`;
   }
 
   return message;
 }
 
-function buildSafeDownloadPath(downloadDir, prefix, fileName) {
-  const safeName = path.basename(fileName || 'file').replace(/[^a-zA-Z0-9_.-]/g, '_') || 'file';
-  const filePath = path.join(downloadDir, `${prefix}-${safeName}`);
-  const resolvedDir = path.resolve(downloadDir);
-  const resolvedPath = path.resolve(filePath);
-  if (!resolvedPath.startsWith(resolvedDir + path.sep)) {
-    throw new Error('Path traversal blocked');
-  }
-  return filePath;
-}
-
 /**
- * Extract text from a Feishu post (rich text) message.
- * Post messages have nested arrays: paragraphs > elements.
- * Each element has a tag (text, at, a, img, media, emotion).
+ * Download every attachment of a message into the chat's media directory.
+ * Goes through the media cache, so a resource fetched before (by the bot,
+ * download.js or the CLI) is not downloaded again.
  *
- * @param {Array} paragraphs - content.content array from post message
- * @param {string} messageId - message ID for lazy media references
- * @returns {{ text: string, imageKeys: string[] }} Extracted text and image keys
+ * @param {string} messageId
+ * @param {string} chatId
+ * @param {Array<{ kind: string, key: string, name: string|null }>} attachments
+ * @returns {Promise<Array<{ kind: string, key: string, name: string|null, path: string|null, tooLarge?: boolean, size?: number }>>}
+ *   Same order as the input; path is null when the download failed or exceeded media.maxSizeMB
  */
-function extractPostText(paragraphs, messageId) {
-  const imageKeys = [];
-  const lines = [];
-
-  for (const paragraph of paragraphs) {
-    if (!Array.isArray(paragraph)) continue;
-    const parts = [];
-
-    for (const el of paragraph) {
-      switch (el.tag) {
-        case 'text':
-          parts.push(el.text || '');
-          break;
-        case 'at':
-          parts.push(`@${el.user_name || el.user_id || 'unknown'}`);
-          break;
-        case 'a':
-          if (el.href) {
-            parts.push(`${el.text || ''}(${el.href})`);
-          } else {
-            parts.push(el.text || '');
-          }
-          break;
-        case 'img':
-          if (el.image_key) {
-            imageKeys.push(el.image_key);
-            parts.push(`[image, image_key: ${el.image_key}, msg_id: ${messageId}]`);
-          }
-          break;
-        case 'media':
-          parts.push(`[media, file_key: ${el.file_key || 'unknown'}, msg_id: ${messageId}]`);
-          break;
-        case 'emotion':
-          parts.push(el.emoji_type ? `[${el.emoji_type}]` : '');
-          break;
-        default:
-          if (el.text) parts.push(el.text);
-          break;
-      }
+async function downloadAttachments(messageId, chatId, attachments) {
+  const limits = getMediaLimits(config);
+  const results = [];
+  for (const attachment of attachments) {
+    const result = await downloadMedia({
+      messageId,
+      key: attachment.key,
+      kind: attachment.kind,
+      chatId,
+      name: attachment.name,
+      limits,
+    });
+    if (!result.success) {
+      console.warn(`[feishu] Failed to download ${attachment.kind} ${attachment.key}: ${result.message}`);
     }
-
-    lines.push(parts.join(''));
+    results.push({
+      ...attachment,
+      path: result.success ? result.path : null,
+      ...(result.tooLarge ? { tooLarge: true, size: result.size } : {}),
+    });
   }
-
-  return { text: lines.join('\n'), imageKeys };
+  return results;
 }
 
-// Extract content from Feishu message
-// Returns imageKeys as array (all images from post messages, or single image)
-function extractMessageContent(message) {
-  const msgType = message.message_type;
-  let content;
+// Resolve a shared group's display name: configured name first, then the API
+async function resolveChatName(chatId) {
+  const configured = getGroupName(chatId);
+  if (configured && configured !== String(chatId)) return configured;
   try {
-    content = JSON.parse(message.content || '{}');
-  } catch {
-    console.error(`[feishu] Failed to parse message content: ${String(message.content).slice(0, 100)}`);
-    content = {};
-  }
-
-  switch (msgType) {
-    case 'text':
-      return { text: content.text || '', imageKeys: [], fileKey: null, fileName: null };
-    case 'post': {
-      if (content.content) {
-        const { text, imageKeys } = extractPostText(content.content, message.message_id);
-        const fullText = content.title ? `[${content.title}] ${text}` : text;
-        return { text: fullText, imageKeys, fileKey: null, fileName: null };
-      }
-      return { text: '', imageKeys: [], fileKey: null, fileName: null };
-    }
-    case 'image':
-      return { text: '', imageKeys: content.image_key ? [content.image_key] : [], fileKey: null, fileName: null };
-    case 'file':
-      return { text: '', imageKeys: [], fileKey: content.file_key, fileName: content.file_name || 'unknown' };
-    default:
-      return { text: `[${msgType} message]`, imageKeys: [], fileKey: null, fileName: null };
+    const result = await getChatInfo(chatId);
+    if (result.success && result.chat?.name) return result.chat.name;
+  } catch (err) {
+    console.log(`[feishu] Failed to lookup chat ${chatId}: ${err.message}`);
   }
+  return null;
 }
 
+// Lookups used by the message content extractors (share cards, merge_forward)
+const contentDeps = {
+  resolveUserName: (id) => resolveUserName(id),
+  resolveChatName,
+  resolveMentions: (text, mentions) => resolveMentions(text, mentions),
+  fetchForwardedMessages: async (messageId) => {
+    const result = await listForwardedMessages(messageId);
+    if (!result.success) throw new Error(result.message);
+    return result.items;
+  },
+};
+
+// History warm-up renders many messages at once: no extra API call per merge_forward
+const { fetchForwardedMessages: _fetchForwarded, ...historyContentDeps } = contentDeps;
+
 // Bind owner (first private chat user)
 async function bindOwner(userId, openId) {
   const userName = await resolveUserName(userId, openId);
@@ -1078,7 +1325,10 @@ function isDmAllowed(userId, openId) {
 async function sendThreadAwareMessage(chatId, text, { chatType, rootId, parentId, messageId } = {}) {
   return sendThreadAware(
     { chatId, text, chatType, rootId, parentId, messageId },
-    { replyToMessage, sendMessage },
+    {
+      replyToMessage: (target, body) => replyToMessage(target, body, 'text', { chatId }),
+      sendMessage,
+    },
   );
 }
 
@@ -1116,23 +1366,22 @@ async function handleMessage(data) {
 
   // Unified dedup check (both websocket and webhook modes)
   if (isDuplicate(messageId)) return;
+  knownChatTypes.set(chatId, chatType);
 
-  const { text, imageKeys, fileKey, fileName } = extractMessageContent(message);
+  const extracted = await extractMessageContent(
+    { msgType: message.message_type, content: message.content, messageId },
+    contentDeps
+  );
+  const { text, attachments } = extracted;
   console.log(`[feishu] ${chatType} message from ${senderUserId}: ${(text || '').substring(0, 50) || '[media]'}...`);
 
   // Build log text with file/image metadata
-  let logText = text;
-  for (const imgKey of imageKeys) {
-    const imageInfo = `[image, image_key: ${imgKey}, msg_id: ${messageId}]`;
-    logText = logText ? `${logText}\n${imageInfo}` : imageInfo;
-  }
-  if (fileKey) {
-    const fileInfo = `[file: ${fileName}, file_key: ${fileKey}, msg_id: ${messageId}]`;
-    logText = logText ? `${logText}\n${fileInfo}` : fileInfo;
-  }
+  const logRefs = buildMediaRefs(extracted, messageId, { includeImages: message.message_type !== 'post' });
+  const logText = [text, ...logRefs].filter(Boolean).join('\n');
 
   // Build structured endpoint with routing metadata
   const endpoint = buildEndpoint(chatId, { chatType, rootId, parentId, messageId, threadId });
+  const storeMeta = { rootId, parentId, msgType: message.message_type, attachments };
 
   // quotedContent is fetched lazily after routing eligibility checks
   let quotedContent = null;
@@ -1152,76 +1401,50 @@ async function handleMessage(data) {
       return;
     }
 
-    await logMessage(chatType, chatId, senderUserId, senderOpenId, logText, messageId, data._timestamp || null, mentions, threadId);
+    const slot = messageBursts.join(burstKey(chatId, threadId, senderUserId || senderOpenId), getCoalesceWindowMs(config, chatType));
+    try {
+      await logMessage(chatType, chatId, senderUserId, senderOpenId, logText, messageId, data._timestamp || null, mentions, threadId, storeMeta);
 
-    // Add typing indicator
-    addTypingIndicator(messageId);
-
-    // Fetch context: thread context for topic messages, quoted content for replies
-    if (threadId) {
-      const threadHistoryKey = getHistoryKey(chatId, threadId);
-      const threadHistoryLimit = config.message?.context_messages || DEFAULT_HISTORY_LIMIT;
-      threadContext = await getContextWithFallback(threadId, messageId, 'thread', threadHistoryKey, threadHistoryLimit);
-      // Pin root message first in thread context
-      if (threadContext && rootId) {
-        threadContext = pinRootMessage(threadContext, rootId, threadHistoryKey);
+      // One typing indicator per burst
+      if (!slot.state.typingMessageId) {
+        slot.state.typingMessageId = messageId;
+        addTypingIndicator(messageId);
       }
-    } else if (parentId) {
-      quotedContent = await fetchQuotedMessage(parentId);
-    }
-
-    const senderName = await resolveUserName(senderUserId, senderOpenId);
-    const cleanText = resolveMentions(text, mentions);
-    const threadRootId = threadId ? rootId : null;
-    const rejectReply = (errMsg) => {
-      removeTypingIndicator(messageId);
-      sendThreadAwareMessage(chatId, errMsg, { chatType, rootId, parentId, messageId })
-        .catch(e => console.error('[feishu] reject reply failed:', e.message));
-    };
 
-    // Handle images (lazy download: only when message is being sent to C4)
-    if (imageKeys.length > 0) {
-      const mediaPaths = [];
-      for (const imgKey of imageKeys) {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const localPath = path.join(MEDIA_DIR, `feishu-${timestamp}-${imgKey.replace(/[^a-zA-Z0-9_-]/g, '').slice(-8)}.png`);
-        const result = await downloadImage(messageId, imgKey, localPath);
-        if (result.success) {
-          mediaPaths.push(localPath);
+      // Fetch context: thread context for topic messages (once per burst), quoted content for replies
+      if (threadId) {
+        if (slot.first) {
+          const threadHistoryKey = getHistoryKey(chatId, threadId);
+          const threadHistoryLimit = config.message?.context_messages || DEFAULT_HISTORY_LIMIT;
+          threadContext = await getContextWithFallback(threadId, messageId, 'thread', threadHistoryKey, threadHistoryLimit);
+          // Pin root message first in thread context
+          if (threadContext && rootId) {
+            threadContext = pinRootMessage(threadContext, rootId, threadHistoryKey);
+          }
         }
+      } else if (parentId) {
+        quotedContent = await fetchQuotedMessage(parentId);
       }
-      if (mediaPaths.length > 0) {
-        const mediaLabel = mediaPaths.length === 1 ? '[image]' : `[${mediaPaths.length} images]`;
-        const msg = formatMessage('p2p', senderName, `${mediaLabel}${cleanText ? ' ' + cleanText : ''}`, [], mediaPaths[0], { quotedContent, threadContext, threadRootId });
-        sendToC4('feishu', endpoint, msg, rejectReply);
-      } else {
-        const msg = formatMessage('p2p', senderName, '[image download failed]', [], null, { quotedContent, threadContext, threadRootId });
-        sendToC4('feishu', endpoint, msg, rejectReply);
-      }
-      return;
-    }
 
-    if (fileKey) {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      let localPath = null;
-      try {
-        localPath = buildSafeDownloadPath(MEDIA_DIR, `feishu-${timestamp}`, fileName);
-      } catch (err) {
-        console.warn(`[feishu] Blocked unsafe file path: ${err.message}`);
-      }
-      const result = localPath ? await downloadFile(messageId, fileKey, localPath) : { success: false };
-      if (result.success && localPath) {
-        const msg = formatMessage('p2p', senderName, `[file: ${fileName}]`, [], localPath, { quotedContent, threadContext, threadRootId });
-        sendToC4('feishu', endpoint, msg, rejectReply);
-      } else {
-        const msg = formatMessage('p2p', senderName, `[file download failed: ${fileName}]`, [], null, { quotedContent, threadContext, threadRootId });
-        sendToC4('feishu', endpoint, msg, rejectReply);
+      const senderName = await resolveUserName(senderUserId, senderOpenId);
+      const cleanText = resolveMentions(text, mentions);
+      const part = {
+        chatType, chatId, messageId, rootId, parentId, endpoint, senderName, text: cleanText, attachments: [],
+        contextMessages: [], quotedContent, threadContext, threadRootId: threadId ? rootId : null
+      };
+
+      // Handle images and files (lazy download: only when message is being sent to C4)
+      if (attachments.length > 0) {
+        const downloaded = await downloadAttachments(messageId, chatId, attachments);
+        protectMedia(downloaded.map(a => a.path));
+        const label = describeAttachments(downloaded);
+        part.text = `${label}${cleanText ? ' ' + cleanText : ''}`;
+        part.attachments = downloaded;
       }
-      return;
+      slot.fill(part);
+    } finally {
+      slot.drop();
     }
-
-    const msg = formatMessage('p2p', senderName, cleanText, [], null, { quotedContent, threadContext, threadRootId });
-    sendToC4('feishu', endpoint, msg, rejectReply);
     return;
   }
 
@@ -1232,7 +1455,7 @@ async function handleMessage(data) {
     const groupPolicy = config.groupPolicy || 'allowlist';
     if (groupPolicy === 'disabled') {
       if (mentioned) {
-        replyToMessage(messageId, "Sorry, group chat is currently disabled.").catch(() => {});
+        replyToMessage(messageId, "Sorry, group chat is currently disabled.", 'text', { chatId }).catch(() => {});
       }
       console.log(`[feishu] Group policy disabled, ignoring group message from ${senderUserId}`);
       return;
@@ -1244,7 +1467,7 @@ async function handleMessage(data) {
     if (!allowedGroup && !(senderIsOwner && mentioned)) {
       if (mentioned) {
         console.log(`[feishu] Group ${chatId} not allowed by policy, rejecting`);
-        replyToMessage(messageId, "Sorry, I'm not available in this group.").catch(() => {});
+        replyToMessage(messageId, "Sorry, I'm not available in this group.", 'text', { chatId }).catch(() => {});
       } else {
         console.log(`[feishu] Group ${chatId} not allowed by policy, ignoring`);
       }
@@ -1254,7 +1477,7 @@ async function handleMessage(data) {
     if (!isSenderAllowedInGroup(chatId, senderUserId, senderOpenId) && !senderIsOwner) {
       if (mentioned) {
         console.log(`[feishu] Sender ${senderUserId} not in group ${chatId} allowFrom, rejecting`);
-        replyToMessage(messageId, "Sorry, you don't have permission to interact with me in this group.").catch(() => {});
+        replyToMessage(messageId, "Sorry, you don't have permission to interact with me in this group.", 'text', { chatId }).catch(() => {});
       } else {
         console.log(`[feishu] Sender ${senderUserId} not in group ${chatId} allowFrom, ignoring`);
       }
@@ -1263,107 +1486,695 @@ async function handleMessage(data) {
 
     if (!smart && !mentioned) {
       if (allowedGroup) {
-        await logMessage(chatType, chatId, senderUserId, senderOpenId, logText, messageId, data._timestamp || null, mentions, threadId);
+        await logMessage(chatType, chatId, senderUserId, senderOpenId, logText, messageId, data._timestamp || null, mentions, threadId, storeMeta);
       }
       console.log(`[feishu] Group message without @mention, logged only`);
       return;
     }
 
+    if (smartNoMention) {
+      const verdict = checkSmartFilter(chatId, resolveMentions(text, mentions), sender);
+      if (!verdict.pass) {
+        await logMessage(chatType, chatId, senderUserId, senderOpenId, logText, messageId, data._timestamp || null, mentions, threadId, storeMeta);
+        console.log(`[feishu] Smart group ${chatId}: filtered (${verdict.reason}), logged only`);
+        return;
+      }
+    }
+
     // Group user access is controlled by groupPolicy + groups config + per-group allowFrom.
     // No separate user-level whitelist for groups (dmPolicy/dmAllowFrom only applies to DMs).
 
-    await logMessage(chatType, chatId, senderUserId, senderOpenId, logText, messageId, data._timestamp || null, mentions, threadId);
+    const slot = messageBursts.join(burstKey(chatId, threadId, senderUserId || senderOpenId), getCoalesceWindowMs(config, chatType));
+    try {
+      await logMessage(chatType, chatId, senderUserId, senderOpenId, logText, messageId, data._timestamp || null, mentions, threadId, storeMeta);
 
-    console.log(`[feishu] ${smart ? 'Smart group' : 'Bot @mentioned in'} group ${chatId}`);
-    await preloadGroupMembers(chatId);
-    const contextMessages = await getGroupContext(chatId, messageId);
-    updateCursor(chatId, messageId);
+      console.log(`[feishu] ${smart ? 'Smart group' : 'Bot @mentioned in'} group ${chatId}`);
+      await preloadGroupMembers(chatId);
+      const contextMessages = slot.first ? await getGroupContext(chatId, messageId) : [];
+      updateCursor(chatId, messageId);
 
-    // Smart mode without @mention may skip reply entirely ([SKIP]), so do not show typing.
-    if (!smartNoMention) {
-      addTypingIndicator(messageId);
-    }
+      // Smart mode without @mention may skip reply entirely ([SKIP]), so do not show typing.
+      // One typing indicator per burst.
+      if (!smartNoMention && !slot.state.typingMessageId) {
+        slot.state.typingMessageId = messageId;
+        addTypingIndicator(messageId);
+      }
 
-    // Fetch context: thread context for topic messages, quoted content for replies
-    if (threadId) {
-      const threadHistoryKey = getHistoryKey(chatId, threadId);
-      const threadHistoryLimit = getGroupHistoryLimit(chatId);
-      threadContext = await getContextWithFallback(threadId, messageId, 'thread', threadHistoryKey, threadHistoryLimit);
-      // Pin root message first in thread context
-      if (threadContext && rootId) {
-        threadContext = pinRootMessage(threadContext, rootId, threadHistoryKey);
+      // Fetch context: thread context for topic messages (once per burst), quoted content for replies
+      if (threadId) {
+        if (slot.first) {
+          const threadHistoryKey = getHistoryKey(chatId, threadId);
+          const threadHistoryLimit = getGroupHistoryLimit(chatId);
+          threadContext = await getContextWithFallback(threadId, messageId, 'thread', threadHistoryKey, threadHistoryLimit);
+          // Pin root message first in thread context
+          if (threadContext && rootId) {
+            threadContext = pinRootMessage(threadContext, rootId, threadHistoryKey);
+          }
+        }
+      } else if (parentId) {
+        quotedContent = await fetchQuotedMessage(parentId);
       }
-    } else if (parentId) {
-      quotedContent = await fetchQuotedMessage(parentId);
-    }
 
-    const senderName = await resolveUserName(senderUserId, senderOpenId);
-    const cleanText = resolveMentions(text, mentions);
-    const cleanLogText = resolveMentions(logText, mentions);
-    const threadRootId = threadId ? rootId : null;
-    const groupRejectReply = (errMsg) => {
-      removeTypingIndicator(messageId);
-      sendThreadAwareMessage(chatId, errMsg, { chatType, rootId, parentId, messageId })
-        .catch(e => console.error('[feishu] reject reply failed:', e.message));
-    };
+      const senderName = await resolveUserName(senderUserId, senderOpenId);
+      const cleanText = resolveMentions(text, mentions);
+      const cleanLogText = resolveMentions(logText, mentions);
+      const part = {
+        chatType, chatId, messageId, rootId, parentId, endpoint, senderName, text: cleanText || text, attachments: [],
+        contextMessages, quotedContent, threadContext, threadRootId: threadId ? rootId : null,
+        groupName: getGroupName(chatId), smartHint: smartNoMention
+      };
 
-    // Handle images (lazy download: only for messages being sent to C4)
-    if (imageKeys.length > 0) {
-      if (smartNoMention) {
-        const msg = formatMessage('group', senderName, cleanLogText || '[image]', contextMessages, null, { quotedContent, threadContext, threadRootId, groupName: getGroupName(chatId), smartHint: true });
-        sendToC4('feishu', endpoint, msg, groupRejectReply);
-        return;
-      }
+      // Handle images and files (lazy download: only for messages being sent to C4)
+      if (attachments.length > 0) {
+        if (smartNoMention) {
+          part.text = cleanLogText;
+          slot.fill(part);
+          return;
+        }
 
-      const mediaPaths = [];
-      for (const imgKey of imageKeys) {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const localPath = path.join(MEDIA_DIR, `feishu-group-${timestamp}-${imgKey.replace(/[^a-zA-Z0-9_-]/g, '').slice(-8)}.png`);
-        const result = await downloadImage(messageId, imgKey, localPath);
-        if (result.success) {
-          mediaPaths.push(localPath);
+        const downloaded = await downloadAttachments(messageId, chatId, attachments);
+        // Oversized attachments still reach the agent as a placeholder
+        if (downloaded.some(a => a.path || a.tooLarge)) {
+          protectMedia(downloaded.map(a => a.path));
+          const label = describeAttachments(downloaded);
+          part.text = `${label}${cleanText ? ' ' + cleanText : ''}`;
+          part.attachments = downloaded;
+        } else {
+          slot.drop();
+          removeTypingIndicator(messageId);
+          const what = attachments.every(a => a.kind === 'image') ? 'Image' : 'File';
+          sendThreadAwareMessage(chatId, `${what} download failed. Please resend the ${what.toLowerCase()}.`, { chatType, rootId, parentId, messageId })
+            .catch(e => console.error('[feishu] media error reply failed:', e.message));
+          return;
         }
       }
-      if (mediaPaths.length > 0) {
-        const mediaLabel = mediaPaths.length === 1 ? '[image]' : `[${mediaPaths.length} images]`;
-        const msg = formatMessage('group', senderName, `${mediaLabel}${cleanText ? ' ' + cleanText : ''}`, contextMessages, mediaPaths[0], { quotedContent, threadContext, threadRootId, groupName: getGroupName(chatId) });
-        sendToC4('feishu', endpoint, msg, groupRejectReply);
-      } else {
-        removeTypingIndicator(messageId);
-        sendThreadAwareMessage(chatId, 'Image download failed. Please resend the image.', { chatType, rootId, parentId, messageId })
-          .catch(e => console.error('[feishu] image error reply failed:', e.message));
-      }
-      return;
+      slot.fill(part);
+    } finally {
+      slot.drop();
     }
+  }
+}
 
-    if (fileKey) {
-      if (smartNoMention) {
-        const msg = formatMessage('group', senderName, cleanLogText || `[file: ${fileName}]`, contextMessages, null, { quotedContent, threadContext, threadRootId, groupName: getGroupName(chatId), smartHint: true });
-        sendToC4('feishu', endpoint, msg, groupRejectReply);
-        return;
+/**
+ * Hand a burst of messages from one sender (see src/lib/coalesce.js) to C4
+ * as one turn. Context comes from the first message; the reply goes to the
+ * last one, which also carries the burst's typing indicator.
+ *
+ * @param {object[]} parts - Messages in arrival order
+ * @param {{ typingMessageId?: string }} state - Burst state
+ */
+function sendBurstToC4(parts, state) {
+  const first = parts[0];
+  const last = parts[parts.length - 1];
+  const { chatType, chatId, rootId, parentId, messageId, endpoint } = last;
+  if (parts.length > 1) {
+    console.log(`[feishu] Coalesced ${parts.length} messages from ${last.senderName} in ${chatId}`);
+  }
+  for (const part of parts) markMessageForwarded(part.messageId, endpoint);
+
+  if (state.typingMessageId && state.typingMessageId !== messageId) {
+    removeTypingIndicator(state.typingMessageId);
+    addTypingIndicator(messageId);
+    state.typingMessageId = messageId;
+  }
+
+  const text = parts.map(p => p.text).filter(Boolean).join('\n');
+  const attachments = parts.flatMap(p => p.attachments);
+  const msg = formatMessage(chatType === 'p2p' ? 'p2p' : 'group', last.senderName, text, first.contextMessages, attachments, {
+    quotedContent: parts.find(p => p.quotedContent)?.quotedContent || null,
+    threadContext: first.threadContext,
+    threadRootId: first.threadRootId,
+    groupName: first.groupName,
+    smartHint: parts.every(p => p.smartHint)
+  });
+  const rejectReply = (errMsg) => {
+    removeTypingIndicator(messageId);
+    sendThreadAwareMessage(chatId, errMsg, { chatType, rootId, parentId, messageId })
+      .catch(e => console.error('[feishu] reject reply failed:', e.message));
+  };
+  sendToC4('feishu', endpoint, msg, rejectReply);
+}
+
+const messageBursts = createCoalescer({ onFlush: sendBurstToC4 });
+
+/**
+ * Handle im.message.recalled_v1 event.
+ * Marks the message recalled in in-memory history and the audit log, clears a
+ * pending typing indicator, and tells the agent if the message reached C4.
+ *
+ * @param {object} data - { message_id, chat_id, recall_time, recall_type }
+ */
+async function handleMessageRecalled(data) {
+  const messageId = data.message_id;
+  if (!messageId) return;
+  if (isDuplicate(`recall:${messageId}`)) return;
+
+  const route = messageRoutes.get(messageId);
+  const chatId = data.chat_id || route?.chatId;
+  const recallTime = data.recall_time
+    ? new Date(parseInt(data.recall_time, 10)).toISOString()
+    : new Date().toISOString();
+  console.log(`[feishu] Message ${messageId} recalled in ${chatId} (${data.recall_type || 'unknown'})`);
+
+  // In-memory history: keep the entry (dedup) but exclude it from context
+  let recalledText = null;
+  for (const history of chatHistories.values()) {
+    const entry = history.find(m => m.message_id === messageId);
+    if (entry) {
+      entry.recalled = true;
+      recalledText = entry.text;
+    }
+  }
+
+  // Message store: a recall record in the original message's chat/thread
+  storeRecall(messageId, { chatId, threadId: route?.threadId, recallType: data.recall_type || null, timestamp: recallTime });
+
+  if (activeTypingIndicators.has(messageId)) {
+    removeTypingIndicator(messageId);
+  }
+
+  // Only notify the agent about messages it has actually received
+  if (route?.forwarded && route.endpoint) {
+    const userName = escapeXml(route.userName || 'unknown');
+    const lines = [`[Feishu RECALL] ${userName} recalled message ${escapeXml(messageId)}. Drop any pending reply to it.`];
+    if (recalledText) {
+      lines.push(`<recalled-message>\n${escapeXml(recalledText)}\n</recalled-message>`);
+    }
+    sendToC4('feishu', route.endpoint, lines.join('\n'));
+  }
+}
+
+/**
+ * Append a recall record to the message store.
+ */
+function storeRecall(messageId, where) {
+  try {
+    messageStore.recordRecall(messageId, where);
+  } catch (err) {
+    console.error(`[feishu] Failed to write recall log: ${err.message}`);
+  }
+}
+
+/**
+ * Record a recall the bot made itself (send.js [RECALL:...] / cli.js recall).
+ * The message is removed from in-memory history and a recall record is
+ * appended to the message store. Claims the recall dedup key, so the
+ * matching im.message.recalled_v1 event (if Feishu sends one) is skipped.
+ * @returns {boolean} whether the message was in history
+ */
+function recordBotRecall(messageId, chatId, threadId = null) {
+  isDuplicate(`recall:${messageId}`);
+  let removed = false;
+  for (const history of chatHistories.values()) {
+    const idx = history.findIndex(m => m.message_id === messageId);
+    if (idx !== -1) {
+      history.splice(idx, 1);
+      removed = true;
+    }
+  }
+
+  storeRecall(messageId, { chatId, threadId, recallType: 'bot' });
+  console.log(`[feishu] Bot message ${messageId} recalled in ${chatId || 'unknown chat'}`);
+  return removed;
+}
+
+/**
+ * Check whether a user may interact with the bot in a chat outside of a
+ * message (reactions, card actions). Same DM/group policy as handleMessage,
+ * minus the @mention requirement.
+ */
+function isInteractionAllowed(chatType, chatId, userId, openId) {
+  if (chatType === 'p2p') return isDmAllowed(userId, openId);
+  if ((config.groupPolicy || 'allowlist') === 'disabled') return false;
+  if (isOwner(userId, openId)) return true;
+  return isGroupAllowed(chatId) && isSenderAllowedInGroup(chatId, userId, openId);
+}
+
+// ============================================================
+// Reaction feedback (emoji reactions on the bot's own messages)
+// ============================================================
+const REACTION_TARGET_LIMIT = 500;
+// Map<messageId, { isBot, chatId, rootId, threadId, excerpt }> — reacted-to message info
+const reactionTargets = new Map();
+// Map<chatId, 'p2p'|'group'> — learned from incoming messages, API fallback otherwise
+const knownChatTypes = new Map();
+
+/**
+ * Resolve a chat's type, asking the API for chats not seen since startup.
+ */
+async function resolveChatType(chatId) {
+  if (knownChatTypes.has(chatId)) return knownChatTypes.get(chatId);
+  const result = await getChatInfo(chatId);
+  if (!result.success) return null;
+  const chatType = result.chat.chatMode === 'p2p' ? 'p2p' : 'group';
+  knownChatTypes.set(chatId, chatType);
+  return chatType;
+}
+
+/**
+ * Look up (and cache) whether a message was sent by this bot.
+ */
+async function resolveReactionTarget(messageId) {
+  if (reactionTargets.has(messageId)) return reactionTargets.get(messageId);
+  const result = await getMessage(messageId);
+  if (!result.success) {
+    console.log(`[feishu] Failed to fetch reacted message ${messageId}: ${result.message}`);
+    return null;
+  }
+  const item = result.item;
+  const isBot = item.senderType === 'app' &&
+    (String(item.sender) === String(botAppId || '') || String(item.sender) === String(botOpenId || ''));
+  let excerpt = item.type === 'text' ? item.content : `[${item.type} message]`;
+  if (excerpt.length > 200) excerpt = excerpt.substring(0, 200) + '...';
+  const target = { isBot, chatId: item.chatId, rootId: item.rootId, threadId: item.threadId, excerpt };
+  reactionTargets.set(messageId, target);
+  if (reactionTargets.size > REACTION_TARGET_LIMIT) {
+    reactionTargets.delete(reactionTargets.keys().next().value);
+  }
+  return target;
+}
+
+/**
+ * Whether reaction feedback is forwarded for a chat.
+ * Per-group `reactionFeedback` overrides the global `message.reactionFeedback` (default on).
+ */
+function isReactionFeedbackEnabled(chatId, chatType) {
+  if (chatType === 'group') {
+    const groupConfig = resolveGroupConfig(chatId);
+    if (typeof groupConfig?.reactionFeedback === 'boolean') return groupConfig.reactionFeedback;
+  }
+  return config.message?.reactionFeedback !== false;
+}
+
+/**
+ * Handle im.message.reaction.created_v1 / deleted_v1 events.
+ * Reactions on the bot's own messages are forwarded to C4 as compact feedback.
+ *
+ * @param {object} data - { message_id, reaction_type, operator_type, user_id, action_time }
+ * @param {'added'|'removed'} action
+ */
+async function handleReaction(data, action) {
+  const messageId = data.message_id;
+  const emojiType = data.reaction_type?.emoji_type;
+  const userOpenId = data.user_id?.open_id;
+  const userUserId = data.user_id?.user_id;
+  if (!messageId || !emojiType) return;
+  // Ignore the bot's own reactions (typing indicator) and other apps
+  if (data.operator_type && data.operator_type !== 'user') return;
+  if (emojiType === TYPING_EMOJI) return;
+  if (isDuplicate(`reaction:${action}:${messageId}:${userOpenId || userUserId}:${emojiType}:${data.action_time || ''}`)) return;
+
+  const target = await resolveReactionTarget(messageId);
+  if (!target?.isBot) return;
+  const chatId = target.chatId;
+  const chatType = await resolveChatType(chatId);
+  if (!chatType) return;
+
+  if (!isReactionFeedbackEnabled(chatId, chatType)) return;
+  if (!isInteractionAllowed(chatType, chatId, userUserId, userOpenId)) return;
+
+  const userName = await resolveUserName(userUserId, userOpenId);
+  console.log(`[feishu] Reaction ${action}: ${userName} ${emojiType} on ${messageId}`);
+
+  const prefix = chatType === 'p2p'
+    ? '[Feishu REACTION]'
+    : `[Feishu REACTION GROUP:${escapeXml(getGroupName(chatId))}]`;
+  const verb = action === 'added' ? 'reacted' : 'removed reaction';
+  const content = `${prefix} ${escapeXml(userName)} ${verb} ${escapeXml(emojiType)} on your message:\n` +
+    `<reacted-message>\n${escapeXml(target.excerpt)}\n</reacted-message>\n` +
+    'This is feedback only. Reply with exactly [SKIP] unless it calls for a response.';
+  const endpoint = buildEndpoint(chatId, { chatType, rootId: target.rootId, messageId, threadId: target.threadId });
+  sendToC4('feishu', endpoint, content);
+}
+
+// ============================================================
+// Interactive card callbacks (card.action.trigger)
+// ============================================================
+const CARD_STATE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const prunedCards = pruneCardStates(CARD_STATE_TTL);
+if (prunedCards > 0) console.log(`[feishu] Pruned ${prunedCards} expired card states`);
+const cardStatePruneInterval = setInterval(() => pruneCardStates(CARD_STATE_TTL), 24 * 60 * 60 * 1000);
+
+// Streaming card states (send.js [STREAM]) only matter while a reply streams
+const STREAM_STATE_TTL = 24 * 60 * 60 * 1000; // 1 day
+pruneStreamStates(STREAM_STATE_TTL);
+const streamStatePruneInterval = setInterval(() => pruneStreamStates(STREAM_STATE_TTL), 60 * 60 * 1000);
+
+// ============================================================
+// Media retention (MEDIA_DIR age/size limits, config.media)
+// ============================================================
+function runMediaCleanup() {
+  try {
+    const { removed, freedBytes } = pruneMedia(getMediaLimits(config));
+    if (removed > 0) {
+      console.log(`[feishu] Media cleanup: removed ${removed} files (${formatBytes(freedBytes)})`);
+    }
+  } catch (err) {
+    console.warn(`[feishu] Media cleanup failed: ${err.message}`);
+  }
+}
+
+// Re-created when media.cleanupIntervalMinutes changes on config reload
+let mediaCleanupInterval = null;
+function scheduleMediaCleanup() {
+  clearInterval(mediaCleanupInterval);
+  mediaCleanupInterval = setInterval(runMediaCleanup, getMediaLimits(config).intervalMs);
+}
+
+runMediaCleanup();
+scheduleMediaCleanup();
+
+// ============================================================
+// Message store retention (day files past store.retentionDays)
+// ============================================================
+function runStorePrune() {
+  try {
+    const { files, bytes } = messageStore.prune({ retentionMs: getStoreRetentionMs(config) });
+    if (files > 0) {
+      console.log(`[feishu] Message store: removed ${files} expired files (${formatBytes(bytes)})`);
+    }
+  } catch (err) {
+    console.warn(`[feishu] Message store prune failed: ${err.message}`);
+  }
+}
+
+runStorePrune();
+const storePruneInterval = setInterval(runStorePrune, 24 * 60 * 60 * 1000);
+
+/**
+ * Operator name for a card update without an API call: the cached name, or a
+ * card mention (rendered as the user's name by the client).
+ */
+function cardOperatorName(userId, openId) {
+  const id = userId || openId;
+  const cached = id ? userCacheMemory.get(id) : null;
+  if (cached && cached.expireAt > Date.now()) return cached.name;
+  return openId ? `<at id=${openId}></at>` : 'Someone';
+}
+
+/**
+ * Handle card.action.trigger callback.
+ * Feishu allows about 3 seconds for the response (webhook mode answers
+ * inline), so it is built from cached data only: a toast, plus the card
+ * rebuilt without its inputs when the sent card is known. Name lookups and
+ * the C4 forward run after responding.
+ *
+ * @param {object} data - { operator, action, context: { open_message_id, open_chat_id }, token }
+ * @returns {Promise<object|undefined>} Callback response body
+ */
+async function handleCardAction(data) {
+  const cardMessageId = data.context?.open_message_id;
+  const chatId = data.context?.open_chat_id;
+  const operatorUserId = data.operator?.user_id;
+  const operatorOpenId = data.operator?.open_id;
+  if (!cardMessageId || !chatId) {
+    console.warn('[feishu] Card action without message context, ignoring');
+    return undefined;
+  }
+  if (isDuplicate(`card:${data.event_id || data.token || ''}:${cardMessageId}`)) return undefined;
+
+  const state = loadCardState(cardMessageId);
+  const { summary, payload } = describeCardAction(data.action);
+  const operatorName = cardOperatorName(operatorUserId, operatorOpenId);
+
+  // Chat type from what is already known; otherwise checked after responding
+  const knownType = knownChatTypes.get(chatId) ||
+    (state?.endpoint ? parseEndpoint(state.endpoint).chatType : null) ||
+    (config.groups?.[chatId] ? 'group' : null);
+  if (knownType && !isInteractionAllowed(knownType, chatId, operatorUserId, operatorOpenId)) {
+    console.log(`[feishu] Card action from ${operatorOpenId} in ${chatId} not allowed by policy, rejecting`);
+    return { toast: { type: 'error', content: "Sorry, you don't have permission to use this card." } };
+  }
+
+  // System cards (e.g. the "allow this group" prompt) are handled here, not by the agent
+  const systemAction = getSystemCardAction(data.action, state);
+  if (systemAction) {
+    return handleSystemCardAction(systemAction, data.action.value, { userName: operatorName, summary, state, operatorUserId, operatorOpenId });
+  }
+
+  setImmediate(() => {
+    forwardCardAction({ chatId, cardMessageId, knownType, state, summary, payload, operatorUserId, operatorOpenId })
+      .catch(err => console.error(`[feishu] Card action forward failed: ${err.message}`));
+  });
+
+  if (!knownType) return { toast: { type: 'info', content: 'Received' } };
+  const response = { toast: { type: 'success', content: 'Received' } };
+  if (state?.card) {
+    response.card = { type: 'raw', data: buildActionResultCard(state.card, `✅ ${operatorName} ${summary}`) };
+  }
+  return response;
+}
+
+/**
+ * Forward a card action to C4 (after the callback has been answered).
+ */
+async function forwardCardAction({ chatId, cardMessageId, knownType, state, summary, payload, operatorUserId, operatorOpenId }) {
+  const chatType = knownType || await resolveChatType(chatId);
+  if (!knownType && (!chatType || !isInteractionAllowed(chatType, chatId, operatorUserId, operatorOpenId))) {
+    console.log(`[feishu] Card action from ${operatorOpenId} in ${chatId} not allowed by policy, dropping`);
+    return;
+  }
+  const userName = await resolveUserName(operatorUserId, operatorOpenId);
+  // Route the agent's reply like the message that produced the card
+  const endpoint = state?.endpoint || buildEndpoint(chatId, { chatType, messageId: cardMessageId });
+  console.log(`[feishu] Card action: ${userName} ${summary} on ${cardMessageId}`);
+
+  const prefix = chatType === 'p2p'
+    ? '[Feishu CARD ACTION]'
+    : `[Feishu CARD ACTION GROUP:${escapeXml(getGroupName(chatId))}]`;
+  const content = `${prefix} ${escapeXml(userName)} ${escapeXml(summary)} on card ${escapeXml(cardMessageId)}:\n` +
+    `<card-action>\n${escapeXml(JSON.stringify(payload))}\n</card-action>`;
+  sendToC4('feishu', endpoint, content, (errMsg) => {
+    sendThreadAwareMessage(chatId, errMsg, { chatType, messageId: cardMessageId })
+      .catch(e => console.error('[feishu] reject reply failed:', e.message));
+  });
+}
+
+/**
+ * Apply an action from a card the service itself sent (owner prompts).
+ * @returns {object} Callback response body
+ */
+function handleSystemCardAction(systemAction, value, { userName, summary, state, operatorUserId, operatorOpenId }) {
+  if (!isOwner(operatorUserId, operatorOpenId)) {
+    return { toast: { type: 'error', content: 'Only the owner can do this.' } };
+  }
+  if (systemAction !== 'allow_group' || !value.chat_id) {
+    return { toast: { type: 'error', content: 'Unknown action.' } };
+  }
+
+  const mode = value.mode === 'smart' ? 'smart' : 'mention';
+  const groups = { ...(config.groups || {}) };
+  groups[value.chat_id] = {
+    ...(groups[value.chat_id] || { added_at: new Date().toISOString() }),
+    name: value.name || groups[value.chat_id]?.name || 'unnamed',
+    mode,
+    requireMention: mode === 'mention',
+  };
+  const previousGroups = config.groups;
+  config.groups = groups;
+  if (!saveConfig(config)) {
+    config.groups = previousGroups;
+    return { toast: { type: 'error', content: 'Failed to save config.' } };
+  }
+  console.log(`[feishu] Group ${value.chat_id} allowed by owner [${mode}]`);
+  const response = { toast: { type: 'success', content: `Group allowed (${mode})` } };
+  if (state?.card) {
+    response.card = { type: 'raw', data: buildActionResultCard(state.card, `✅ ${userName} ${summary}`) };
+  }
+  return response;
+}
+
+// ============================================================
+// Bot lifecycle and group membership events
+// ============================================================
+
+/**
+ * Handle im.chat.member.bot.added_v1.
+ * Under an allowlist policy, DMs the owner a card to allow the new group in one click.
+ *
+ * @param {object} data - { chat_id, name, operator_id, external }
+ */
+async function handleBotAdded(data) {
+  const chatId = data.chat_id;
+  if (!chatId) return;
+  if (isDuplicate(`bot-added:${chatId}:${data.event_id || data._timestamp || ''}`)) return;
+  knownChatTypes.set(chatId, 'group');
+
+  const groupName = data.name || data.i18n_names?.zh_cn || data.i18n_names?.en_us || chatId;
+  const operatorName = await resolveUserName(data.operator_id?.user_id, data.operator_id?.open_id);
+  console.log(`[feishu] Bot added to group ${chatId} (${groupName}) by ${operatorName}`);
+  invalidateGroupMembers(chatId);
+  preloadGroupMembers(chatId).catch(() => {});
+
+  if ((config.groupPolicy || 'allowlist') !== 'allowlist' || isGroupAllowed(chatId)) return;
+  if (!config.owner?.bound || !config.owner?.open_id) {
+    console.log(`[feishu] Group ${chatId} is not allowlisted and no owner is bound to ask`);
+    return;
+  }
+
+  const adminCmd = `node ~/zylos/.claude/skills/feishu/src/admin.js add-group ${chatId} "${groupName.replace(/"/g, '')}" mention`;
+  const card = buildActionCard({
+    title: 'Added to a new group',
+    text: `**${operatorName}** added me to **${groupName}**${data.external ? ' (external)' : ''}.\n` +
+      `Group policy is \`allowlist\`, so I won't respond there until it is allowed.\n\n` +
+      `Or run: \`${adminCmd}\``,
+    buttons: [
+      { text: 'Allow (@mention)', type: 'primary', value: { system: 'allow_group', chat_id: chatId, name: groupName, mode: 'mention', action: 'allow_mention' } },
+      { text: 'Allow (smart)', value: { system: 'allow_group', chat_id: chatId, name: groupName, mode: 'smart', action: 'allow_smart' } },
+    ],
+  }, { system: true });
+  const result = await sendMessage(config.owner.open_id, card, 'open_id', 'interactive');
+  if (result.success) {
+    saveCardState(result.messageId, { card, endpoint: null, system: true });
+    return;
+  }
+  // Card failed (e.g. card callbacks not configured) — fall back to plain text
+  console.log(`[feishu] Group allow card failed, sending text: ${result.message}`);
+  const text = `I was added to group "${groupName}" (${chatId}) by ${operatorName}, but it is not in the allowlist yet.\nTo allow it, run:\n${adminCmd}`;
+  sendMessage(config.owner.open_id, text, 'open_id', 'text')
+    .catch(e => console.error('[feishu] Failed to notify owner about new group:', e.message));
+}
+
+/**
+ * Handle im.chat.member.bot.deleted_v1: forget per-chat caches.
+ * The group's config entry is kept so re-adding the bot restores its settings.
+ */
+async function handleBotRemoved(data) {
+  const chatId = data.chat_id;
+  if (!chatId) return;
+  console.log(`[feishu] Bot removed from group ${chatId} (${data.name || getGroupName(chatId)})`);
+  invalidateGroupMembers(chatId);
+  knownChatTypes.delete(chatId);
+  for (const key of [...chatHistories.keys()]) {
+    if (key === chatId || key.startsWith(`${chatId}:`)) chatHistories.delete(key);
+  }
+  for (const key of [..._lazyLoadedContainers]) {
+    if (key === chatId || key.startsWith(`${chatId}:`)) _lazyLoadedContainers.delete(key);
+  }
+}
+
+/**
+ * Handle user join/leave events: refresh the member-name preload for the group.
+ * Joined users' names are cached right away from the event payload.
+ *
+ * @param {object} data - { chat_id, users: [{ name, user_id: { open_id, user_id } }] }
+ * @param {'joined'|'left'} change
+ */
+async function handleMembersChanged(data, change) {
+  const chatId = data.chat_id;
+  if (!chatId) return;
+  const users = Array.isArray(data.users) ? data.users : [];
+  if (change === 'joined') {
+    const now = Date.now();
+    for (const user of users) {
+      const id = user.user_id?.open_id;
+      if (id && user.name) {
+        userCacheMemory.set(id, { name: user.name, expireAt: now + SENDER_NAME_TTL });
+        _userCacheDirty = true;
       }
+    }
+  }
+  invalidateGroupMembers(chatId);
+  console.log(`[feishu] ${users.length} member(s) ${change} group ${chatId}: ${users.map(u => u.name || u.user_id?.open_id).join(', ')}`);
+}
+
+/**
+ * Event handlers keyed by Feishu event type.
+ * Shared by both transports; webhook payloads are normalized to the flat
+ * WSClient shape before dispatch.
+ */
+const eventHandlers = {
+  'im.message.receive_v1': handleMessage,
+  'im.message.recalled_v1': handleMessageRecalled,
+  'im.message.reaction.created_v1': (data) => handleReaction(data, 'added'),
+  'im.message.reaction.deleted_v1': (data) => handleReaction(data, 'removed'),
+  'card.action.trigger': handleCardAction,
+  'im.chat.member.bot.added_v1': handleBotAdded,
+  'im.chat.member.bot.deleted_v1': handleBotRemoved,
+  'im.chat.member.user.added_v1': (data) => handleMembersChanged(data, 'joined'),
+  'im.chat.member.user.deleted_v1': (data) => handleMembersChanged(data, 'left'),
+  'im.chat.member.user.withdrawn_v1': (data) => handleMembersChanged(data, 'left'),
+};
+
+// ============================================================
+// Internal control endpoints (send.js / cli.js → bot)
+// Served on the control socket in both modes (src/lib/control-server.js)
+// ============================================================
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      let localPath = null;
+const internalRouter = createInternalRouter(INTERNAL_SECRET);
+let controlServer = null;
+
+// Record bot's outgoing messages into in-memory history
+internalRouter.post('/internal/record-outgoing', recordOutgoingHandler(({ chatId, threadId }, sent) => {
+  // Thread messages go to thread only (context isolation)
+  const historyKey = threadId ? getHistoryKey(chatId, threadId) : chatId;
+  if (historyKey) {
+    const timestamp = new Date().toISOString();
+    for (const m of sent) {
+      const entry = {
+        timestamp,
+        message_id: m.messageId,
+        user_id: botOpenId || 'bot',
+        user_name: botAppName || 'bot',
+        text: m.text,
+        ...(m.msgType ? { msg_type: m.msgType } : {}),
+        ...(m.fileName ? { file_name: m.fileName } : {})
+      };
+      recordHistoryEntry(historyKey, entry);
       try {
-        localPath = buildSafeDownloadPath(MEDIA_DIR, `feishu-group-${timestamp}`, fileName);
+        messageStore.appendMessage({
+          ...entry,
+          chat_id: chatId,
+          chat_type: knownChatTypes.get(chatId),
+          thread_id: threadId || null,
+          direction: 'out'
+        });
       } catch (err) {
-        console.warn(`[feishu] Blocked unsafe file path: ${err.message}`);
-      }
-      const result = localPath ? await downloadFile(messageId, fileKey, localPath) : { success: false };
-      if (result.success && localPath) {
-        const msg = formatMessage('group', senderName, `[file: ${fileName}]${cleanText ? ' ' + cleanText : ''}`, contextMessages, localPath, { quotedContent, threadContext, threadRootId, groupName: getGroupName(chatId) });
-        sendToC4('feishu', endpoint, msg, groupRejectReply);
-      } else {
-        removeTypingIndicator(messageId);
-        sendThreadAwareMessage(chatId, 'File download failed. Please resend the file.', { chatType, rootId, parentId, messageId })
-          .catch(e => console.error('[feishu] file error reply failed:', e.message));
+        console.error(`[feishu] Failed to write log: ${err.message}`);
       }
-      return;
     }
+  }
+}));
 
-    const msg = formatMessage('group', senderName, cleanText || text, contextMessages, null, { quotedContent, threadContext, threadRootId, groupName: getGroupName(chatId), smartHint: smartNoMention });
-    sendToC4('feishu', endpoint, msg, groupRejectReply);
+// A bot message was edited (send.js [EDIT:...] / cli.js edit)
+internalRouter.post('/internal/record-edit', (req, res) => {
+  const { chatId, messageId, text } = req.body || {};
+  if (!messageId || !text) return res.status(400).json({ error: 'missing messageId or text' });
+  try {
+    messageStore.recordEdit(messageId, text, { chatId });
+  } catch (err) {
+    console.error(`[feishu] Failed to write edit log: ${err.message}`);
+  }
+  res.json({ ok: true, updated: applyHistoryEdit(messageId, text) });
+});
+
+// A reply is complete: remove the trigger message's typing indicator (send.js)
+internalRouter.post('/internal/typing-done', (req, res) => {
+  const { messageId } = req.body || {};
+  if (!messageId) return res.status(400).json({ error: 'missing messageId' });
+  res.json({ ok: true, removed: handleTypingDone(String(messageId)) });
+});
+
+// Outbox entries were replayed or dropped (admin.js): deliver what is due now
+internalRouter.post('/internal/outbox-flush', (req, res) => {
+  c4Outbox.flush();
+  res.json({ ok: true });
+});
+
+// A bot message was recalled (send.js [RECALL:...] / cli.js recall)
+internalRouter.post('/internal/record-recall', (req, res) => {
+  const { chatId, threadId, messageId } = req.body || {};
+  if (!messageId) return res.status(400).json({ error: 'missing messageId' });
+  res.json({ ok: true, removed: recordBotRecall(messageId, chatId, threadId) });
+});
+
+async function startControl() {
+  try {
+    controlServer = await startControlServer(internalRouter);
+    console.log(`[feishu] Control server listening on ${CONTROL_SOCKET}`);
+  } catch (err) {
+    console.error(`[feishu] Control server failed to start: ${err.message}`);
   }
 }
 
@@ -1372,26 +2183,36 @@ async function handleMessage(data) {
 // ============================================================
 
 function startWebSocket(creds) {
+  // With config.proxy the connection-config request and the websocket
+  // itself both go through the proxy tunnel
+  const agent = getProxyAgent();
+  const httpInstance = getProxyHttpInstance();
   wsClient = new Lark.WSClient({
     appId: creds.app_id,
     appSecret: creds.app_secret,
     domain: Lark.Domain.Feishu,
     loggerLevel: Lark.LoggerLevel.info,
-    autoReconnect: true
+    autoReconnect: true,
+    ...(agent ? { agent, httpInstance } : {})
   });
 
   console.log('[feishu] Connecting to Feishu via WebSocket...');
 
-  wsClient.start({
-    eventDispatcher: new Lark.EventDispatcher({}).register({
-      'im.message.receive_v1': async (data) => {
-        try {
-          await handleMessage(data);
-        } catch (err) {
-          console.error(`[feishu] Error handling message: ${err.message}`);
-        }
+  const handles = {};
+  for (const [eventType, handler] of Object.entries(eventHandlers)) {
+    // The handler's return value is sent back as the callback response (card actions)
+    handles[eventType] = async (data) => {
+      try {
+        return await handler(data);
+      } catch (err) {
+        console.error(`[feishu] Error handling ${eventType}: ${err.message}`);
+        return undefined;
       }
-    })
+    };
+  }
+
+  wsClient.start({
+    eventDispatcher: new Lark.EventDispatcher({}).register(handles)
   });
 }
 
@@ -1440,28 +2261,43 @@ function startWebhook(creds) {
       return res.json({ challenge: event.challenge });
     }
 
+    const eventType = event.header?.event_type;
+    const handler = eventHandlers[eventType];
+    const hasBody = !!event.event && typeof event.event === 'object';
+    // Normalize data shape to match WSClient format for the shared handlers
+    const data = hasBody
+      ? { ...event.event, event_id: event.header.event_id, _timestamp: event.header.create_time }
+      : null;
+
+    // Card callbacks are answered inline: the response body carries the toast/card update
+    if (eventType === 'card.action.trigger' && data) {
+      handler(data)
+        .then(result => res.json(result || {}))
+        .catch(err => {
+          console.error(`[feishu] Error handling ${eventType}: ${err.message}`);
+          res.json({});
+        });
+      return;
+    }
+
     // Respond immediately to prevent Feishu retry (timeout ~15s)
     res.json({ code: 0 });
 
-    // Handle message event asynchronously
-    if (event.header?.event_type === 'im.message.receive_v1') {
-      // Validate required payload shape
-      if (!event.event?.message || !event.event?.sender) {
-        console.warn('[feishu] Malformed message event: missing event.message or event.sender');
-        return;
-      }
-      // Dedup is handled inside handleMessage() (unified for both modes)
-
-      // Normalize data shape to match WSClient format for shared handleMessage
-      const data = {
-        message: event.event.message,
-        sender: event.event.sender,
-        _timestamp: event.header.create_time
-      };
-      handleMessage(data).catch(err => {
-        console.error(`[feishu] Error handling message: ${err.message}`);
-      });
+    // Handle event asynchronously
+    if (!handler) return;
+    if (!data) {
+      console.warn(`[feishu] Malformed ${eventType} event: missing event body`);
+      return;
+    }
+    // Validate required payload shape
+    if (eventType === 'im.message.receive_v1' && (!data.message || !data.sender)) {
+      console.warn('[feishu] Malformed message event: missing event.message or event.sender');
+      return;
     }
+    // Dedup is handled inside each handler (unified for both modes)
+    handler(data).catch(err => {
+      console.error(`[feishu] Error handling ${eventType}: ${err.message}`);
+    });
   });
 
   // Health check
@@ -1474,30 +2310,8 @@ function startWebhook(creds) {
     });
   });
 
-  // Internal endpoint: record bot's outgoing messages into in-memory history
-  app.post('/internal/record-outgoing', (req, res) => {
-    // Validate internal token (process-local secret) to prevent unauthorized injection
-    const token = req.headers['x-internal-token'];
-    if (!token || token !== INTERNAL_SECRET) {
-      return res.status(403).json({ error: 'unauthorized' });
-    }
-    const { chatId, threadId, text, messageId } = req.body || {};
-    if (!text) return res.status(400).json({ error: 'missing text' });
-    const entry = {
-      timestamp: new Date().toISOString(),
-      message_id: messageId || `bot_${Date.now()}`,
-      user_id: botOpenId || 'bot',
-      user_name: botAppName || 'bot',
-      text
-    };
-    // Thread messages go to thread only (context isolation)
-    if (threadId) {
-      recordHistoryEntry(getHistoryKey(chatId, threadId), entry);
-    } else if (chatId) {
-      recordHistoryEntry(chatId, entry);
-    }
-    res.json({ ok: true });
-  });
+  // Internal endpoints are also reachable on the webhook port (older clients)
+  app.use(internalRouter);
 
   const maxRetries = 5;
   const retryDelayMs = 1000;
@@ -1538,10 +2352,24 @@ function shutdown() {
 
   clearInterval(dedupCleanupInterval);
   clearInterval(typingCheckInterval);
+  clearTimeout(typingCheckTimer);
+  if (typingWatcher) typingWatcher.close();
   clearInterval(userCachePersistInterval);
+  clearInterval(smartFilterStatsInterval);
+  clearInterval(cardStatePruneInterval);
+  clearInterval(streamStatePruneInterval);
+  clearInterval(mediaCleanupInterval);
+  clearInterval(storePruneInterval);
 
   stopWatching();
   persistUserCache();
+  persistSmartFilterStats();
+  // Open message bursts go to the outbox (delivered after restart)
+  const burstsFlushed = Promise.race([
+    messageBursts.flushAll(),
+    new Promise(resolve => setTimeout(resolve, 1000))
+  ]);
+  c4Outbox.stop();
 
   for (const [messageId, state] of activeTypingIndicators.entries()) {
     clearTimeout(state.timer);
@@ -1554,8 +2382,11 @@ function shutdown() {
   if (wsClient) {
     wsClient.close({ force: false });
   }
+  if (controlServer) {
+    stopControlServer(controlServer).catch(() => {});
+  }
 
-  const finalizeExit = () => process.exit(0);
+  const finalizeExit = () => burstsFlushed.then(() => process.exit(0));
   if (webhookServer) {
     webhookServer.close(() => finalizeExit());
     setTimeout(finalizeExit, 1000).unref();
@@ -1577,28 +2408,14 @@ if (!creds.app_id || !creds.app_secret) {
 
 // Fetch bot identity, then start the selected transport
 (async () => {
-  try {
-    const client = new Lark.Client({
-      appId: creds.app_id,
-      appSecret: creds.app_secret,
-      appType: Lark.AppType.SelfBuild,
-      domain: Lark.Domain.Feishu
-    });
-
-    const res = await client.request({
-      method: 'GET',
-      url: '/open-apis/bot/v3/info',
-    });
-
-    if (res.code === 0 && res.bot) {
-      botOpenId = res.bot.open_id;
-      botAppName = res.bot.app_name || 'bot';
-      console.log(`[feishu] Bot identity: ${botAppName} (${botOpenId})`);
-    } else {
-      console.error(`[feishu] Warning: Could not fetch bot info: ${res.msg}`);
-    }
-  } catch (err) {
-    console.error(`[feishu] Warning: getBotInfo failed: ${err.message}`);
+  // Shared client: goes through config.proxy like every other API call
+  const botInfo = await getBotInfo();
+  if (botInfo.success) {
+    botOpenId = botInfo.open_id;
+    botAppName = botInfo.app_name || 'bot';
+    console.log(`[feishu] Bot identity: ${botAppName} (${botOpenId})`);
+  } else {
+    console.error(`[feishu] Warning: Could not fetch bot info: ${botInfo.message}`);
   }
 
   // Store app_id for exact bot message matching
@@ -1607,7 +2424,10 @@ if (!creds.app_id || !creds.app_secret) {
     botAppId = creds2.app_id || '';
   } catch {}
 
-  // Start selected transport
+  // Internal endpoints run in both modes, then the selected transport
+  await startControl();
+  // Deliver messages still queued from before the restart
+  c4Outbox.flush();
   if (connectionMode === 'webhook') {
     startWebhook(creds);
   } else {
@@ -0,0 +1,280 @@
+/**
+ * Interactive cards with callback actions (buttons, selects, forms).
+ *
+ * The agent describes a card with a compact spec (or a raw schema 2.0 card);
+ * `buildActionCard` turns it into card JSON whose interactive elements carry
+ * callback behaviors. Clicks come back as `card.action.trigger` events, which
+ * index.js forwards to C4 and answers with `buildActionResultCard` so the card
+ * updates in place to show who acted.
+ *
+ * send.js (which sends the card) and index.js (which receives the callback)
+ * run in different processes, so the sent card is persisted per message_id
+ * under DATA_DIR/cards.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './config.js';
+
+const CARDS_DIR = path.join(DATA_DIR, 'cards');
+
+// Element tags that accept user input; stripped once the card is resolved
+const INTERACTIVE_TAGS = new Set([
+  'button', 'select_static', 'multi_select_static', 'select_person',
+  'multi_select_person', 'input', 'date_picker', 'picker_time',
+  'picker_datetime', 'checker', 'overflow', 'form',
+]);
+
+function plainText(content) {
+  return { tag: 'plain_text', content: String(content) };
+}
+
+function normalizeOption(option) {
+  if (option && typeof option === 'object') {
+    return { text: String(option.text ?? option.value), value: String(option.value ?? option.text) };
+  }
+  return { text: String(option), value: String(option) };
+}
+
+/**
+ * Build a schema 2.0 card from a compact spec.
+ *
+ * @param {object} spec
+ * @param {string} [spec.title] - Header title
+ * @param {string} [spec.text] - Markdown body
+ * @param {Array<{ text: string, value?: string|object, type?: string }>} [spec.buttons] - An object
+ *   value is passed through as the callback value (its `action` field names the action)
+ * @param {{ name: string, placeholder?: string, options: Array<string|{ text, value }> }} [spec.select]
+ * @param {{ inputs: Array<{ name: string, label?: string, placeholder?: string }>, submit?: string }} [spec.form]
+ * @param {{ system?: boolean }} [options] - system: a card the service itself sends; only then
+ *   may button values keep their `system` field (see getSystemCardAction)
+ * @returns {object} Card JSON (content for msg_type 'interactive')
+ * @throws {Error} when the spec has no content or malformed elements
+ */
+export function buildActionCard(spec, { system = false } = {}) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Card spec must be an object');
+  }
+  if (!spec.text && !spec.title) {
+    throw new Error('Card spec needs a title or text');
+  }
+
+  const elements = [];
+  if (spec.text) {
+    elements.push({ tag: 'markdown', content: String(spec.text) });
+  }
+
+  if (spec.buttons !== undefined) {
+    if (!Array.isArray(spec.buttons) || spec.buttons.length === 0) {
+      throw new Error('Card buttons must be a non-empty array');
+    }
+    elements.push({
+      tag: 'column_set',
+      flex_mode: 'flow',
+      columns: spec.buttons.map((b) => {
+        if (!b?.text) throw new Error('Each card button needs text');
+        const value = b.value && typeof b.value === 'object'
+          ? { ...b.value, label: String(b.text) }
+          : { action: String(b.value ?? b.text), label: String(b.text) };
+        if (!system) delete value.system;
+        return {
+          tag: 'column',
+          width: 'auto',
+          elements: [{
+            tag: 'button',
+            text: plainText(b.text),
+            type: b.type || 'default',
+            behaviors: [{ type: 'callback', value }],
+          }],
+        };
+      }),
+    });
+  }
+
+  if (spec.select !== undefined) {
+    const select = spec.select;
+    if (!select?.name || !Array.isArray(select.options) || select.options.length === 0) {
+      throw new Error('Card select needs a name and a non-empty options array');
+    }
+    elements.push({
+      tag: 'select_static',
+      name: String(select.name),
+      placeholder: plainText(select.placeholder || 'Select...'),
+      options: select.options.map(normalizeOption).map(o => ({ text: plainText(o.text), value: o.value })),
+      behaviors: [{ type: 'callback', value: { action: String(select.name) } }],
+    });
+  }
+
+  if (spec.form !== undefined) {
+    const form = spec.form;
+    if (!Array.isArray(form?.inputs) || form.inputs.length === 0) {
+      throw new Error('Card form needs a non-empty inputs array');
+    }
+    const formElements = form.inputs.map((input) => {
+      if (!input?.name) throw new Error('Each form input needs a name');
+      const el = {
+        tag: 'input',
+        name: String(input.name),
+        placeholder: plainText(input.placeholder || ''),
+      };
+      if (input.label) el.label = plainText(input.label);
+      return el;
+    });
+    const submitText = form.submit || 'Submit';
+    formElements.push({
+      tag: 'button',
+      name: 'submit',
+      text: plainText(submitText),
+      type: 'primary',
+      form_action_type: 'submit',
+      behaviors: [{ type: 'callback', value: { action: 'submit', label: String(submitText) } }],
+    });
+    elements.push({ tag: 'form', name: 'form', elements: formElements });
+  }
+
+  const card = {
+    schema: '2.0',
+    config: { wide_screen_mode: true, update_multi: true },
+    body: { elements },
+  };
+  if (spec.title) {
+    card.header = { title: plainText(spec.title), template: spec.template || 'blue' };
+  }
+  return card;
+}
+
+function stripInteractive(elements) {
+  const result = [];
+  for (const el of elements || []) {
+    if (!el || INTERACTIVE_TAGS.has(el.tag)) continue;
+    if (el.tag === 'column_set') {
+      const columns = (el.columns || [])
+        .map(col => ({ ...col, elements: stripInteractive(col.elements) }))
+        .filter(col => col.elements.length > 0);
+      if (columns.length > 0) result.push({ ...el, columns });
+      continue;
+    }
+    if (Array.isArray(el.elements)) {
+      result.push({ ...el, elements: stripInteractive(el.elements) });
+      continue;
+    }
+    result.push(el);
+  }
+  return result;
+}
+
+/**
+ * Build the resolved version of a sent card: interactive elements removed and
+ * a note appended describing the action (e.g. "✅ Alice clicked Approve").
+ *
+ * @param {object} card - Card JSON as originally sent
+ * @param {string} note - Markdown line to append
+ * @returns {object} Updated card JSON
+ */
+export function buildActionResultCard(card, note) {
+  const elements = stripInteractive(card?.body?.elements);
+  elements.push({ tag: 'markdown', content: note });
+  return {
+    ...card,
+    schema: '2.0',
+    body: { ...(card?.body || {}), elements },
+  };
+}
+
+/**
+ * Summarize a card.action.trigger `action` payload.
+ *
+ * @param {object} action - event.action ({ tag, value, option, options, form_value, input_value, checked, name })
+ * @returns {{ summary: string, payload: object }} Human summary and the values forwarded to the agent
+ */
+export function describeCardAction(action = {}) {
+  const value = action.value && typeof action.value === 'object' ? action.value : { action: action.value };
+  const payload = { action: value.action ?? null };
+  for (const key of ['option', 'options', 'form_value', 'input_value', 'checked']) {
+    if (action[key] !== undefined) payload[key] = action[key];
+  }
+  if (action.name) payload.name = action.name;
+
+  let summary;
+  if (action.form_value) {
+    summary = 'submitted the form';
+  } else if (action.option !== undefined || action.options !== undefined) {
+    const selected = action.option ?? (action.options || []).join(', ');
+    summary = `selected "${selected}"`;
+  } else {
+    summary = `clicked "${value.label ?? value.action ?? 'button'}"`;
+  }
+  return { summary, payload };
+}
+
+/**
+ * The owner-only system action a callback asks for, if it may run.
+ * Button values come from whoever built the card, so `value.system` is only
+ * honored on cards the service sent itself (state saved with `system: true`).
+ *
+ * @param {object} action - event.action
+ * @param {object|null} state - loadCardState() of the clicked card
+ * @returns {string|null} System action name
+ */
+export function getSystemCardAction(action, state) {
+  const systemAction = action?.value && typeof action.value === 'object' ? action.value.system : null;
+  if (!systemAction) return null;
+  if (state?.system !== true) {
+    console.warn(`[feishu] Ignoring system action "${systemAction}" on a card the service did not send`);
+    return null;
+  }
+  return String(systemAction);
+}
+
+function cardStatePath(messageId) {
+  const safeId = String(messageId).replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(CARDS_DIR, `${safeId}.json`);
+}
+
+/**
+ * Persist a sent card so its callback can be routed and the card rebuilt.
+ * @param {string} messageId - Message ID of the sent card
+ * @param {{ card: object, endpoint: string|null, system?: boolean }} state - system: sent by the service itself
+ */
+export function saveCardState(messageId, state) {
+  if (!messageId) return;
+  try {
+    fs.mkdirSync(CARDS_DIR, { recursive: true });
+    fs.writeFileSync(cardStatePath(messageId), JSON.stringify({ ...state, savedAt: Date.now() }));
+  } catch (err) {
+    console.warn(`[feishu] Failed to save card state: ${err.message}`);
+  }
+}
+
+/**
+ * Load a persisted card, or null if unknown.
+ */
+export function loadCardState(messageId) {
+  if (!messageId) return null;
+  try {
+    return JSON.parse(fs.readFileSync(cardStatePath(messageId), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete card states older than maxAgeMs.
+ * @returns {number} Number of files removed
+ */
+export function pruneCardStates(maxAgeMs) {
+  let removed = 0;
+  try {
+    const now = Date.now();
+    for (const file of fs.readdirSync(CARDS_DIR)) {
+      const filePath = path.join(CARDS_DIR, file);
+      try {
+        if (now - fs.statSync(filePath).mtimeMs > maxAgeMs) {
+          fs.unlinkSync(filePath);
+          removed++;
+        }
+      } catch { /* ignore */ }
+    }
+  } catch { /* directory may not exist yet */ }
+  return removed;
+}
@@ -9,6 +9,7 @@
 
 import * as lark from '@larksuiteoapi/node-sdk';
 import { getCredentials } from './config.js';
+import { getProxyHttpInstance } from './proxy.js';
 
 let clientInstance = null;
 
@@ -26,23 +27,32 @@ export function getClient() {
     throw new Error('FEISHU_APP_ID and FEISHU_APP_SECRET must be set in ~/zylos/.env');
   }
 
+  const httpInstance = getProxyHttpInstance();
   clientInstance = new lark.Client({
     appId: creds.app_id,
     appSecret: creds.app_secret,
     appType: lark.AppType.SelfBuild,
     domain: lark.Domain.Feishu,  // Chinese version (feishu.cn)
+    ...(httpInstance ? { httpInstance } : {}),  // config.proxy
   });
 
   return clientInstance;
 }
 
 /**
- * Reset client instance (useful for config changes)
+ * Reset client instance (useful for config changes, e.g. proxy settings)
  */
 export function resetClient() {
   clientInstance = null;
 }
 
+/**
+ * Use the given client instead of building one (tests pass a stub)
+ */
+export function setClient(client) {
+  clientInstance = client;
+}
+
 /**
  * Get bot info (open_id, name, etc.)
  * Uses the /bot/v3/info endpoint
@@ -0,0 +1,122 @@
+/**
+ * Message bursts: people often send several short messages in a row
+ * ("hey", "the deploy failed", "log attached"). Messages from one sender in
+ * one chat (and thread) that arrive within a short window are collected and
+ * handed to the agent as a single turn.
+ *
+ * The window restarts with every new message, up to MAX_WAIT_FACTOR windows
+ * after the first one or MAX_BURST_MESSAGES messages. Each message reserves
+ * its place when it arrives and is filled in once its content is ready
+ * (attachment downloads, quoted messages), so a burst keeps arrival order and
+ * consecutive bursts of one key are flushed in order.
+ */
+
+// Off unless configured: a window delays every reply by at least its length
+export const DEFAULT_COALESCE_SECONDS = 0;
+export const MAX_BURST_MESSAGES = 20;
+const MAX_WAIT_FACTOR = 5;
+
+/**
+ * Coalescing window for a chat type, from config
+ * (`message.coalesce.dmSeconds` / `groupSeconds`; 0, the default, disables).
+ * @param {object} config
+ * @param {string} chatType - 'p2p' or 'group'
+ * @returns {number} Window in ms
+ */
+export function getCoalesceWindowMs(config, chatType) {
+  const settings = config?.message?.coalesce || {};
+  const seconds = chatType === 'p2p' ? settings.dmSeconds : settings.groupSeconds;
+  const value = seconds ?? DEFAULT_COALESCE_SECONDS;
+  return value > 0 ? value * 1000 : 0;
+}
+
+/**
+ * Create a burst collector.
+ *
+ * @param {object} options
+ * @param {(parts: object[], state: object) => (void|Promise<void>)} options.onFlush
+ *   Called with the filled parts of a burst (arrival order, dropped ones left
+ *   out) and the burst's shared state object
+ */
+export function createCoalescer({ onFlush }) {
+  const bursts = new Map(); // Map<key, burst> (open bursts)
+  const tails = new Map();  // Map<key, Promise> (last flush per key)
+
+  function schedule(burst) {
+    clearTimeout(burst.timer);
+    const deadline = burst.startedAt + burst.windowMs * MAX_WAIT_FACTOR;
+    const delay = Math.max(0, Math.min(burst.windowMs, deadline - Date.now()));
+    burst.timer = setTimeout(() => flush(burst), delay);
+  }
+
+  function flush(burst) {
+    clearTimeout(burst.timer);
+    if (bursts.get(burst.key) === burst) bursts.delete(burst.key);
+    const previous = tails.get(burst.key);
+    const run = (async () => {
+      await previous;
+      const parts = (await Promise.all(burst.slots)).filter(Boolean);
+      if (!parts.length) return;
+      try {
+        await onFlush(parts, burst.state);
+      } catch (err) {
+        console.error(`[feishu] Message burst flush failed: ${err.message}`);
+      }
+    })();
+    tails.set(burst.key, run);
+    run.finally(() => {
+      if (tails.get(burst.key) === run) tails.delete(burst.key);
+    });
+    return run;
+  }
+
+  /**
+   * Reserve a message's place in the sender's burst.
+   * Call exactly one of fill(part) / drop() on the returned slot; later calls
+   * are ignored, so drop() is safe as a finally-guard.
+   *
+   * @param {string} key - Burst key (see burstKey)
+   * @param {number} windowMs - 0 never joins another message
+   * @returns {{ first: boolean, state: object, fill: (part: object) => void, drop: () => void }}
+   *   `first`: this message opened the burst; `state`: shared by the burst
+   */
+  function join(key, windowMs) {
+    let burst = windowMs > 0 ? bursts.get(key) : null;
+    const first = !burst;
+    if (first) {
+      burst = { key, windowMs, startedAt: Date.now(), slots: [], state: {}, timer: null };
+      if (windowMs > 0) bursts.set(key, burst);
+    }
+
+    let settle;
+    burst.slots.push(new Promise((resolve) => { settle = resolve; }));
+    let settled = false;
+    const slot = {
+      first,
+      state: burst.state,
+      fill: (part) => { if (!settled) { settled = true; settle(part); } },
+      drop: () => { if (!settled) { settled = true; settle(null); } },
+    };
+
+    if (burst.slots.length >= MAX_BURST_MESSAGES) flush(burst);
+    else schedule(burst);
+    return slot;
+  }
+
+  /**
+   * Flush every open burst now (shutdown).
+   * @returns {Promise<void>}
+   */
+  function flushAll() {
+    return Promise.all([...bursts.values()].map(flush)).then(() => {});
+  }
+
+  return { join, flushAll };
+}
+
+/**
+ * Burst key: one burst per sender per chat, threads kept apart.
+ */
+export function burstKey(chatId, threadId, senderId) {
+  return `${chatId}|${threadId || ''}|${senderId || ''}`;
+}
@@ -44,7 +44,8 @@ export const DEFAULT_CONFIG = {
   // group_whitelist: { enabled: true },
   // allowed_groups: [],
   // smart_groups: [],
-  // Proxy settings (optional)
+  // Proxy settings (optional): HTTP proxy used for every Feishu connection
+  // (HTTPS via CONNECT). Optional username/password for proxy auth.
   proxy: {
     enabled: false,
     host: '',
@@ -53,7 +54,33 @@ export const DEFAULT_CONFIG = {
   // Message settings
   message: {
     context_messages: 10,
-    useMarkdownCard: false
+    // Markdown replies: format 'text'|'post'|'card'|'auto'; unset follows useMarkdownCard
+    useMarkdownCard: false,
+    // Forward emoji reactions on bot messages to the agent (per-group override: groups[id].reactionFeedback)
+    reactionFeedback: true,
+    // Messages from one sender arriving within this many seconds of each other
+    // reach the agent as one turn (0 = off; each reply waits at least the window)
+    coalesce: { dmSeconds: 0, groupSeconds: 0 }
+  },
+  // Media directory retention (0 disables a limit). Files handed to the agent
+  // are kept for at least graceMinutes. maxSizeMB caps a single download per kind.
+  media: {
+    maxAgeDays: 7,
+    maxTotalMB: 2048,
+    graceMinutes: 30,
+    cleanupIntervalMinutes: 60,
+    maxSizeMB: { image: 20, file: 100, audio: 50, video: 200 },
+    downloadTimeoutSeconds: 300
+  },
+  // Message store (DATA_DIR/store): day files older than retentionDays are
+  // deleted (0 = keep everything)
+  store: {
+    retentionDays: 180
+  },
+  // Durable outbox to C4: undelivered messages are retried until expiryMinutes
+  // (0 = never), then dropped with a reply to the sender
+  outbox: {
+    expiryMinutes: 60
   }
 };
 
@@ -212,15 +239,20 @@ export function getCredentials() {
 }
 
 /**
- * Get proxy config for axios
+ * Get proxy settings (HTTP proxy, optional basic auth), or false when disabled.
+ * Connections are built from this in proxy.js.
  */
 export function getProxyConfig() {
   const cfg = getConfig();
   if (cfg.proxy?.enabled && cfg.proxy?.host && cfg.proxy?.port) {
-    return {
+    const proxy = {
       host: cfg.proxy.host,
-      port: cfg.proxy.port
+      port: Number(cfg.proxy.port)
     };
+    if (cfg.proxy.username) {
+      proxy.auth = { username: String(cfg.proxy.username), password: String(cfg.proxy.password || '') };
+    }
+    return proxy;
   }
   return false;
 }
@@ -0,0 +1,110 @@
+/**
+ * Local control server for the bot's internal endpoints (/internal/*).
+ *
+ * send.js and cli.js run as separate processes and report what they sent,
+ * edited or recalled to the running bot. The endpoints are served on a Unix
+ * domain socket under DATA_DIR in both connection modes (websocket mode has
+ * no HTTP server of its own). Every request must carry the process-local
+ * secret in `X-Internal-Token`; the socket file is also limited to the owner.
+ */
+
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import express from 'express';
+import { DATA_DIR } from './config.js';
+
+export const CONTROL_SOCKET = path.join(DATA_DIR, 'control.sock');
+
+/**
+ * Create the router for internal endpoints: JSON bodies, token check.
+ * Register endpoints on the returned router; mount it on any express app.
+ * @param {string} secret - Process-local internal token
+ * @returns {import('express').Router}
+ */
+export function createInternalRouter(secret) {
+  const router = express.Router();
+  router.use('/internal', express.json({ limit: '1mb' }), (req, res, next) => {
+    // Validate internal token (process-local secret) to prevent unauthorized injection
+    const token = req.headers['x-internal-token'];
+    if (!token || token !== secret) {
+      return res.status(403).json({ error: 'unauthorized' });
+    }
+    next();
+  });
+  return router;
+}
+
+/**
+ * Whether a server (the running bot, by default) is accepting connections
+ * on the socket.
+ * @returns {Promise<boolean>}
+ */
+export function isSocketLive(socketPath = CONTROL_SOCKET) {
+  return new Promise((resolve) => {
+    const probe = net.connect(socketPath);
+    probe.once('connect', () => { probe.destroy(); resolve(true); });
+    probe.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Serve the router on a Unix domain socket.
+ * A stale socket file left by a crashed process is replaced; a socket another
+ * live process is serving is left alone and the start fails.
+ * @param {import('express').Router} router
+ * @param {{ socketPath?: string }} [options]
+ * @returns {Promise<import('http').Server>}
+ */
+export async function startControlServer(router, { socketPath = CONTROL_SOCKET } = {}) {
+  fs.mkdirSync(path.dirname(socketPath), { recursive: true });
+  if (fs.existsSync(socketPath)) {
+    if (await isSocketLive(socketPath)) {
+      throw new Error(`${socketPath} is in use by another process`);
+    }
+    fs.unlinkSync(socketPath);
+  }
+
+  const app = express();
+  app.use(router);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(socketPath, () => {
+      try { fs.chmodSync(socketPath, 0o600); } catch {}
+      resolve(server);
+    });
+    server.once('error', reject);
+  });
+}
+
+/**
+ * Close the control server. The socket file is removed right away, so it is
+ * gone even when the process exits before close() completes.
+ */
+export function stopControlServer(server, { socketPath = CONTROL_SOCKET } = {}) {
+  try { fs.unlinkSync(socketPath); } catch {}
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+/**
+ * Handler for /internal/record-outgoing (send.js reports what it sent).
+ *
+ * Body: `{ chatId, threadId, messages: [{ messageId, msgType, text, fileName }] }`,
+ * or the older single-message `{ chatId, threadId, messageId, text }`. An
+ * entry without text (an empty stream card, a card with no title or body) is
+ * recorded as `[<msgType>]`, or skipped without a type, so one empty entry
+ * never costs the batch its other message IDs.
+ *
+ * @param {(target: { chatId: string, threadId: string|null }, messages: Array<{ messageId: string|null, msgType?: string, text: string, fileName?: string }>) => void} record
+ * @returns {import('express').RequestHandler}
+ */
+export function recordOutgoingHandler(record) {
+  return (req, res) => {
+    const { chatId, threadId, messages, text, messageId } = req.body || {};
+    const sent = (Array.isArray(messages) ? messages : [{ messageId, text }])
+      .map(m => ({ ...m, messageId: m?.messageId || null, text: m?.text || (m?.msgType ? `[${m.msgType}]` : '') }))
+      .filter(m => m.text);
+    if (!sent.length) return res.status(400).json({ error: 'missing text' });
+    record({ chatId, threadId: threadId || null }, sent);
+    res.json({ ok: true, recorded: sent.length });
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Client for the bot's internal endpoints (/internal/*).
+ *
+ * send.js and cli.js run as separate processes; they report what they sent or
+ * edited so index.js can keep its in-memory chat history current. Requests go
+ * to the bot's control socket (see control-server.js), falling back to the
+ * webhook port for a bot that predates it. They are authenticated with the
+ * process-local secret index.js publishes via FEISHU_INTERNAL_SECRET or the
+ * .internal-token file. Failures are non-critical and only reported through
+ * the return value.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { getConfig, DATA_DIR } from './config.js';
+import { CONTROL_SOCKET } from './control-server.js';
+
+function getInternalSecret() {
+  if (process.env.FEISHU_INTERNAL_SECRET) return process.env.FEISHU_INTERNAL_SECRET;
+  // Fallback: read token from file (written by index.js at startup)
+  try {
+    return fs.readFileSync(path.join(DATA_DIR, '.internal-token'), 'utf8').trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * POST JSON over a Unix socket or TCP port.
+ * @returns {Promise<number>} HTTP status
+ */
+function postJson(target, endpoint, body, secret, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      ...target,
+      path: endpoint,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'X-Internal-Token': secret,
+      },
+      timeout: timeoutMs,
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('timeout', () => req.destroy(new Error('timeout')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * POST a JSON payload to an internal endpoint of the running bot.
+ * @param {string} endpoint - e.g. '/internal/record-outgoing'
+ * @param {object} payload
+ * @param {{ timeoutMs?: number, socketPath?: string }} [options]
+ * @returns {Promise<boolean>} whether the bot accepted it
+ */
+export async function postInternal(endpoint, payload, { timeoutMs = 5000, socketPath = CONTROL_SOCKET } = {}) {
+  const internalSecret = getInternalSecret();
+  if (!internalSecret) {
+    console.warn(`[feishu] Warning: FEISHU_INTERNAL_SECRET not set — ${endpoint} will be rejected (403)`);
+    return false;
+  }
+  const body = JSON.stringify(payload);
+  const targets = [];
+  if (fs.existsSync(socketPath)) targets.push({ socketPath });
+  targets.push({ host: '127.0.0.1', port: getConfig().webhook_port || 3458 });
+
+  for (const target of targets) {
+    try {
+      const status = await postJson(target, endpoint, body, internalSecret, timeoutMs);
+      return status >= 200 && status < 300;
+    } catch {
+      // Not listening there: try the next target
+    }
+  }
+  return false;
+}
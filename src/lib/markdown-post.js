@@ -0,0 +1,319 @@
+/**
+ * Markdown to Feishu `post` (rich text) conversion.
+ *
+ * Posts can be quoted, searched and forwarded like ordinary messages, unlike
+ * cards. Each markdown line becomes a post paragraph:
+ * - headings render bold; lists get "•" / "N." markers indented by depth;
+ *   blockquotes get a "│" bar; `---` becomes a divider
+ * - **bold**, *italic*, ~~strike~~ map to text styles, [text](url) to links,
+ *   `inline code` keeps its backticks (posts have no inline code style)
+ * - fenced code blocks become code_block paragraphs
+ * - <at user_id="ou_xxx"></at> and @[name](ou_xxx) become mentions
+ *
+ * Also picks the outgoing format for send.js (`message.format`).
+ */
+
+export const MESSAGE_FORMATS = ['text', 'post', 'card', 'auto'];
+
+// Inline tokens, earliest match wins; order breaks ties at the same index
+const INLINE_PATTERNS = [
+  { type: 'code', re: /`([^`\n]+)`/y },
+  { type: 'at', re: /<at user_id="([^"]+)">([^<]*)<\/at>/y },
+  { type: 'mention', re: /@\[([^\]\n]+)\]\(((?:ou|on|u)_[\w-]+|all)\)/y },
+  { type: 'link', re: /\[([^\]\n]+)\]\(([^)\s]+)\)/y },
+  { type: 'bolditalic', re: /\*\*\*(?=\S)([^\n]+?)(?<=\S)\*\*\*/y },
+  { type: 'bold', re: /(?:\*\*(?=\S)([^\n]+?)(?<=\S)\*\*|(?<!\w)__(?=\S)([^\n]+?)(?<=\S)__(?!\w))/y },
+  { type: 'strike', re: /~~(?=\S)([^\n]+?)(?<=\S)~~/y },
+  { type: 'italic', re: /(?:\*(?=[^\s*])([^\n*]+?)(?<=\S)\*|(?<!\w)_(?=[^\s_])([^\n_]+?)(?<=\S)_(?!\w))/y },
+];
+
+// Characters that can open an inline token
+const INLINE_START = /[`<@[*_~]/;
+
+function textElement(text, style) {
+  const el = { tag: 'text', text };
+  if (style.length) el.style = [...style];
+  return el;
+}
+
+function pushText(elements, text, style) {
+  if (!text) return;
+  const last = elements[elements.length - 1];
+  if (last?.tag === 'text' && (last.style || []).join() === style.join()) {
+    last.text += text;
+  } else {
+    elements.push(textElement(text, style));
+  }
+}
+
+function matchInlineAt(text, index) {
+  for (const { type, re } of INLINE_PATTERNS) {
+    re.lastIndex = index;
+    const m = re.exec(text);
+    if (m) return { type, m };
+  }
+  return null;
+}
+
+/**
+ * Convert inline markdown to post elements.
+ * @param {string} text - One line
+ * @param {string[]} [style] - Styles inherited from an enclosing token
+ * @returns {object[]}
+ */
+export function parseInline(text, style = []) {
+  const elements = [];
+  let plainStart = 0;
+  const starts = new RegExp(INLINE_START.source, 'g');
+  let candidate;
+  while ((candidate = starts.exec(text)) !== null) {
+    const found = matchInlineAt(text, candidate.index);
+    if (!found) continue;
+    const { type, m } = found;
+    pushText(elements, text.slice(plainStart, m.index), style);
+    const addStyle = (...s) => [...style, ...s.filter(x => !style.includes(x))];
+
+    if (type === 'code') {
+      pushText(elements, m[0], style);
+    } else if (type === 'at') {
+      elements.push({ tag: 'at', user_id: m[1] });
+    } else if (type === 'mention') {
+      elements.push({ tag: 'at', user_id: m[2] });
+    } else if (type === 'link') {
+      const link = { tag: 'a', text: m[1], href: m[2] };
+      if (style.length) link.style = [...style];
+      elements.push(link);
+    } else {
+      const inner = m[1] ?? m[2];
+      const styles = { bolditalic: ['bold', 'italic'], bold: ['bold'], strike: ['lineThrough'], italic: ['italic'] }[type];
+      for (const el of parseInline(inner, addStyle(...styles))) {
+        if (el.tag === 'text') pushText(elements, el.text, el.style || []);
+        else elements.push(el);
+      }
+    }
+    plainStart = m.index + m[0].length;
+    starts.lastIndex = plainStart;
+  }
+  pushText(elements, text.slice(plainStart), style);
+  return elements;
+}
+
+/**
+ * Convert markdown to post paragraphs (arrays of post elements).
+ * @param {string} markdown
+ * @returns {object[][]}
+ */
+export function markdownToPostParagraphs(markdown) {
+  const lines = String(markdown).replace(/\r\n/g, '\n').split('\n');
+  const paragraphs = [];
+  let blank = false;
+
+  const push = (paragraph) => {
+    if (blank && paragraphs.length) paragraphs.push([textElement('', [])]);
+    blank = false;
+    paragraphs.push(paragraph);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(```+|~~~+)\s*([\w+#.-]*)\s*$/);
+    if (fence) {
+      const code = [];
+      let j = i + 1;
+      while (j < lines.length && !lines[j].trim().startsWith(fence[1])) code.push(lines[j++]);
+      const block = { tag: 'code_block', text: code.join('\n') };
+      if (fence[2]) block.language = fence[2];
+      push([block]);
+      i = j;
+      continue;
+    }
+
+    if (!line.trim()) {
+      blank = true;
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      push(parseInline(heading[1], ['bold']));
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      push([{ tag: 'hr' }]);
+      continue;
+    }
+
+    const quote = line.match(/^\s{0,3}>\s?(.*)$/);
+    if (quote) {
+      push([textElement('│ ', []), ...parseInline(quote[1])]);
+      continue;
+    }
+
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      const depth = Math.floor(item[1].replace(/\t/g, '  ').length / 2);
+      const marker = /\d/.test(item[2]) ? `${item[2].replace(')', '.')} ` : '• ';
+      const task = item[3].match(/^\[([ xX])\]\s+(.*)$/);
+      const body = task ? `${task[1] === ' ' ? '☐' : '☑'} ${task[2]}` : item[3];
+      push([textElement('  '.repeat(depth) + marker, []), ...parseInline(body)]);
+      continue;
+    }
+
+    push(parseInline(line));
+  }
+  return paragraphs;
+}
+
+/** Plain-text length of a paragraph (for chunking). */
+function paragraphLength(paragraph) {
+  return paragraph.reduce((n, el) => n + (el.text?.length || 0) + (el.href?.length || 0) + (el.tag === 'at' ? 10 : 0), 0) + 1;
+}
+
+/**
+ * Split post paragraphs into chunks of at most maxLength characters, breaking
+ * only between paragraphs. A single paragraph longer than maxLength (usually
+ * a code block) is split on its own lines.
+ * @param {object[][]} paragraphs
+ * @param {number} maxLength
+ * @returns {object[][][]}
+ */
+export function splitPostParagraphs(paragraphs, maxLength) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  const flush = () => {
+    // Drop spacer paragraphs at chunk edges
+    while (current.length && isSpacer(current[current.length - 1])) current.pop();
+    if (current.length) chunks.push(current);
+    current = [];
+    size = 0;
+  };
+
+  for (const paragraph of paragraphs) {
+    for (const piece of splitLongParagraph(paragraph, maxLength)) {
+      const len = paragraphLength(piece);
+      if (size + len > maxLength && current.length) flush();
+      if (!current.length && isSpacer(piece)) continue;
+      current.push(piece);
+      size += len;
+    }
+  }
+  flush();
+  return chunks;
+}
+
+function isSpacer(paragraph) {
+  return paragraph.length === 1 && paragraph[0].tag === 'text' && paragraph[0].text === '';
+}
+
+function splitLongParagraph(paragraph, maxLength) {
+  if (paragraphLength(paragraph) <= maxLength) return [paragraph];
+  if (paragraph.length === 1 && paragraph[0].tag === 'code_block') {
+    const block = paragraph[0];
+    const pieces = [];
+    let lines = [];
+    let size = 0;
+    for (const line of block.text.split('\n')) {
+      if (size + line.length + 1 > maxLength && lines.length) {
+        pieces.push([{ ...block, text: lines.join('\n') }]);
+        lines = [];
+        size = 0;
+      }
+      lines.push(line);
+      size += line.length + 1;
+    }
+    if (lines.length) pieces.push([{ ...block, text: lines.join('\n') }]);
+    return pieces;
+  }
+  // Long prose line: it still goes out whole, posts allow far more than maxLength
+  return [paragraph];
+}
+
+/**
+ * Render post paragraphs as plain text (fallback when a post is rejected).
+ * Mentions keep working through the text message `<at>` syntax.
+ * @param {object[][]} paragraphs
+ * @returns {string}
+ */
+export function postParagraphsToText(paragraphs) {
+  return paragraphs.map(paragraph => paragraph.map((el) => {
+    if (el.tag === 'a') return el.text === el.href ? el.href : `${el.text} (${el.href})`;
+    if (el.tag === 'at') return `<at user_id="${el.user_id}"></at>`;
+    if (el.tag === 'code_block') return '```' + (el.language || '') + '\n' + el.text + '\n```';
+    if (el.tag === 'hr') return '---';
+    return el.text || '';
+  }).join('')).join('\n');
+}
+
+/**
+ * Build post message content from paragraphs.
+ * @param {object[][]} paragraphs
+ * @param {string} [title]
+ */
+export function buildPostContent(paragraphs, title = '') {
+  return { zh_cn: { title, content: paragraphs } };
+}
+
+/**
+ * Convert markdown to post message content.
+ * @param {string} markdown
+ * @param {string} [title]
+ */
+export function markdownToPost(markdown, title = '') {
+  return buildPostContent(markdownToPostParagraphs(markdown), title);
+}
+
+/**
+ * Check if text contains markdown formatting worth rendering.
+ * Returns true for code blocks, headers, bold, lists, tables, etc.
+ */
+export function hasMarkdownContent(text) {
+  // Code blocks (``` or indented)
+  if (/```/.test(text)) return true;
+  // Headers (# at start of line)
+  if (/^#{1,6}\s/m.test(text)) return true;
+  // Bold (**text**)
+  if (/\*\*[^*]+\*\*/.test(text)) return true;
+  // Bullet or numbered lists (- item or 1. item at start of line)
+  if (/^[\s]*[-*]\s/m.test(text) || /^[\s]*\d+\.\s/m.test(text)) return true;
+  // Tables (| col | col |)
+  if (hasMarkdownTable(text)) return true;
+  return false;
+}
+
+// Links, strikethrough and mentions: not worth a card, but raw in plain text
+function hasInlineMarkup(text) {
+  return /\[[^\]\n]+\]\([^)\s]+\)/.test(text) || /~~[^~\n]+~~/.test(text) || /<at user_id="/.test(text);
+}
+
+function hasMarkdownTable(text) {
+  return /\|.+\|/.test(text) && /^[\s]*\|[\s]*[-:]+/m.test(text);
+}
+
+/**
+ * Decide how send.js renders a text message.
+ *
+ * `message.format`: `text` never renders markdown; `post` and `card` render
+ * messages that contain markdown as posts or cards; `auto` uses posts, and
+ * cards only for tables (which posts cannot show). Messages without markdown
+ * always go out as plain text. Unset, it follows the older
+ * `message.useMarkdownCard` switch (`card` when on, `text` when off).
+ *
+ * @param {string} text
+ * @param {object} [messageConfig] - config.message
+ * @returns {'text'|'post'|'card'}
+ */
+export function chooseMessageFormat(text, messageConfig = {}) {
+  let format = messageConfig?.format;
+  if (!MESSAGE_FORMATS.includes(format)) {
+    format = messageConfig?.useMarkdownCard ? 'card' : 'text';
+  }
+  if (format === 'text') return 'text';
+  const rich = hasMarkdownContent(text) || (format !== 'card' && hasInlineMarkup(text));
+  if (!rich) return 'text';
+  if (format === 'auto') return hasMarkdownTable(text) ? 'card' : 'post';
+  return format;
+}
@@ -0,0 +1,463 @@
+/**
+ * Media directory management: per-chat layout, retention and quota.
+ *
+ * Downloads handed to the agent live under MEDIA_DIR/<chat_id>/ so usage can
+ * be reported and pruned per chat; files in the top level (scripts/download.js,
+ * older versions) are reported as unsorted. Cleanup deletes files past the
+ * maximum age, then the oldest files until the total fits the size limit.
+ * Files modified within the grace window are never deleted — `protectMedia`
+ * refreshes a file's mtime when it is handed to C4 so the agent has time to
+ * read it even if it was downloaded a while ago.
+ *
+ * Downloads are content-addressed: a resource is stored as
+ * `<content hash>[-<name>].<ext>` and indexed by message_id + resource key
+ * under MEDIA_DIR/.index, so the bot, scripts/download.js and the CLI all get
+ * the existing local path back instead of downloading again. Downloads stream
+ * into a hidden `.part` file next to their destination and are renamed into
+ * place once complete, subject to a per-kind size limit.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './config.js';
+import { downloadMessageResource } from './message.js';
+
+export const MEDIA_DIR = path.join(DATA_DIR, 'media');
+const INDEX_DIR_NAME = '.index';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Partial downloads (and temp index entries) older than this are leftovers from a crash
+const STALE_PART_MS = 60 * 60 * 1000;
+
+export const DEFAULT_MEDIA_LIMITS = {
+  maxAgeDays: 7,
+  maxTotalMB: 2048,
+  graceMinutes: 30,
+  cleanupIntervalMinutes: 60,
+  maxSizeMB: { image: 20, file: 100, audio: 50, video: 200 },
+  downloadTimeoutSeconds: 300,
+};
+
+/**
+ * Resolve media limits from config.media, falling back to defaults.
+ * @param {object} config - Full bot config
+ * @returns {{ maxAgeMs: number, maxTotalBytes: number, graceMs: number, intervalMs: number,
+ *   maxBytes: { image: number, file: number, audio: number, video: number }, downloadTimeoutMs: number }}
+ *   A limit of 0 disables that rule
+ */
+export function getMediaLimits(config) {
+  const media = { ...DEFAULT_MEDIA_LIMITS, ...(config?.media || {}) };
+  const num = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) >= 0 ? Number(value) : fallback);
+  const maxSizeMB = { ...DEFAULT_MEDIA_LIMITS.maxSizeMB, ...(media.maxSizeMB || {}) };
+  const maxBytes = {};
+  for (const kind of Object.keys(DEFAULT_MEDIA_LIMITS.maxSizeMB)) {
+    maxBytes[kind] = num(maxSizeMB[kind], DEFAULT_MEDIA_LIMITS.maxSizeMB[kind]) * 1024 * 1024;
+  }
+  return {
+    maxAgeMs: num(media.maxAgeDays, DEFAULT_MEDIA_LIMITS.maxAgeDays) * DAY_MS,
+    maxTotalBytes: num(media.maxTotalMB, DEFAULT_MEDIA_LIMITS.maxTotalMB) * 1024 * 1024,
+    graceMs: num(media.graceMinutes, DEFAULT_MEDIA_LIMITS.graceMinutes) * 60 * 1000,
+    intervalMs: Math.max(1, num(media.cleanupIntervalMinutes, DEFAULT_MEDIA_LIMITS.cleanupIntervalMinutes)) * 60 * 1000,
+    maxBytes,
+    downloadTimeoutMs: Math.max(1, num(media.downloadTimeoutSeconds, DEFAULT_MEDIA_LIMITS.downloadTimeoutSeconds)) * 1000,
+  };
+}
+
+function safeChatDirName(chatId) {
+  return String(chatId).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Directory for a chat's downloads (created on demand).
+ * @param {string} [chatId] - Falls back to MEDIA_DIR when missing
+ */
+export function chatMediaDir(chatId) {
+  const dir = chatId ? path.join(MEDIA_DIR, safeChatDirName(chatId)) : MEDIA_DIR;
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Refresh the mtime of files handed to C4 so cleanup leaves them alone for
+ * the grace window.
+ * @param {string[]} paths
+ */
+export function protectMedia(paths) {
+  const now = new Date();
+  for (const filePath of paths || []) {
+    if (!filePath) continue;
+    try {
+      fs.utimesSync(filePath, now, now);
+    } catch { /* file may already be gone */ }
+  }
+}
+
+/**
+ * List media files with size and mtime.
+ * @param {string} [dir=MEDIA_DIR]
+ * @returns {Array<{ path: string, chat: string|null, size: number, mtimeMs: number }>}
+ *   chat is the per-chat directory name, or null for top-level files
+ */
+export function scanMedia(dir = MEDIA_DIR) {
+  const files = [];
+  const visit = (current, chat) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        // Only one level of per-chat directories
+        if (chat === null) visit(fullPath, entry.name);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+      try {
+        const stat = fs.statSync(fullPath);
+        files.push({ path: fullPath, chat, size: stat.size, mtimeMs: stat.mtimeMs });
+      } catch { /* removed meanwhile */ }
+    }
+  };
+  visit(dir, null);
+  return files;
+}
+
+/**
+ * Aggregate usage per chat, largest first.
+ * @param {Array<{ chat: string|null, size: number, mtimeMs: number }>} files
+ * @returns {Array<{ chat: string|null, files: number, bytes: number, oldestMs: number, newestMs: number }>}
+ */
+export function summarizeMediaUsage(files) {
+  const byChat = new Map();
+  for (const file of files) {
+    const entry = byChat.get(file.chat) || { chat: file.chat, files: 0, bytes: 0, oldestMs: Infinity, newestMs: 0 };
+    entry.files++;
+    entry.bytes += file.size;
+    entry.oldestMs = Math.min(entry.oldestMs, file.mtimeMs);
+    entry.newestMs = Math.max(entry.newestMs, file.mtimeMs);
+    byChat.set(file.chat, entry);
+  }
+  return [...byChat.values()].sort((a, b) => b.bytes - a.bytes);
+}
+
+/**
+ * Choose files to delete: everything past maxAgeMs, then the oldest files
+ * until the total is within maxTotalBytes. Files inside the grace window are
+ * never selected.
+ *
+ * @param {Array<{ path: string, size: number, mtimeMs: number }>} files
+ * @param {{ maxAgeMs?: number, maxTotalBytes?: number, graceMs?: number }} limits - 0 disables a rule
+ * @param {number} [now=Date.now()]
+ * @returns {Array} Files to delete (subset of `files`)
+ */
+export function selectMediaToPrune(files, { maxAgeMs = 0, maxTotalBytes = 0, graceMs = 0 } = {}, now = Date.now()) {
+  const oldestFirst = [...files].sort((a, b) => a.mtimeMs - b.mtimeMs);
+  const selected = new Set();
+  const isProtected = (file) => now - file.mtimeMs < graceMs;
+
+  if (maxAgeMs > 0) {
+    for (const file of oldestFirst) {
+      if (now - file.mtimeMs > maxAgeMs && !isProtected(file)) selected.add(file);
+    }
+  }
+
+  if (maxTotalBytes > 0) {
+    let total = oldestFirst.reduce((sum, f) => sum + (selected.has(f) ? 0 : f.size), 0);
+    for (const file of oldestFirst) {
+      if (total <= maxTotalBytes) break;
+      if (selected.has(file) || isProtected(file)) continue;
+      selected.add(file);
+      total -= file.size;
+    }
+  }
+
+  return oldestFirst.filter(f => selected.has(f));
+}
+
+/**
+ * Delete media files according to the limits.
+ *
+ * @param {{ maxAgeMs?: number, maxTotalBytes?: number, graceMs?: number }} limits
+ * @param {object} [opts]
+ * @param {string} [opts.chatId] - Only consider this chat's files
+ * @param {string} [opts.dir=MEDIA_DIR]
+ * @returns {{ removed: number, freedBytes: number, failed: number }}
+ */
+export function pruneMedia(limits, { chatId, dir = MEDIA_DIR } = {}) {
+  let files = scanMedia(dir);
+  if (chatId) {
+    const chatDir = safeChatDirName(chatId);
+    files = files.filter(f => f.chat === chatDir);
+  }
+
+  let removed = 0;
+  let freedBytes = 0;
+  let failed = 0;
+  for (const file of selectMediaToPrune(files, limits)) {
+    try {
+      fs.unlinkSync(file.path);
+      removed++;
+      freedBytes += file.size;
+    } catch {
+      failed++;
+    }
+  }
+
+  pruneMediaIndex(dir);
+  removeStaleParts(dir);
+
+  // Drop per-chat directories left empty
+  try {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+      const chatPath = path.join(dir, entry.name);
+      try {
+        if (fs.readdirSync(chatPath).length === 0) fs.rmdirSync(chatPath);
+      } catch { /* ignore */ }
+    }
+  } catch { /* directory may not exist yet */ }
+
+  return { removed, freedBytes, failed };
+}
+
+/**
+ * Human-readable byte count (e.g. "12.3 MB").
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// ============================================================
+// Content-addressed download cache
+// ============================================================
+
+const IMAGE_SIGNATURES = [
+  { ext: '.png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { ext: '.jpg', bytes: [0xff, 0xd8, 0xff] },
+  { ext: '.gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { ext: '.bmp', bytes: [0x42, 0x4d] },
+  { ext: '.tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { ext: '.tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+];
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/png': '.png', 'image/jpeg': '.jpg', 'image/gif': '.gif', 'image/webp': '.webp',
+  'image/bmp': '.bmp', 'image/tiff': '.tiff', 'image/heic': '.heic', 'image/svg+xml': '.svg',
+  'audio/ogg': '.ogg', 'audio/opus': '.opus', 'audio/mpeg': '.mp3', 'audio/mp4': '.m4a',
+  'video/mp4': '.mp4', 'video/quicktime': '.mov', 'video/webm': '.webm',
+  'application/pdf': '.pdf', 'application/zip': '.zip', 'text/plain': '.txt',
+};
+
+function safeExtension(ext) {
+  const clean = String(ext || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return /^\.[a-z0-9]{1,10}$/.test(clean) ? clean : null;
+}
+
+/**
+ * Work out a file extension for downloaded content: the original file name
+ * first, then the magic bytes, then the Content-Type.
+ *
+ * @param {{ data?: Buffer, contentType?: string|null, fileName?: string|null }} resource
+ * @returns {string} Extension including the dot ('.bin' when unknown)
+ */
+export function detectExtension({ data, contentType, fileName } = {}) {
+  const fromName = fileName ? safeExtension(path.extname(fileName)) : null;
+  if (fromName) return fromName;
+
+  if (data && data.length >= 12) {
+    if (data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') return '.webp';
+    if (data.toString('ascii', 4, 8) === 'ftyp') {
+      const brand = data.toString('ascii', 8, 12);
+      if (brand.startsWith('hei') || brand === 'mif1') return '.heic';
+      return '.mp4';
+    }
+    if (data.toString('ascii', 0, 4) === 'OggS') return '.ogg';
+  }
+  if (data) {
+    for (const sig of IMAGE_SIGNATURES) {
+      if (sig.bytes.every((b, i) => data[i] === b)) return sig.ext;
+    }
+  }
+
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return CONTENT_TYPE_EXTENSIONS[type] || '.bin';
+}
+
+function indexPath(dir, messageId, key) {
+  const id = crypto.createHash('sha1').update(`${messageId}:${key}`).digest('hex');
+  return path.join(dir, INDEX_DIR_NAME, `${id}.json`);
+}
+
+/**
+ * Look up a previously downloaded resource.
+ * @returns {string|null} Local path, or null if unknown or the file is gone
+ */
+export function lookupCachedMedia(messageId, key, dir = MEDIA_DIR) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(indexPath(dir, messageId, key), 'utf8'));
+    const stat = fs.statSync(entry.path);
+    if (stat.isFile() && stat.size === entry.size) return entry.path;
+  } catch { /* not cached */ }
+  return null;
+}
+
+/**
+ * Store downloaded content under its hash and index it by message + key.
+ * Identical content in the same directory maps to the same file.
+ *
+ * @param {object} opts
+ * @param {string} opts.messageId
+ * @param {string} opts.key - image_key / file_key
+ * @param {Buffer} [opts.data] - Content in memory, or:
+ * @param {{ path: string, sha256: string, size: number, head: Buffer }} [opts.file] - A completed
+ *   download (see downloadMessageResource); it is moved into place
+ * @param {string} [opts.targetDir] - Directory to store in (default MEDIA_DIR)
+ * @param {string|null} [opts.name] - Original file name, kept after the hash for readability
+ * @param {string|null} [opts.contentType]
+ * @param {string} [opts.dir=MEDIA_DIR] - Media root holding the index
+ * @returns {string} Local path
+ */
+export function storeMedia({ messageId, key, data, file, targetDir, name = null, contentType = null, dir = MEDIA_DIR }) {
+  const hash = file ? file.sha256 : crypto.createHash('sha256').update(data).digest('hex');
+  const size = file ? file.size : data.length;
+  const ext = detectExtension({ data: file ? file.head : data, contentType, fileName: name });
+  const baseName = name
+    ? path.basename(name, path.extname(name)).replace(/[^a-zA-Z0-9_.-]/g, '_').slice(0, 80)
+    : '';
+  const fileName = `${hash.slice(0, 16)}${baseName ? `-${baseName}` : ''}${ext}`;
+  const storeDir = targetDir || dir;
+  fs.mkdirSync(storeDir, { recursive: true });
+  const filePath = path.join(storeDir, fileName);
+
+  if (fs.existsSync(filePath)) {
+    if (file) fs.rmSync(file.path, { force: true });
+  } else if (file) {
+    fs.renameSync(file.path, filePath);
+  } else {
+    const tmpPath = partPath(storeDir);
+    fs.writeFileSync(tmpPath, data);
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  const entryPath = indexPath(dir, messageId, key);
+  fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+  const tmpEntry = `${entryPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpEntry, JSON.stringify({ messageId, key, path: filePath, sha256: hash, size, savedAt: Date.now() }));
+  fs.renameSync(tmpEntry, entryPath);
+  return filePath;
+}
+
+// Hidden temp file in the destination directory (same filesystem for rename)
+function partPath(storeDir) {
+  return path.join(storeDir, `.${process.pid}-${crypto.randomBytes(6).toString('hex')}.part`);
+}
+
+/**
+ * Download a message resource through the cache.
+ *
+ * @param {object} opts
+ * @param {string} opts.messageId
+ * @param {string} opts.key - image_key / file_key
+ * @param {'image'|'file'|'audio'|'video'} opts.kind - Selects the API type and the size limit
+ * @param {string} [opts.chatId] - Stores under the chat's media directory
+ * @param {string|null} [opts.name] - Original file name (files, audio, video)
+ * @param {object} [opts.limits] - getMediaLimits() result (maxBytes, downloadTimeoutMs)
+ * @returns {Promise<{ success: boolean, path?: string, cached?: boolean, tooLarge?: boolean, size?: number, message?: string }>}
+ */
+export async function downloadMedia({ messageId, key, kind, chatId, name = null, limits = getMediaLimits(null) }) {
+  const cachedPath = lookupCachedMedia(messageId, key);
+  if (cachedPath) {
+    return { success: true, path: cachedPath, cached: true };
+  }
+
+  const targetDir = chatId ? chatMediaDir(chatId) : MEDIA_DIR;
+  fs.mkdirSync(targetDir, { recursive: true });
+  const result = await downloadMessageResource(messageId, key, kind === 'image' ? 'image' : 'file', partPath(targetDir), {
+    maxBytes: limits.maxBytes?.[kind] ?? limits.maxBytes?.file ?? 0,
+    timeoutMs: limits.downloadTimeoutMs,
+  });
+  if (!result.success) return result;
+
+  try {
+    const filePath = storeMedia({
+      messageId,
+      key,
+      file: result,
+      targetDir,
+      name: name || result.fileName,
+      contentType: result.contentType,
+    });
+    return { success: true, path: filePath, cached: false };
+  } catch (err) {
+    fs.rmSync(result.path, { force: true });
+    return { success: false, message: err.message };
+  }
+}
+
+/**
+ * Remove partial downloads left behind by a crash.
+ */
+function removeStaleParts(dir) {
+  const now = Date.now();
+  const dirs = [dir];
+  try {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory() && !entry.name.startsWith('.')) dirs.push(path.join(dir, entry.name));
+    }
+  } catch {
+    return;
+  }
+  for (const current of dirs) {
+    try {
+      for (const file of fs.readdirSync(current)) {
+        if (!file.startsWith('.') || !file.endsWith('.part')) continue;
+        const filePath = path.join(current, file);
+        try {
+          if (now - fs.statSync(filePath).mtimeMs > STALE_PART_MS) fs.unlinkSync(filePath);
+        } catch { /* ignore */ }
+      }
+    } catch { /* ignore */ }
+  }
+}
+
+/**
+ * Drop index entries whose file was pruned or deleted.
+ */
+function pruneMediaIndex(dir) {
+  const indexDir = path.join(dir, INDEX_DIR_NAME);
+  let entries;
+  try {
+    entries = fs.readdirSync(indexDir);
+  } catch {
+    return;
+  }
+  const now = Date.now();
+  for (const file of entries) {
+    const entryPath = path.join(indexDir, file);
+    // Another process may be writing it right now (storeMedia renames it into place)
+    if (file.endsWith('.tmp')) {
+      try {
+        if (now - fs.statSync(entryPath).mtimeMs > STALE_PART_MS) fs.unlinkSync(entryPath);
+      } catch { /* renamed meanwhile */ }
+      continue;
+    }
+    try {
+      const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+      if (!fs.existsSync(entry.path)) fs.unlinkSync(entryPath);
+    } catch {
+      try { fs.unlinkSync(entryPath); } catch { /* ignore */ }
+    }
+  }
+}
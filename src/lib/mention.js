@@ -0,0 +1,205 @@
+/**
+ * Outgoing @mentions.
+ *
+ * The agent writes mentions as `@[name](ou_xxx)` or just `@name`. A bare
+ * `@name` is resolved against the group's member roster (the list index.js
+ * preloads with listChatMembers, kept under DATA_DIR/members so send.js can
+ * read it). Both become the canonical `@[name](id)` form, which is rendered
+ * per message type when sending:
+ * - text:  <at user_id="ou_xxx">name</at>
+ * - post:  an `at` element (markdown-post.js parses the canonical form)
+ * - card:  <at id=ou_xxx></at>
+ *
+ * `@all` (or `@所有人`) notifies everyone and is only rendered as a mention in
+ * groups that allow it (`groups[id].allowMentionAll`); elsewhere it stays
+ * plain text. Mentions inside code spans and code blocks are left alone.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './config.js';
+
+export const MEMBERS_DIR = path.join(DATA_DIR, 'members');
+// Same lifetime as index.js's member preload
+export const MEMBERS_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+const ALL_ID = 'all';
+const ALL_NAMES = ['all', '所有人'];
+const ALL_LABEL = '所有人';
+
+// Canonical mention, and the `<at>` form the agent may copy from inbound text
+const CANONICAL_RE = /@\[([^\]\n]+)\]\(((?:ou|on|u)_[\w-]+|all)\)/g;
+const AT_TAG_RE = /<at user_id="([^"]+)">([^<]*)<\/at>/g;
+// Code blocks and inline code, kept out of mention handling
+const CODE_RE = /(```[\s\S]*?(?:```|$)|`[^`\n]+`)/;
+
+function membersPath(chatId, dir) {
+  const safeId = String(chatId).replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(dir, `${safeId}.json`);
+}
+
+/**
+ * Save a group's member roster for send.js.
+ * @param {string} chatId
+ * @param {Array<{ memberId: string, name: string }>} members - listChatMembers result
+ * @returns {Array<{ id: string, name: string }>} The saved roster
+ */
+export function saveGroupMembers(chatId, members, dir = MEMBERS_DIR) {
+  const roster = members
+    .filter(m => m.memberId && m.name)
+    .map(m => ({ id: m.memberId, name: m.name }));
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = membersPath(chatId, dir);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ updatedAt: Date.now(), members: roster }));
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    console.log(`[feishu] Failed to save member roster for ${chatId}: ${err.message}`);
+  }
+  return roster;
+}
+
+/**
+ * Load a group's member roster.
+ * @param {string} chatId
+ * @param {{ maxAgeMs?: number, dir?: string }} [options]
+ * @returns {Array<{ id: string, name: string }> | null} null when missing or stale
+ */
+export function loadGroupMembers(chatId, { maxAgeMs = 0, dir = MEMBERS_DIR } = {}) {
+  try {
+    const data = JSON.parse(fs.readFileSync(membersPath(chatId, dir), 'utf8'));
+    if (maxAgeMs && Date.now() - data.updatedAt > maxAgeMs) return null;
+    return Array.isArray(data.members) ? data.members : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete a group's member roster (membership changed).
+ */
+export function clearGroupMembers(chatId, dir = MEMBERS_DIR) {
+  try { fs.unlinkSync(membersPath(chatId, dir)); } catch {}
+}
+
+// Apply fn to the parts of text outside code spans and code blocks
+function mapOutsideCode(text, fn) {
+  return String(text).split(CODE_RE).map((part, i) => (i % 2 ? part : fn(part))).join('');
+}
+
+/**
+ * Whether text has a bare `@name` that needs the member roster to resolve.
+ */
+export function hasBareMention(text) {
+  let found = false;
+  mapOutsideCode(text, (part) => {
+    if (/(^|[^\w.])@(?!\[)[^\s@]/.test(part.replace(CANONICAL_RE, '').replace(AT_TAG_RE, ''))) found = true;
+    return part;
+  });
+  return found;
+}
+
+const isWordChar = (ch) => /[A-Za-z0-9_]/.test(ch || '');
+
+// Longest roster name at text[pos]; null when none or ambiguous
+function matchMemberAt(text, pos, members) {
+  let best = null;
+  let ambiguous = false;
+  for (const member of members) {
+    const name = member.name;
+    if (!name || name.length < (best?.name.length || 1)) continue;
+    const candidate = text.substr(pos, name.length);
+    if (candidate.toLowerCase() !== name.toLowerCase()) continue;
+    // An ASCII name must end at a word boundary: @Al does not match "Alice"
+    if (isWordChar(name[name.length - 1]) && isWordChar(text[pos + name.length])) continue;
+    if (best && best.name.length === name.length) {
+      if (best.id !== member.id) ambiguous = true;
+      continue;
+    }
+    best = member;
+    ambiguous = false;
+  }
+  return ambiguous ? null : best;
+}
+
+/**
+ * Resolve outgoing mentions to the canonical `@[name](id)` form.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {Array<{ id: string, name: string }>} [options.members] - Group roster for bare `@name`
+ * @param {boolean} [options.allowAll] - Whether `@all` may notify everyone
+ * @returns {{ text: string, mentions: Array<{ id: string, name: string }>, unresolved: string[], blockedAll: boolean }}
+ */
+export function resolveMentions(text, { members = [], allowAll = false } = {}) {
+  const mentions = [];
+  const unresolved = [];
+  let blockedAll = false;
+
+  const mention = (id, name) => {
+    if (id === ALL_ID) {
+      if (!allowAll) {
+        blockedAll = true;
+        return `@${name || 'all'}`;
+      }
+      name = ALL_LABEL;
+    }
+    if (!mentions.some(m => m.id === id)) mentions.push({ id, name });
+    return `@[${name}](${id})`;
+  };
+
+  const resolved = mapOutsideCode(text, (part) => {
+    // Explicit mentions first; a placeholder keeps them out of the bare scan
+    const explicit = [];
+    const hold = (s) => `\u0000${explicit.push(s) - 1}\u0000`;
+    part = part
+      .replace(AT_TAG_RE, (_, id, name) => hold(mention(id, name.trim() || id)))
+      .replace(CANONICAL_RE, (_, name, id) => hold(mention(id, name)));
+
+    let out = '';
+    let i = 0;
+    while (i < part.length) {
+      const at = part.indexOf('@', i);
+      if (at === -1) break;
+      out += part.slice(i, at);
+      i = at + 1;
+      // Not a mention when glued to a word (e.g. an email address)
+      if (at > 0 && (isWordChar(part[at - 1]) || part[at - 1] === '.')) {
+        out += '@';
+        continue;
+      }
+      const allName = ALL_NAMES.find(n => part.substr(i, n.length).toLowerCase() === n && !isWordChar(part[i + n.length]));
+      const member = allName ? null : matchMemberAt(part, i, members);
+      if (allName) {
+        out += allowAll ? hold(mention(ALL_ID, allName)) : mention(ALL_ID, part.substr(i, allName.length));
+        i += allName.length;
+      } else if (member) {
+        out += hold(mention(member.id, member.name));
+        i += member.name.length;
+      } else {
+        const word = part.slice(i).match(/^[^\s@,，.。:：;；!！?？)）]+/);
+        if (word) unresolved.push(word[0]);
+        out += '@';
+      }
+    }
+    out += part.slice(i);
+    return out.replace(/\u0000(\d+)\u0000/g, (_, n) => explicit[Number(n)]);
+  });
+
+  return { text: resolved, mentions, unresolved, blockedAll };
+}
+
+/**
+ * Render canonical mentions for a message type.
+ * @param {string} text - Text with `@[name](id)` mentions (see resolveMentions)
+ * @param {'text'|'card'|'plain'} format - `plain` gives readable `@name` (history)
+ * @returns {string}
+ */
+export function renderMentions(text, format) {
+  return mapOutsideCode(text, part => part.replace(CANONICAL_RE, (_, name, id) => {
+    if (format === 'text') return `<at user_id="${id}">${name}</at>`;
+    if (format === 'card') return `<at id=${id}></at>`;
+    return `@${name}`;
+  }));
+}
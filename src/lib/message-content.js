@@ -0,0 +1,284 @@
+/**
+ * Message content extraction for every Feishu message type.
+ *
+ * Shared by the live receive path, quoted-message fetches and the history
+ * lazy-load path, so the agent sees the same rendering everywhere. Lookups
+ * that need the API (user/chat names, merge_forward children) are injected
+ * via `deps`, keeping the extractors pure and testable.
+ */
+
+// Nested merge_forward bundles deeper than this are summarized, not expanded
+const MAX_FORWARD_DEPTH = 3;
+
+const EMPTY = { text: '', imageKeys: [], fileKey: null, fileName: null, fileKind: null, attachments: [] };
+
+/**
+ * Extract text from a Feishu post (rich text) message.
+ * Post messages have nested arrays: paragraphs > elements.
+ * Each element has a tag (text, at, a, img, media, emotion).
+ *
+ * @param {Array} paragraphs - content.content array from post message
+ * @param {string} messageId - message ID for lazy media references
+ * @returns {{ text: string, imageKeys: string[], mediaKeys: string[] }} Extracted text, image keys and video file keys
+ */
+export function extractPostText(paragraphs, messageId) {
+  const imageKeys = [];
+  const mediaKeys = [];
+  const lines = [];
+
+  for (const paragraph of paragraphs) {
+    if (!Array.isArray(paragraph)) continue;
+    const parts = [];
+
+    for (const el of paragraph) {
+      switch (el.tag) {
+        case 'text':
+          parts.push(el.text || '');
+          break;
+        case 'at':
+          parts.push(`@${el.user_name || el.user_id || 'unknown'}`);
+          break;
+        case 'a':
+          if (el.href) {
+            parts.push(`${el.text || ''}(${el.href})`);
+          } else {
+            parts.push(el.text || '');
+          }
+          break;
+        case 'img':
+          if (el.image_key) {
+            imageKeys.push(el.image_key);
+            parts.push(`[image, image_key: ${el.image_key}, msg_id: ${messageId}]`);
+          }
+          break;
+        case 'media':
+          if (el.file_key) mediaKeys.push(el.file_key);
+          parts.push(`[media, file_key: ${el.file_key || 'unknown'}, msg_id: ${messageId}]`);
+          break;
+        case 'emotion':
+          parts.push(el.emoji_type ? `[${el.emoji_type}]` : '');
+          break;
+        default:
+          if (el.text) parts.push(el.text);
+          break;
+      }
+    }
+
+    lines.push(parts.join(''));
+  }
+
+  return { text: lines.join('\n'), imageKeys, mediaKeys };
+}
+
+/**
+ * Render downloadable resources of an extracted message as reference text,
+ * e.g. `[image, image_key: xxx, msg_id: yyy]` — used in logs and context so
+ * the agent can fetch them on demand with scripts/download.js.
+ *
+ * @param {{ imageKeys?: string[], fileKey?: string|null, fileName?: string|null, fileKind?: string|null }} content
+ * @param {string} messageId
+ * @param {object} [opts]
+ * @param {boolean} [opts.includeImages=true] - Post images are already inline in the text
+ * @returns {string[]} One reference line per resource
+ */
+export function buildMediaRefs({ imageKeys = [], fileKey = null, fileName = null, fileKind = null } = {}, messageId, { includeImages = true } = {}) {
+  const refs = [];
+  if (includeImages) {
+    for (const imgKey of imageKeys) {
+      refs.push(`[image, image_key: ${imgKey}, msg_id: ${messageId}]`);
+    }
+  }
+  if (fileKey) {
+    refs.push(`[${fileKind || 'file'}: ${fileName}, file_key: ${fileKey}, msg_id: ${messageId}]`);
+  }
+  return refs;
+}
+
+/**
+ * Summarize downloaded attachments for the message text, e.g. `[2 images]`,
+ * `[file: report.pdf]` or `[image] [video: clip.mp4]` for mixed content.
+ * Failed and oversized downloads are called out so the agent knows something
+ * is missing.
+ *
+ * @param {Array<{ kind: string, key?: string, name?: string|null, path: string|null, tooLarge?: boolean, size?: number }>} attachments
+ * @returns {string}
+ */
+export function describeAttachments(attachments = []) {
+  const parts = [];
+  const images = attachments.filter(a => a.kind === 'image' && !a.tooLarge);
+  const downloaded = images.filter(a => a.path).length;
+  if (downloaded > 0) parts.push(downloaded === 1 ? '[image]' : `[${downloaded} images]`);
+  if (images.length > downloaded) {
+    const failed = images.length - downloaded;
+    parts.push(failed === 1 ? '[image download failed]' : `[${failed} images download failed]`);
+  }
+  for (const a of attachments) {
+    if (a.tooLarge) {
+      parts.push(`[${a.kind} too large: ${a.name || a.key}, ${formatSize(a.size)}]`);
+    } else if (a.kind !== 'image') {
+      parts.push(a.path ? `[${a.kind}: ${a.name}]` : `[${a.kind} download failed: ${a.name}]`);
+    }
+  }
+  return parts.join(' ');
+}
+
+function formatSize(bytes) {
+  const mb = (Number(bytes) || 0) / (1024 * 1024);
+  return mb >= 1 ? `${mb.toFixed(1)} MB` : `${Math.ceil((Number(bytes) || 0) / 1024)} KB`;
+}
+
+function parseContent(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw || '{}');
+  } catch {
+    console.error(`[feishu] Failed to parse message content: ${String(raw).slice(0, 100)}`);
+    return {};
+  }
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round((Number(ms) || 0) / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m${seconds % 60}s` : `${seconds}s`;
+}
+
+function safeKeySuffix(key) {
+  return String(key || '').replace(/[^a-zA-Z0-9_-]/g, '').slice(-8) || 'file';
+}
+
+function fileResult(text, fileKey, fileName, fileKind) {
+  return {
+    ...EMPTY,
+    text,
+    fileKey,
+    fileName,
+    fileKind,
+    attachments: fileKey ? [{ kind: fileKind, key: fileKey, name: fileName }] : [],
+  };
+}
+
+/**
+ * Render a merge_forward bundle as a quoted transcript. Children are looked up
+ * among `items` by upper_message_id; nested bundles indent one more level.
+ */
+async function renderForwarded(messageId, items, deps, depth) {
+  const children = items
+    .filter(item => item.upperMessageId === messageId)
+    .sort((a, b) => Number(a.createTime || 0) - Number(b.createTime || 0));
+  if (children.length === 0) return '[merged forward]';
+
+  const lines = [`[merged forward: ${children.length} message${children.length === 1 ? '' : 's'}]`];
+  for (const child of children) {
+    const name = deps.resolveUserName ? await deps.resolveUserName(child.sender) : child.sender;
+    let body;
+    if (child.type === 'merge_forward') {
+      body = depth + 1 < MAX_FORWARD_DEPTH
+        ? await renderForwarded(child.id, items, deps, depth + 1)
+        : '[merged forward]';
+    } else {
+      const extracted = await extractMessageContent(
+        { msgType: child.type, content: child.rawContent, messageId: child.id, mentions: child.mentions },
+        deps,
+        depth + 1,
+      );
+      const refs = buildMediaRefs(extracted, child.id, { includeImages: child.type !== 'post' });
+      body = [extracted.text, ...refs].filter(Boolean).join('\n');
+    }
+    const [first, ...rest] = String(body || '').split('\n');
+    lines.push(`> [${name || 'unknown'}]: ${first}`);
+    for (const line of rest) lines.push(`> ${line}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Extract agent-readable content from a message of any type.
+ *
+ * @param {object} msg
+ * @param {string} msg.msgType - message_type / msg_type
+ * @param {string|object} msg.content - Raw content JSON (event `content` or API `body.content`)
+ * @param {string} msg.messageId
+ * @param {Array} [msg.mentions] - Used to resolve @_user_N in forwarded children
+ * @param {object} [deps]
+ * @param {(id: string) => Promise<string>} [deps.resolveUserName]
+ * @param {(chatId: string) => Promise<string|null>} [deps.resolveChatName]
+ * @param {(messageId: string) => Promise<Array<{ id, upperMessageId, type, sender, rawContent, mentions, createTime }>>} [deps.fetchForwardedMessages]
+ * @param {(text: string, mentions: Array) => string} [deps.resolveMentions]
+ * @param {number} [depth=0] - merge_forward nesting level
+ * @returns {Promise<{ text: string, imageKeys: string[], fileKey: string|null, fileName: string|null, fileKind: string|null, attachments: Array<{ kind: string, key: string, name: string|null }> }>}
+ *   fileKind is 'file', 'audio' or 'video' when there is a downloadable file resource;
+ *   attachments lists every downloadable resource (images, post videos, the file) in order
+ */
+export async function extractMessageContent({ msgType, content: rawContent, messageId, mentions } = {}, deps = {}, depth = 0) {
+  const content = parseContent(rawContent);
+
+  switch (msgType) {
+    case 'text': {
+      let text = content.text || '';
+      if (depth > 0 && deps.resolveMentions && mentions?.length) text = deps.resolveMentions(text, mentions);
+      return { ...EMPTY, text };
+    }
+    case 'post': {
+      // Event payloads carry { title, content }; API bodies may nest per-locale ({ zh_cn: { title, content } })
+      const post = content.content ? content : (Object.values(content).find(v => v && Array.isArray(v.content)) || {});
+      if (!post.content) return { ...EMPTY };
+      let { text, imageKeys, mediaKeys } = extractPostText(post.content, messageId);
+      if (depth > 0 && deps.resolveMentions && mentions?.length) text = deps.resolveMentions(text, mentions);
+      const attachments = [
+        ...imageKeys.map(key => ({ kind: 'image', key, name: null })),
+        ...mediaKeys.map(key => ({ kind: 'video', key, name: `video-${safeKeySuffix(key)}.mp4` })),
+      ];
+      return { ...EMPTY, text: post.title ? `[${post.title}] ${text}` : text, imageKeys, attachments };
+    }
+    case 'image': {
+      const imageKeys = content.image_key ? [content.image_key] : [];
+      return { ...EMPTY, imageKeys, attachments: imageKeys.map(key => ({ kind: 'image', key, name: null })) };
+    }
+    case 'file':
+      return fileResult('', content.file_key || null, content.file_name || 'unknown', 'file');
+    case 'audio':
+      return fileResult(
+        `[duration: ${formatDuration(content.duration)}]`,
+        content.file_key || null,
+        `audio-${safeKeySuffix(content.file_key)}.opus`,
+        'audio'
+      );
+    case 'media':
+      return fileResult(
+        `[duration: ${formatDuration(content.duration)}]`,
+        content.file_key || null,
+        content.file_name || `video-${safeKeySuffix(content.file_key)}.mp4`,
+        'video'
+      );
+    case 'sticker':
+      return { ...EMPTY, text: '[sticker]' };
+    case 'share_chat': {
+      const chatId = content.chat_id || 'unknown';
+      const name = deps.resolveChatName ? await deps.resolveChatName(chatId) : null;
+      return { ...EMPTY, text: `[shared group: ${name || chatId} (${chatId})]` };
+    }
+    case 'share_user': {
+      const userId = content.user_id || 'unknown';
+      const name = deps.resolveUserName ? await deps.resolveUserName(userId) : null;
+      return { ...EMPTY, text: `[shared contact: ${name && name !== userId ? `${name} (${userId})` : userId}]` };
+    }
+    case 'location': {
+      const coords = content.latitude && content.longitude ? ` (${content.latitude}, ${content.longitude})` : '';
+      return { ...EMPTY, text: `[location: ${content.name || 'unnamed'}${coords}]` };
+    }
+    case 'merge_forward': {
+      if (depth >= MAX_FORWARD_DEPTH || !deps.fetchForwardedMessages) {
+        return { ...EMPTY, text: '[merged forward]' };
+      }
+      let items = [];
+      try {
+        items = await deps.fetchForwardedMessages(messageId);
+      } catch (err) {
+        console.log(`[feishu] Failed to fetch forwarded messages for ${messageId}: ${err.message}`);
+      }
+      return { ...EMPTY, text: await renderForwarded(messageId, items || [], deps, depth) };
+    }
+    default:
+      return { ...EMPTY, text: `[${msgType} message]` };
+  }
+}
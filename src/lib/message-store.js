@@ -0,0 +1,514 @@
+/**
+ * Local message store: the audit log of every message the bot sees or sends,
+ * and the source of warm context after a restart.
+ *
+ * Append-only JSON lines, one directory per chat and per thread:
+ *
+ *   store/chats/<chat_id>/main/YYYY-MM-DD.jsonl           chat (DM or group)
+ *   store/chats/<chat_id>/t_<thread_id>/YYYY-MM-DD.jsonl  thread (topic)
+ *   store/chats/<chat_id>/<container>/meta.json           chat_id, thread_id, chat_type, root_id
+ *   store/index/YYYY-MM-DD.idx    message_id → chat/thread (edits and recalls find their message)
+ *   store/senders.jsonl           sender names, latest line wins
+ *
+ * Message lines keep the old logs/<id>.log fields (timestamp, message_id,
+ * user_id, open_id, user_name, text) plus chat, thread, reply, type and
+ * attachment metadata. Nothing is rewritten in place: edits and recalls are
+ * later lines ({ event: 'edited' | 'recalled' }) that readers apply.
+ *
+ * Day files (by message time, UTC) are the unit of rotation; prune() deletes
+ * those older than `store.retentionDays`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './config.js';
+
+export const STORE_DIR = path.join(DATA_DIR, 'store');
+export const DEFAULT_RETENTION_DAYS = 180;
+
+const DAY_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const INDEX_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.idx$/;
+
+/**
+ * Store retention from config (`store.retentionDays`, 0 keeps everything).
+ * @returns {number} ms, 0 for no limit
+ */
+export function getStoreRetentionMs(config) {
+  const days = config?.store?.retentionDays ?? DEFAULT_RETENTION_DAYS;
+  return days > 0 ? days * 24 * 60 * 60 * 1000 : 0;
+}
+
+function safeName(id) {
+  return String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Normalize a timestamp (ISO string, or ms as number/string) to ISO.
+ */
+export function toIsoTimestamp(value) {
+  if (value === null || value === undefined || value === '') return new Date().toISOString();
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Parse a JSON lines file.
+ * @param {{ eventsOnly?: boolean }} [options] - Skip message lines without parsing them
+ */
+function readRecords(filePath, { eventsOnly = false } = {}) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return [];
+  }
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line || (eventsOnly && !line.includes('"event":'))) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch { /* torn line from a crash */ }
+  }
+  return records;
+}
+
+function listDir(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+}
+
+// Drop undefined / null / empty-array fields so lines stay short
+function compact(record) {
+  const out = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Open a message store.
+ * The message-id index and sender names are loaded on first use.
+ *
+ * @param {{ dir?: string }} [options]
+ */
+export function createMessageStore({ dir = STORE_DIR } = {}) {
+  const chatsDir = path.join(dir, 'chats');
+  const indexDir = path.join(dir, 'index');
+  const sendersPath = path.join(dir, 'senders.jsonl');
+
+  const index = new Map();   // Map<messageId, { chatId, threadId }>
+  const senders = new Map(); // Map<senderId, name>
+  const knownContainers = new Set();
+  let loaded = false;
+
+  function ensureLoaded() {
+    if (loaded) return;
+    loaded = true;
+    for (const file of listDir(indexDir).filter(f => INDEX_FILE_RE.test(f)).sort()) {
+      const content = (() => {
+        try { return fs.readFileSync(path.join(indexDir, file), 'utf8'); } catch { return ''; }
+      })();
+      for (const line of content.split('\n')) {
+        const [messageId, chatId, threadId] = line.split('\t');
+        if (messageId && chatId) index.set(messageId, { chatId, threadId: threadId || null });
+      }
+    }
+    for (const record of readRecords(sendersPath)) {
+      if (record.id && record.name) senders.set(record.id, record.name);
+    }
+  }
+
+  function containerDir(chatId, threadId) {
+    return path.join(chatsDir, safeName(chatId), threadId ? `t_${safeName(threadId)}` : 'main');
+  }
+
+  function ensureContainer(chatId, threadId, meta) {
+    const cdir = containerDir(chatId, threadId);
+    if (knownContainers.has(cdir)) return cdir;
+    fs.mkdirSync(cdir, { recursive: true });
+    const metaPath = path.join(cdir, 'meta.json');
+    if (!fs.existsSync(metaPath)) {
+      fs.writeFileSync(metaPath, JSON.stringify(compact({
+        chat_id: chatId,
+        thread_id: threadId || null,
+        chat_type: meta.chat_type,
+        root_id: threadId ? meta.root_id : null,
+        created_at: new Date().toISOString()
+      })));
+    }
+    knownContainers.add(cdir);
+    return cdir;
+  }
+
+  function writeRecord(chatId, threadId, record, meta = {}) {
+    const cdir = ensureContainer(chatId, threadId, meta);
+    fs.appendFileSync(path.join(cdir, `${record.timestamp.slice(0, 10)}.jsonl`), JSON.stringify(record) + '\n');
+  }
+
+  function noteSender(id, name) {
+    if (!id || !name || senders.get(id) === name) return;
+    senders.set(id, name);
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(sendersPath, JSON.stringify({ id, name, timestamp: new Date().toISOString() }) + '\n');
+    } catch (err) {
+      console.error(`[feishu] Failed to record sender ${id}: ${err.message}`);
+    }
+  }
+
+  // Where an edit/recall line goes: the message's container, else the chat's main one
+  function locate(messageId, chatId, threadId) {
+    ensureLoaded();
+    return index.get(messageId) || (chatId ? { chatId, threadId: threadId || null } : null);
+  }
+
+  /**
+   * Append a message. Messages already in the store (same message_id) are skipped.
+   *
+   * @param {object} message
+   * @param {string} message.chat_id
+   * @param {string} [message.message_id]
+   * @param {string} [message.chat_type] - 'p2p' | 'group'
+   * @param {string} [message.thread_id]
+   * @param {string} [message.root_id]
+   * @param {string} [message.parent_id]
+   * @param {'in'|'out'} [message.direction] - 'out' for the bot's own messages
+   * @param {string} [message.user_id]
+   * @param {string} [message.open_id]
+   * @param {string} [message.user_name]
+   * @param {string} [message.text]
+   * @param {string} [message.msg_type]
+   * @param {string} [message.file_name]
+   * @param {Array<{ kind: string, key: string, name?: string|null }>} [message.attachments]
+   * @param {string|number} [message.timestamp]
+   * @returns {boolean} whether it was written
+   */
+  function appendMessage(message) {
+    ensureLoaded();
+    if (!message?.chat_id) return false;
+    if (message.message_id && index.has(message.message_id)) return false;
+    const threadId = message.thread_id || null;
+    const record = compact({
+      timestamp: toIsoTimestamp(message.timestamp),
+      message_id: message.message_id,
+      chat_id: message.chat_id,
+      chat_type: message.chat_type,
+      thread_id: threadId,
+      root_id: message.root_id,
+      parent_id: message.parent_id,
+      direction: message.direction || 'in',
+      user_id: message.user_id,
+      open_id: message.open_id,
+      user_name: message.user_name,
+      msg_type: message.msg_type,
+      text: message.text ?? '',
+      file_name: message.file_name,
+      attachments: (message.attachments || []).map(a => compact({ kind: a.kind, key: a.key, name: a.name }))
+    });
+    writeRecord(message.chat_id, threadId, record, record);
+    if (record.message_id) {
+      index.set(record.message_id, { chatId: record.chat_id, threadId });
+      fs.mkdirSync(indexDir, { recursive: true });
+      fs.appendFileSync(
+        path.join(indexDir, `${record.timestamp.slice(0, 10)}.idx`),
+        `${record.message_id}\t${record.chat_id}\t${threadId || ''}\n`
+      );
+    }
+    noteSender(record.user_id || record.open_id, record.user_name);
+    return true;
+  }
+
+  /**
+   * Record a new text for a message.
+   * @param {{ chatId?: string, threadId?: string, timestamp?: string|number }} [where]
+   *   Used when the message itself is not in the store
+   * @returns {boolean} whether it was written
+   */
+  function recordEdit(messageId, text, { chatId, threadId, timestamp } = {}) {
+    const location = locate(messageId, chatId, threadId);
+    if (!location) return false;
+    writeRecord(location.chatId, location.threadId, {
+      timestamp: toIsoTimestamp(timestamp),
+      message_id: messageId,
+      event: 'edited',
+      text
+    });
+    return true;
+  }
+
+  /**
+   * Record that a message was recalled.
+   * @param {{ chatId?: string, threadId?: string, recallType?: string|null, timestamp?: string|number }} [where]
+   * @returns {boolean} whether it was written
+   */
+  function recordRecall(messageId, { chatId, threadId, recallType = null, timestamp } = {}) {
+    const location = locate(messageId, chatId, threadId);
+    if (!location) return false;
+    writeRecord(location.chatId, location.threadId, {
+      timestamp: toIsoTimestamp(timestamp),
+      message_id: messageId,
+      event: 'recalled',
+      recall_type: recallType
+    });
+    return true;
+  }
+
+  /**
+   * Read a container's messages, newest day files first, with edits and
+   * recalls applied (`edited: true` / `recalled: true`). Day files before
+   * `since` are not read; those after `until` only for their edit and recall
+   * lines, which are written on the day of the edit.
+   *
+   * @param {string} chatId
+   * @param {string|null} threadId
+   * @param {{ limit?: number, since?: string, until?: string }} [options]
+   *   since/until: ISO bounds on the message timestamp
+   * @returns {object[]} Oldest first; at most `limit` (the newest ones)
+   */
+  function readContainer(chatId, threadId, { limit = Infinity, since, until } = {}) {
+    const cdir = containerDir(chatId, threadId);
+    const days = listDir(cdir).map(f => f.match(DAY_FILE_RE)?.[1]).filter(Boolean).sort().reverse();
+    const edits = new Map();
+    const recalls = new Set();
+    let messages = [];
+    for (const day of days) {
+      if (since && day < since.slice(0, 10)) break;
+      const eventsOnly = !!until && day > until.slice(0, 10);
+      const records = readRecords(path.join(cdir, `${day}.jsonl`), { eventsOnly });
+      for (let i = records.length - 1; i >= 0; i--) {
+        const record = records[i];
+        if (record.event === 'edited') {
+          // Reading backwards: the first edit seen is the latest
+          if (!edits.has(record.message_id)) edits.set(record.message_id, record.text);
+        } else if (record.event === 'recalled') {
+          recalls.add(record.message_id);
+        } else if (!record.event && (!since || record.timestamp >= since) && (!until || record.timestamp <= until)) {
+          messages.push(record);
+        }
+      }
+      if (messages.length >= limit) break;
+    }
+    messages = messages
+      .sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0))
+      .map((m) => {
+        const out = { ...m };
+        if (edits.has(m.message_id)) {
+          out.text = edits.get(m.message_id);
+          out.edited = true;
+        }
+        if (recalls.has(m.message_id)) out.recalled = true;
+        return out;
+      });
+    return Number.isFinite(limit) ? messages.slice(-limit) : messages;
+  }
+
+  /**
+   * The latest messages of a chat or thread (warm context).
+   * @param {{ until?: string }} [options] - Only messages up to this ISO time
+   * @returns {object[]} Oldest first
+   */
+  function recent(chatId, threadId, limit, { until } = {}) {
+    return readContainer(chatId, threadId || null, { limit, until });
+  }
+
+  /**
+   * Look up one message (edits and recalls applied).
+   * @returns {object|null}
+   */
+  function getMessage(messageId) {
+    ensureLoaded();
+    const location = index.get(messageId);
+    if (!location) return null;
+    return readContainer(location.chatId, location.threadId).find(m => m.message_id === messageId) || null;
+  }
+
+  /**
+   * List stored chats and threads.
+   * @param {string} [chatId] - Only this chat's containers
+   * @returns {Array<{ chatId: string, threadId: string|null, chatType?: string, rootId?: string }>}
+   */
+  function listContainers(chatId) {
+    const chatDirs = chatId ? [safeName(chatId)] : listDir(chatsDir);
+    const containers = [];
+    for (const chatDir of chatDirs) {
+      for (const name of listDir(path.join(chatsDir, chatDir))) {
+        let meta;
+        try {
+          meta = JSON.parse(fs.readFileSync(path.join(chatsDir, chatDir, name, 'meta.json'), 'utf8'));
+        } catch {
+          continue;
+        }
+        containers.push({ chatId: meta.chat_id, threadId: meta.thread_id || null, chatType: meta.chat_type, rootId: meta.root_id });
+      }
+    }
+    return containers;
+  }
+
+  /**
+   * Query messages across the store.
+   * @param {{ chatId?: string, threadId?: string, senderId?: string, since?: string, until?: string, limit?: number, includeRecalled?: boolean }} [filter]
+   * @returns {object[]} Oldest first; at most `limit` (the newest ones)
+   */
+  function query({ chatId, threadId, senderId, since, until, limit = Infinity, includeRecalled = false } = {}) {
+    let results = [];
+    for (const container of listContainers(chatId)) {
+      if (threadId && container.threadId !== threadId) continue;
+      for (const m of readContainer(container.chatId, container.threadId, { since, until })) {
+        if (!includeRecalled && m.recalled) continue;
+        if (senderId && m.user_id !== senderId && m.open_id !== senderId) continue;
+        results.push(m);
+      }
+    }
+    results.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+    if (Number.isFinite(limit)) results = results.slice(-limit);
+    return results;
+  }
+
+  /**
+   * Stored name of a sender.
+   * @returns {string|null}
+   */
+  function getSenderName(senderId) {
+    ensureLoaded();
+    return senders.get(senderId) || null;
+  }
+
+  /**
+   * Delete day files (and index files) older than the retention, drop empty
+   * containers and compact the sender list.
+   * @param {{ retentionMs: number, now?: number }} options - retentionMs 0 keeps everything
+   * @returns {{ files: number, bytes: number }}
+   */
+  function prune({ retentionMs, now = Date.now() }) {
+    const removed = { files: 0, bytes: 0 };
+    if (!retentionMs) return removed;
+    const cutoffDay = new Date(now - retentionMs).toISOString().slice(0, 10);
+    const removeFile = (filePath) => {
+      try {
+        const { size } = fs.statSync(filePath);
+        fs.unlinkSync(filePath);
+        removed.files++;
+        removed.bytes += size;
+      } catch {}
+    };
+
+    for (const chatDir of listDir(chatsDir)) {
+      for (const name of listDir(path.join(chatsDir, chatDir))) {
+        const cdir = path.join(chatsDir, chatDir, name);
+        const files = listDir(cdir);
+        for (const file of files) {
+          const day = file.match(DAY_FILE_RE)?.[1];
+          if (day && day < cutoffDay) removeFile(path.join(cdir, file));
+        }
+        if (!listDir(cdir).some(f => DAY_FILE_RE.test(f))) {
+          fs.rmSync(cdir, { recursive: true, force: true });
+          knownContainers.delete(cdir);
+        }
+      }
+      try { fs.rmdirSync(path.join(chatsDir, chatDir)); } catch { /* not empty */ }
+    }
+
+    let indexPruned = false;
+    for (const file of listDir(indexDir)) {
+      const day = file.match(INDEX_FILE_RE)?.[1];
+      if (day && day < cutoffDay) {
+        removeFile(path.join(indexDir, file));
+        indexPruned = true;
+      }
+    }
+    if (indexPruned && loaded) {
+      loaded = false;
+      index.clear();
+      senders.clear();
+      ensureLoaded();
+    }
+
+    // One line per sender
+    ensureLoaded();
+    if (readRecords(sendersPath).length > senders.size) {
+      const tmpPath = `${sendersPath}.${process.pid}.tmp`;
+      try {
+        const lines = [...senders].map(([id, name]) => JSON.stringify({ id, name }) + '\n').join('');
+        fs.writeFileSync(tmpPath, lines);
+        fs.renameSync(tmpPath, sendersPath);
+      } catch (err) {
+        console.error(`[feishu] Failed to compact senders: ${err.message}`);
+        try { fs.unlinkSync(tmpPath); } catch {}
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Disk usage summary.
+   * @returns {{ chats: number, threads: number, files: number, bytes: number, oldest: string|null, newest: string|null }}
+   */
+  function usage() {
+    const summary = { chats: 0, threads: 0, files: 0, bytes: 0, oldest: null, newest: null };
+    for (const chatDir of listDir(chatsDir)) {
+      summary.chats++;
+      for (const name of listDir(path.join(chatsDir, chatDir))) {
+        if (name.startsWith('t_')) summary.threads++;
+        for (const file of listDir(path.join(chatsDir, chatDir, name))) {
+          const day = file.match(DAY_FILE_RE)?.[1];
+          if (!day) continue;
+          summary.files++;
+          try { summary.bytes += fs.statSync(path.join(chatsDir, chatDir, name, file)).size; } catch {}
+          if (!summary.oldest || day < summary.oldest) summary.oldest = day;
+          if (!summary.newest || day > summary.newest) summary.newest = day;
+        }
+      }
+    }
+    return summary;
+  }
+
+  return {
+    dir,
+    appendMessage,
+    recordEdit,
+    recordRecall,
+    recent,
+    getMessage,
+    listContainers,
+    query,
+    getSenderName,
+    prune,
+    usage
+  };
+}
+
+/**
+ * Import the per-chat logs/<id>.log files the bot wrote before the store.
+ * Group logs (<chat_id>.log, <chat_id>_t_<thread_id>.log) carry their chat in
+ * the file name; DM logs were kept per user and have no chat_id, so they are
+ * skipped. Messages already in the store are not imported twice.
+ *
+ * @param {ReturnType<typeof createMessageStore>} store
+ * @param {string} logsDir
+ * @returns {{ messages: number, files: number, skipped: string[] }}
+ */
+export function importLegacyLogs(store, logsDir) {
+  const result = { messages: 0, files: 0, skipped: [] };
+  for (const file of listDir(logsDir).filter(f => f.endsWith('.log')).sort()) {
+    const [chatId, threadId = null] = file.slice(0, -4).split('_t_');
+    if (!chatId.startsWith('oc_')) {
+      result.skipped.push(file);
+      continue;
+    }
+    result.files++;
+    for (const entry of readRecords(path.join(logsDir, file))) {
+      if (entry.event === 'recalled') {
+        store.recordRecall(entry.message_id, { chatId, threadId, recallType: entry.recall_type, timestamp: entry.timestamp });
+      } else if (!entry.event && store.appendMessage({ ...entry, chat_id: chatId, chat_type: 'group', thread_id: threadId })) {
+        result.messages++;
+      }
+    }
+  }
+  return result;
+}
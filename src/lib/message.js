@@ -4,36 +4,57 @@
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import axios from 'axios';
 import FormData from 'form-data';
 import { getClient } from './client.js';
-import { getCredentials, getProxyConfig } from './config.js';
+import { getAxiosProxyOptions } from './proxy.js';
+import { withTenantToken } from './token.js';
+import { runOutbound } from './outbound.js';
+import { markdownToPost } from './markdown-post.js';
+import { loadCardState } from './card.js';
 
 /**
- * Get fresh access token for direct API calls
+ * Create a message through the outbound layer (rate limits + retries).
+ * One uuid per logical send lets Feishu drop duplicates of a retried request.
  */
-async function getAccessToken() {
-  const creds = getCredentials();
-  const proxy = getProxyConfig();
-
-  const res = await axios({
-    method: 'POST',
-    url: 'https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal',
-    headers: { 'Content-Type': 'application/json' },
-    data: { app_id: creds.app_id, app_secret: creds.app_secret },
-    timeout: 30000,
-    proxy
-  });
+function createMessage(receiveId, receiveIdType, msgType, content) {
+  const client = getClient();
+  const uuid = crypto.randomUUID();
+  return runOutbound(() => client.im.message.create({
+    params: { receive_id_type: receiveIdType },
+    data: {
+      receive_id: receiveId,
+      msg_type: msgType,
+      content,
+      uuid,
+    },
+  }), { chatKey: receiveId, idempotent: true, label: `send ${msgType}` });
+}
 
-  return res.data.tenant_access_token;
+/**
+ * Reply to a message through the outbound layer. `chatId`, when known, puts
+ * the reply in the chat's rate-limit bucket alongside regular sends.
+ */
+function createReply(messageId, msgType, content, chatId) {
+  const client = getClient();
+  const uuid = crypto.randomUUID();
+  return runOutbound(() => client.im.message.reply({
+    path: { message_id: messageId },
+    data: {
+      msg_type: msgType,
+      content,
+      uuid,
+    },
+  }), { chatKey: chatId || messageId, idempotent: true, label: `reply ${msgType}` });
 }
 
 /**
  * Send message to a chat (group or individual)
  */
 export async function sendMessage(receiveId, content, receiveIdType = 'chat_id', msgType = 'text') {
-  const client = getClient();
-
   let messageContent;
   if (msgType === 'text') {
     messageContent = JSON.stringify({ text: content });
@@ -42,14 +63,7 @@ export async function sendMessage(receiveId, content, receiveIdType = 'chat_id',
   }
 
   try {
-    const res = await client.im.message.create({
-      params: { receive_id_type: receiveIdType },
-      data: {
-        receive_id: receiveId,
-        msg_type: msgType,
-        content: messageContent,
-      },
-    });
+    const res = await createMessage(receiveId, receiveIdType, msgType, messageContent);
 
     if (res.code === 0) {
       return {
@@ -82,10 +96,10 @@ export async function sendMessage(receiveId, content, receiveIdType = 'chat_id',
 /**
  * Reply to a specific message (used for thread/topic routing and reply threading).
  * Uses the im.message.reply API to create a reply in the same thread.
+ * @param {object} [opts]
+ * @param {string} [opts.chatId] - Chat of the replied message (rate-limit bucket)
  */
-export async function replyToMessage(messageId, content, msgType = 'text') {
-  const client = getClient();
-
+export async function replyToMessage(messageId, content, msgType = 'text', { chatId } = {}) {
   let messageContent;
   if (msgType === 'text') {
     messageContent = JSON.stringify({ text: content });
@@ -94,13 +108,7 @@ export async function replyToMessage(messageId, content, msgType = 'text') {
   }
 
   try {
-    const res = await client.im.message.reply({
-      path: { message_id: messageId },
-      data: {
-        msg_type: msgType,
-        content: messageContent,
-      },
-    });
+    const res = await createReply(messageId, msgType, messageContent, chatId);
 
     if (res.code === 0) {
       return {
@@ -120,6 +128,183 @@ export async function replyToMessage(messageId, content, msgType = 'text') {
   }
 }
 
+// ============================================================
+// Editing sent messages
+// ============================================================
+
+// Feishu rejects edits past the edit window or beyond the per-message edit count
+const EDIT_WINDOW_CODES = new Set([230075]);
+const EDIT_COUNT_CODES = new Set([230072]);
+
+/**
+ * Turn an edit failure into a readable error.
+ * @returns {{ message: string, editLimit: 'window'|'count'|null }}
+ */
+export function describeEditError(code, msg = '') {
+  // Count first: "edited too many times" would also match the window pattern
+  if (EDIT_COUNT_CODES.has(code) || /edit.*(times|count)/i.test(msg)) {
+    return { message: `Cannot edit: the message has reached Feishu's edit limit (${msg || code})`, editLimit: 'count' };
+  }
+  if (EDIT_WINDOW_CODES.has(code) || /edit.*(time|expire|window)/i.test(msg)) {
+    return { message: `Cannot edit: the message is past Feishu's edit window (${msg || code})`, editLimit: 'window' };
+  }
+  return { message: `Failed to edit: ${msg || code}`, editLimit: null };
+}
+
+function editResult(res, messageId, msgType) {
+  if (res.code === 0) {
+    return { success: true, messageId, msgType, message: 'Message edited successfully' };
+  }
+  const permErr = extractPermissionError({ response: { data: res } });
+  if (permErr) {
+    return { success: false, message: `Permission error: ${res.msg}`, code: res.code, permissionError: permErr };
+  }
+  return { success: false, code: res.code, ...describeEditError(res.code, res.msg) };
+}
+
+// Thrown SDK errors carry the Feishu body in err.response.data
+function editFailure(err, messageId, msgType) {
+  const data = err.response?.data;
+  if (data && typeof data.code === 'number') return editResult(data, messageId, msgType);
+  return { success: false, message: err.message };
+}
+
+/**
+ * Edit a sent text (or post) message in place (im.message.update).
+ * @param {object} [opts]
+ * @param {string} [opts.chatId] - Chat of the message (rate-limit bucket)
+ */
+export async function editMessage(messageId, content, msgType = 'text', { chatId } = {}) {
+  const client = getClient();
+  const messageContent = msgType === 'text'
+    ? JSON.stringify({ text: content })
+    : (typeof content === 'string' ? content : JSON.stringify(content));
+
+  // Not idempotent: a timed-out update may still have landed and used up one
+  // of the message's limited edits, so only rate-limit rejections are retried
+  try {
+    const res = await runOutbound(() => client.im.message.update({
+      path: { message_id: messageId },
+      data: { msg_type: msgType, content: messageContent },
+    }), { chatKey: chatId || messageId, label: 'edit message' });
+    return editResult(res, messageId, msgType);
+  } catch (err) {
+    return editFailure(err, messageId, msgType);
+  }
+}
+
+/**
+ * Replace the content of a sent card (im.message.patch).
+ * @param {object} card - Full card JSON
+ * @param {object} [opts] - See editMessage
+ */
+export async function editCard(messageId, card, { chatId } = {}) {
+  const client = getClient();
+
+  try {
+    const res = await runOutbound(() => client.im.message.patch({
+      path: { message_id: messageId },
+      data: { content: typeof card === 'string' ? card : JSON.stringify(card) },
+    }), { chatKey: chatId || messageId, idempotent: true, label: 'edit card' });
+    return editResult(res, messageId, 'interactive');
+  } catch (err) {
+    return editFailure(err, messageId, 'interactive');
+  }
+}
+
+/**
+ * Why a sent card cannot be edited as markdown, or null if it can.
+ * Action cards (saved card state) would lose their buttons and no longer
+ * match the state their callbacks are answered from.
+ * @param {string} messageId
+ * @param {object|null} [state] - loadCardState(messageId)
+ * @returns {string|null}
+ */
+export function cardEditBlocker(messageId, state = loadCardState(messageId)) {
+  if (!state?.card) return null;
+  return `Cannot edit ${messageId}: it is an interactive card with actions; editing it as markdown would remove them. Send a new card instead`;
+}
+
+/**
+ * Edit a message the bot sent, keeping its type: text messages get new
+ * text, posts and markdown cards are re-rendered from the new markdown.
+ * Action cards are refused (see cardEditBlocker).
+ * @returns {Promise<{ success: boolean, messageId?: string, chatId?: string, msgType?: string, message: string, editLimit?: string }>}
+ */
+export async function editBotMessage(messageId, text) {
+  const original = await getMessage(messageId);
+  if (!original.success) {
+    return { success: false, message: `Cannot edit ${messageId}: ${original.message}` };
+  }
+  const { type, chatId } = original.item;
+  let result;
+  if (type === 'text') {
+    result = await editMessage(messageId, text, 'text', { chatId });
+  } else if (type === 'post') {
+    result = await editMessage(messageId, markdownToPost(text), 'post', { chatId });
+  } else if (type === 'interactive') {
+    const blocker = cardEditBlocker(messageId);
+    if (blocker) return { success: false, message: blocker, chatId };
+    result = await editCard(messageId, buildMarkdownCard(text), { chatId });
+  } else {
+    return { success: false, message: `Cannot edit ${messageId}: only text, post and markdown card messages can be edited (got ${type})` };
+  }
+  return { ...result, chatId };
+}
+
+// ============================================================
+// Recalling sent messages
+// ============================================================
+
+// Feishu only lets a bot recall its own messages, and only recent ones
+const RECALL_DENIED_CODES = new Set([230026]);
+
+function recallResult(res, messageId, original) {
+  if (res.code === 0) {
+    return {
+      success: true,
+      messageId,
+      chatId: original?.chatId || null,
+      threadId: original?.threadId || null,
+      message: 'Message recalled successfully',
+    };
+  }
+  const permErr = extractPermissionError({ response: { data: res } });
+  if (permErr) {
+    return { success: false, message: `Permission error: ${res.msg}`, code: res.code, permissionError: permErr };
+  }
+  if (RECALL_DENIED_CODES.has(res.code) || /permission|recall.*(time|expire)/i.test(res.msg || '')) {
+    return {
+      success: false,
+      message: `Cannot recall ${messageId}: a bot can only recall its own messages, and only within Feishu's recall time limit (${res.msg || res.code})`,
+      code: res.code,
+    };
+  }
+  return { success: false, message: `Failed to recall: ${res.msg}`, code: res.code };
+}
+
+/**
+ * Recall (delete) a message the bot sent (im.message.delete).
+ * The message is looked up first so callers learn which chat/thread it was in.
+ * @returns {Promise<{ success: boolean, messageId?: string, chatId?: string|null, threadId?: string|null, message: string }>}
+ */
+export async function recallMessage(messageId) {
+  const client = getClient();
+  const lookup = await getMessage(messageId);
+  const original = lookup.success ? lookup.item : null;
+
+  try {
+    const res = await runOutbound(() => client.im.message.delete({
+      path: { message_id: messageId },
+    }), { chatKey: original?.chatId || messageId, label: 'recall message' });
+    return recallResult(res, messageId, original);
+  } catch (err) {
+    const data = err.response?.data;
+    if (data && typeof data.code === 'number') return recallResult(data, messageId, original);
+    return { success: false, message: err.message };
+  }
+}
+
 /**
  * Send message to a group chat
  */
@@ -160,6 +345,7 @@ export async function listMessages(chatId, limit = 20, sortType = 'desc', startT
         id: msg.message_id,
         type: msg.msg_type,
         content: parseMessageContent(msg.body?.content, msg.msg_type),
+        rawContent: msg.body?.content || '',
         sender: msg.sender?.id,
         senderType: msg.sender?.sender_type,
         createTime: new Date(parseInt(msg.create_time)).toISOString(),
@@ -175,6 +361,86 @@ export async function listMessages(chatId, limit = 20, sortType = 'desc', startT
   }
 }
 
+/**
+ * Get a single message by ID.
+ * @param {string} messageId - Message ID (om_xxx)
+ * @returns {{ success: boolean, item?: object, message?: string }}
+ */
+export async function getMessage(messageId) {
+  const client = getClient();
+
+  try {
+    const res = await client.im.message.get({
+      path: { message_id: messageId },
+      params: { user_id_type: 'open_id' },
+    });
+
+    if (res.code === 0 && res.data?.items?.[0]) {
+      const msg = res.data.items[0];
+      return {
+        success: true,
+        item: {
+          id: msg.message_id,
+          type: msg.msg_type,
+          chatId: msg.chat_id,
+          rootId: msg.root_id || null,
+          parentId: msg.parent_id || null,
+          threadId: msg.thread_id || null,
+          sender: msg.sender?.id,
+          senderType: msg.sender?.sender_type,
+          rawContent: msg.body?.content || '',
+          content: parseMessageContent(msg.body?.content, msg.msg_type),
+          mentions: msg.mentions || [],
+          deleted: !!msg.deleted,
+          createTime: msg.create_time ? new Date(parseInt(msg.create_time)).toISOString() : null,
+        },
+      };
+    } else {
+      return { success: false, message: `Failed to get message: ${res.msg}`, code: res.code };
+    }
+  } catch (err) {
+    return { success: false, message: err.message };
+  }
+}
+
+/**
+ * List the messages bundled inside a merge_forward message.
+ * The get API returns the bundle itself followed by every forwarded message
+ * (nested bundles included), each pointing at its bundle via upper_message_id.
+ * @param {string} messageId - merge_forward message ID
+ * @returns {{ success: boolean, items?: Array, message?: string }}
+ */
+export async function listForwardedMessages(messageId) {
+  const client = getClient();
+
+  try {
+    const res = await client.im.message.get({
+      path: { message_id: messageId },
+      params: { user_id_type: 'open_id' },
+    });
+
+    if (res.code === 0) {
+      const items = (res.data?.items || [])
+        .filter(msg => msg.message_id !== messageId || msg.upper_message_id)
+        .map(msg => ({
+          id: msg.message_id,
+          upperMessageId: msg.upper_message_id || null,
+          type: msg.msg_type,
+          sender: msg.sender?.id,
+          senderType: msg.sender?.sender_type,
+          rawContent: msg.body?.content || '',
+          mentions: msg.mentions || [],
+          createTime: msg.create_time || null,
+        }));
+      return { success: true, items };
+    } else {
+      return { success: false, message: `Failed to get forwarded messages: ${res.msg}`, code: res.code };
+    }
+  } catch (err) {
+    return { success: false, message: err.message };
+  }
+}
+
 function parseMessageContent(content, msgType) {
   if (!content) return '';
   try {
@@ -187,61 +453,183 @@ function parseMessageContent(content, msgType) {
 }
 
 /**
- * Download image from Feishu message
+ * Parse the file name out of a Content-Disposition header, if any.
  */
-export async function downloadImage(messageId, imageKey, savePath) {
+function parseDispositionFileName(header) {
+  if (!header) return null;
+  const encoded = /filename\*\s*=\s*(?:UTF-8'')?([^;]+)/i.exec(header);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ''));
+    } catch { /* fall through to plain filename */ }
+  }
+  const plain = /filename\s*=\s*"?([^";]+)"?/i.exec(header);
+  return plain ? plain[1].trim() : null;
+}
+
+/**
+ * Stream a message resource (image, file, audio, video) to disk.
+ * Aborts as soon as the declared or received size exceeds maxBytes, or when
+ * the whole download takes longer than timeoutMs; the partial file is removed
+ * in both cases.
+ *
+ * @param {string} messageId - Message ID (om_xxx) the resource belongs to
+ * @param {string} key - image_key or file_key
+ * @param {'image'|'file'} type - Resource type ('file' also covers audio and video)
+ * @param {string} destPath - File to write (callers rename it into place)
+ * @param {object} [opts]
+ * @param {number} [opts.maxBytes=0] - Size limit, 0 for none
+ * @param {number} [opts.timeoutMs=300000] - Limit for the whole download
+ * @returns {Promise<{ success: boolean, path?: string, size?: number, sha256?: string, head?: Buffer,
+ *   contentType?: string|null, fileName?: string|null, tooLarge?: boolean, message?: string }>}
+ *   head holds the first bytes for type detection; on tooLarge, size is the declared or received size
+ */
+export async function downloadMessageResource(messageId, key, type, destPath, { maxBytes = 0, timeoutMs = 300000 } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let size = 0;
+  let tooLarge = false;
+  let started = false;
+
   try {
-    const token = await getAccessToken();
-    const proxy = getProxyConfig();
-
-    const res = await axios({
-      method: 'GET',
-      url: `https://open.feishu.cn/open-apis/im/v1/messages/${messageId}/resources/${imageKey}?type=image`,
-      headers: { 'Authorization': 'Bearer ' + token },
-      responseType: 'arraybuffer',
-      timeout: 30000,
-      proxy
+    // Error responses carry a JSON body ({ code, msg }) even in stream mode
+    const { code, msg, response: res } = await withTenantToken(async (token) => {
+      const response = await axios({
+        method: 'GET',
+        url: `https://open.feishu.cn/open-apis/im/v1/messages/${messageId}/resources/${key}?type=${type}`,
+        headers: { 'Authorization': 'Bearer ' + token },
+        responseType: 'stream',
+        timeout: 30000,
+        signal: controller.signal,
+        validateStatus: () => true,
+        ...getAxiosProxyOptions()
+      });
+      if (response.status >= 400) {
+        const body = await readJsonBody(response.data);
+        return { code: body?.code ?? response.status, msg: body?.msg || `HTTP ${response.status}` };
+      }
+      return { code: 0, response };
     });
+    if (code !== 0) {
+      return { success: false, code, message: `Failed to download resource: ${msg}` };
+    }
 
-    if (res.data && res.data.length > 0) {
-      fs.writeFileSync(savePath, res.data);
-      return { success: true, path: savePath, message: 'Image downloaded successfully' };
-    } else {
+    const declared = Number(res.headers?.['content-length']) || 0;
+    if (maxBytes && declared > maxBytes) {
+      res.data.destroy();
+      return { success: false, tooLarge: true, size: declared, message: `Resource is ${declared} bytes, limit is ${maxBytes}` };
+    }
+
+    const hash = crypto.createHash('sha256');
+    let head = Buffer.alloc(0);
+    const meter = new Transform({
+      transform(chunk, _encoding, callback) {
+        size += chunk.length;
+        if (maxBytes && size > maxBytes) {
+          tooLarge = true;
+          callback(new Error(`Resource exceeds ${maxBytes} bytes`));
+          return;
+        }
+        hash.update(chunk);
+        if (head.length < 16) head = Buffer.concat([head, chunk]).subarray(0, 16);
+        callback(null, chunk);
+      }
+    });
+
+    started = true;
+    await pipeline(res.data, meter, fs.createWriteStream(destPath), { signal: controller.signal });
+
+    if (size === 0) {
+      fs.rmSync(destPath, { force: true });
       return { success: false, message: 'No data in response' };
     }
+    return {
+      success: true,
+      path: destPath,
+      size,
+      sha256: hash.digest('hex'),
+      head,
+      contentType: res.headers?.['content-type'] || null,
+      fileName: parseDispositionFileName(res.headers?.['content-disposition']),
+    };
   } catch (err) {
+    if (started) fs.rmSync(destPath, { force: true });
+    if (tooLarge) {
+      return { success: false, tooLarge: true, size, message: err.message };
+    }
+    if (controller.signal.aborted) {
+      return { success: false, message: `Download timed out after ${Math.round(timeoutMs / 1000)}s` };
+    }
+    return { success: false, message: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Read a small JSON error body from a response stream
+async function readJsonBody(stream, limit = 64 * 1024) {
+  let raw = '';
+  try {
+    for await (const chunk of stream) {
+      raw += chunk;
+      if (raw.length > limit) break;
+    }
+    stream.destroy();
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+async function downloadToFile(messageId, key, type, savePath, label) {
+  const tmpPath = `${savePath}.${process.pid}.part`;
+  const result = await downloadMessageResource(messageId, key, type, tmpPath);
+  if (!result.success) return result;
+  try {
+    fs.renameSync(tmpPath, savePath);
+    return { success: true, path: savePath, message: `${label} downloaded successfully` };
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
     return { success: false, message: err.message };
   }
 }
 
+/**
+ * Download image from Feishu message
+ */
+export async function downloadImage(messageId, imageKey, savePath) {
+  return downloadToFile(messageId, imageKey, 'image', savePath, 'Image');
+}
+
 /**
  * Upload image to Feishu
  */
 export async function uploadImage(imagePath, imageType = 'message') {
   try {
-    const token = await getAccessToken();
-    const proxy = getProxyConfig();
-
-    const form = new FormData();
-    form.append('image_type', imageType);
-    form.append('image', fs.createReadStream(imagePath));
-
-    const res = await axios({
-      method: 'POST',
-      url: 'https://open.feishu.cn/open-apis/im/v1/images',
-      headers: {
-        'Authorization': 'Bearer ' + token,
-        ...form.getHeaders()
-      },
-      data: form,
-      timeout: 30000,
-      proxy
+    const data = await withTenantToken(async (token) => {
+      // Fresh form per attempt: the file stream cannot be replayed
+      const form = new FormData();
+      form.append('image_type', imageType);
+      form.append('image', fs.createReadStream(imagePath));
+
+      const res = await axios({
+        method: 'POST',
+        url: 'https://open.feishu.cn/open-apis/im/v1/images',
+        headers: {
+          'Authorization': 'Bearer ' + token,
+          ...form.getHeaders()
+        },
+        data: form,
+        timeout: 30000,
+        ...getAxiosProxyOptions()
+      });
+      return res.data;
     });
 
-    if (res.data.code === 0) {
-      return { success: true, imageKey: res.data.data.image_key, message: 'Image uploaded successfully' };
+    if (data.code === 0) {
+      return { success: true, imageKey: data.data.image_key, message: 'Image uploaded successfully' };
     } else {
-      return { success: false, message: `Failed to upload image: ${res.data.msg}`, code: res.data.code };
+      return { success: false, message: `Failed to upload image: ${data.msg}`, code: data.code };
     }
   } catch (err) {
     return { success: false, message: err.message };
@@ -252,17 +640,8 @@ export async function uploadImage(imagePath, imageType = 'message') {
  * Send image message
  */
 export async function sendImage(receiveId, imageKey, receiveIdType = 'chat_id') {
-  const client = getClient();
-
   try {
-    const res = await client.im.message.create({
-      params: { receive_id_type: receiveIdType },
-      data: {
-        receive_id: receiveId,
-        msg_type: 'image',
-        content: JSON.stringify({ image_key: imageKey }),
-      },
-    });
+    const res = await createMessage(receiveId, receiveIdType, 'image', JSON.stringify({ image_key: imageKey }));
 
     if (res.code === 0) {
       return { success: true, messageId: res.data.message_id, message: 'Image sent successfully' };
@@ -278,28 +657,7 @@ export async function sendImage(receiveId, imageKey, receiveIdType = 'chat_id')
  * Download file from Feishu message
  */
 export async function downloadFile(messageId, fileKey, savePath) {
-  try {
-    const token = await getAccessToken();
-    const proxy = getProxyConfig();
-
-    const res = await axios({
-      method: 'GET',
-      url: `https://open.feishu.cn/open-apis/im/v1/messages/${messageId}/resources/${fileKey}?type=file`,
-      headers: { 'Authorization': 'Bearer ' + token },
-      responseType: 'arraybuffer',
-      timeout: 30000,
-      proxy
-    });
-
-    if (res.data && res.data.length > 0) {
-      fs.writeFileSync(savePath, res.data);
-      return { success: true, path: savePath, message: 'File downloaded successfully' };
-    } else {
-      return { success: false, message: 'No data in response' };
-    }
-  } catch (err) {
-    return { success: false, message: err.message };
-  }
+  return downloadToFile(messageId, fileKey, 'file', savePath, 'File');
 }
 
 function inferFileType(ext) {
@@ -367,18 +725,10 @@ export function buildMarkdownCard(text) {
  * Interactive cards render code blocks, tables, and formatting properly.
  */
 export async function sendMarkdownCard(receiveId, text, receiveIdType = 'chat_id') {
-  const client = getClient();
   const card = buildMarkdownCard(text);
 
   try {
-    const res = await client.im.message.create({
-      params: { receive_id_type: receiveIdType },
-      data: {
-        receive_id: receiveId,
-        msg_type: 'interactive',
-        content: JSON.stringify(card),
-      },
-    });
+    const res = await createMessage(receiveId, receiveIdType, 'interactive', JSON.stringify(card));
 
     if (res.code === 0) {
       return {
@@ -400,19 +750,13 @@ export async function sendMarkdownCard(receiveId, text, receiveIdType = 'chat_id
 
 /**
  * Reply to a message with a markdown card.
+ * @param {object} [opts] - See replyToMessage
  */
-export async function replyMarkdownCard(messageId, text) {
-  const client = getClient();
+export async function replyMarkdownCard(messageId, text, { chatId } = {}) {
   const card = buildMarkdownCard(text);
 
   try {
-    const res = await client.im.message.reply({
-      path: { message_id: messageId },
-      data: {
-        msg_type: 'interactive',
-        content: JSON.stringify(card),
-      },
-    });
+    const res = await createReply(messageId, 'interactive', JSON.stringify(card), chatId);
 
     if (res.code === 0) {
       return {
@@ -442,12 +786,13 @@ export async function addReaction(messageId, emojiType) {
   const client = getClient();
 
   try {
-    const res = await client.im.messageReaction.create({
+    // Not idempotent (a retried create could add a second reaction): retried on rate limits only
+    const res = await runOutbound(() => client.im.messageReaction.create({
       path: { message_id: messageId },
       data: {
         reaction_type: { emoji_type: emojiType },
       },
-    });
+    }), { label: 'add reaction' });
 
     if (res.code === 0) {
       return {
@@ -476,12 +821,12 @@ export async function removeReaction(messageId, reactionId) {
   const client = getClient();
 
   try {
-    const res = await client.im.messageReaction.delete({
+    const res = await runOutbound(() => client.im.messageReaction.delete({
       path: {
         message_id: messageId,
         reaction_id: reactionId,
       },
-    });
+    }), { idempotent: true, label: 'remove reaction' });
 
     if (res.code === 0) {
       return { success: true, message: 'Reaction removed' };
@@ -525,17 +870,8 @@ export function extractPermissionError(err) {
  * Send file message
  */
 export async function sendFile(receiveId, fileKey, receiveIdType = 'chat_id') {
-  const client = getClient();
-
   try {
-    const res = await client.im.message.create({
-      params: { receive_id_type: receiveIdType },
-      data: {
-        receive_id: receiveId,
-        msg_type: 'file',
-        content: JSON.stringify({ file_key: fileKey }),
-      },
-    });
+    const res = await createMessage(receiveId, receiveIdType, 'file', JSON.stringify({ file_key: fileKey }));
 
     if (res.code === 0) {
       return { success: true, messageId: res.data.message_id, message: 'File sent successfully' };
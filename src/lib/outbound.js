@@ -0,0 +1,179 @@
+/**
+ * Outbound request layer for messages and reactions.
+ *
+ * Every send in message.js goes through here, whether it comes from send.js,
+ * cli.js or index.js (typing reactions, owner alerts, reject replies):
+ * - token buckets per app and per chat, at Feishu's documented limits
+ *   (50 QPS per app; 5 QPS per user or group)
+ * - exponential backoff with jitter on 99991400 / HTTP 429, honouring
+ *   x-ogw-ratelimit-reset when Feishu sends it
+ * - retries on 5xx and network errors only for idempotent requests; message
+ *   sends qualify because they carry a `uuid` that Feishu deduplicates
+ *
+ * Buckets are per process. Concurrent processes (the bot plus a send.js run)
+ * can still exceed the app limit together; the backoff absorbs that.
+ */
+
+import { getCredentials } from './config.js';
+
+export const RATE_LIMIT_CODE = 99991400;
+
+// Documented limits for im.message create/reply: 50 QPS per app, 5 QPS to the same user or group
+export const FEISHU_RATE_LIMITS = {
+  app: { rate: 50, burst: 50 },
+  chat: { rate: 5, burst: 5 },
+};
+
+const RETRY_DEFAULTS = {
+  maxRetries: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+};
+
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+
+// Idle buckets are dropped once the map grows past this
+const MAX_BUCKETS = 1000;
+
+const realSleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Token-bucket limiter keyed by an arbitrary string. acquire() reserves a
+ * token and resolves once it is available; callers are served in order.
+ *
+ * @param {{ rate: number, burst?: number }} limit - tokens per second, bucket size
+ * @param {object} [deps]
+ * @param {() => number} [deps.now]
+ * @param {(ms: number) => Promise<void>} [deps.sleep]
+ */
+export function createRateLimiter({ rate, burst = rate }, { now = Date.now, sleep = realSleep } = {}) {
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+
+  function refill(bucket, t) {
+    bucket.tokens = Math.min(burst, bucket.tokens + (t - bucket.updatedAt) * rate / 1000);
+    bucket.updatedAt = t;
+  }
+
+  function prune(t) {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, t);
+      if (bucket.tokens >= burst) buckets.delete(key);
+    }
+  }
+
+  /** Milliseconds the caller has to wait for its token (already reserved). */
+  function reserve(key) {
+    const t = now();
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      if (buckets.size >= MAX_BUCKETS) prune(t);
+      bucket = { tokens: burst, updatedAt: t };
+      buckets.set(key, bucket);
+    }
+    refill(bucket, t);
+    bucket.tokens -= 1;
+    return bucket.tokens < 0 ? Math.ceil(-bucket.tokens * 1000 / rate) : 0;
+  }
+
+  async function acquire(key) {
+    const wait = reserve(key);
+    if (wait > 0) await sleep(wait);
+  }
+
+  return { acquire, reserve };
+}
+
+/**
+ * Decide whether a request outcome should be retried.
+ * @returns {{ reason: string, minDelayMs: number } | null}
+ */
+export function classifyFailure(result, error, idempotent) {
+  const response = error?.response;
+  const code = result?.code ?? response?.data?.code;
+  const status = response?.status;
+
+  if (code === RATE_LIMIT_CODE || status === 429) {
+    const reset = Number(response?.headers?.['x-ogw-ratelimit-reset']);
+    return { reason: 'rate limited', minDelayMs: reset > 0 ? reset * 1000 : 0 };
+  }
+  if (!idempotent) return null;
+  if (status >= 500) return { reason: `HTTP ${status}`, minDelayMs: 0 };
+  if (error && !response && NETWORK_ERROR_CODES.has(error.code)) {
+    return { reason: error.code, minDelayMs: 0 };
+  }
+  return null;
+}
+
+/**
+ * Create an outbound layer.
+ * @param {object} [options]
+ * @param {{ app: object, chat: object }} [options.limits] - see FEISHU_RATE_LIMITS
+ * @param {number} [options.maxRetries]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {() => number} [options.now]
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ * @param {() => number} [options.random]
+ * @param {() => string} [options.currentAppId]
+ */
+export function createOutbound({
+  limits = FEISHU_RATE_LIMITS,
+  maxRetries = RETRY_DEFAULTS.maxRetries,
+  baseDelayMs = RETRY_DEFAULTS.baseDelayMs,
+  maxDelayMs = RETRY_DEFAULTS.maxDelayMs,
+  now = Date.now,
+  sleep = realSleep,
+  random = Math.random,
+  currentAppId = () => getCredentials().app_id,
+} = {}) {
+  const appLimiter = createRateLimiter(limits.app, { now, sleep });
+  const chatLimiter = createRateLimiter(limits.chat, { now, sleep });
+
+  function backoff(attempt, minDelayMs) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    // Equal jitter: at least half the exponential step
+    const delay = Math.round(ceiling / 2 + random() * ceiling / 2);
+    return Math.max(delay, Math.min(minDelayMs, maxDelayMs));
+  }
+
+  /**
+   * Run a Feishu request under the rate limits, retrying retryable failures.
+   * The request reports API errors by returning `{ code }` or by throwing an
+   * axios-style error; the final outcome is returned or rethrown unchanged.
+   *
+   * @param {() => Promise<any>} request - Must be safe to call again
+   * @param {object} [opts]
+   * @param {string} [opts.chatKey] - Receiver (chat/user) for the per-chat bucket
+   * @param {boolean} [opts.idempotent] - Also retry 5xx and network errors
+   * @param {string} [opts.label] - For log lines
+   */
+  async function run(request, { chatKey = null, idempotent = false, label = 'request' } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await appLimiter.acquire(currentAppId() || 'app');
+      if (chatKey) await chatLimiter.acquire(chatKey);
+
+      let result, error;
+      try {
+        result = await request();
+      } catch (err) {
+        error = err;
+      }
+
+      const failure = attempt < maxRetries ? classifyFailure(result, error, idempotent) : null;
+      if (!failure) {
+        if (error) throw error;
+        return result;
+      }
+      const delay = backoff(attempt, failure.minDelayMs);
+      console.log(`[feishu] ${label} ${failure.reason}, retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+      await sleep(delay);
+    }
+  }
+
+  return { run };
+}
+
+const defaultOutbound = createOutbound();
+
+/** Run a request through the shared outbound layer (see createOutbound). */
+export const runOutbound = (request, opts) => defaultOutbound.run(request, opts);
@@ -0,0 +1,295 @@
+/**
+ * Durable outbox between the bot and C4.
+ *
+ * Every message for the agent is written to DATA_DIR/outbox before it is
+ * handed to c4-receive, and deleted once C4 accepts it, so messages survive
+ * comm-bridge outages and bot restarts:
+ * - delivery failures are retried with exponential backoff
+ * - messages for one chat (the endpoint's chat_id) are delivered strictly in
+ *   order: a failing message holds back the ones queued behind it. Each chat
+ *   drains on its own, so a slow or failing chat never delays another
+ * - a message still undelivered after the expiry (`outbox.expiryMinutes`) or
+ *   rejected by C4 is moved to outbox/dead, where admin.js can inspect and
+ *   replay it; dead entries are pruned after DEAD_RETENTION_MS
+ *
+ * One JSON file per message; file names sort in enqueue order.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './config.js';
+
+export const OUTBOX_DIR = path.join(DATA_DIR, 'outbox');
+export const DEFAULT_OUTBOX_EXPIRY_MINUTES = 60;
+export const OUTBOX_RETRY_BASE_MS = 2000;
+export const OUTBOX_RETRY_MAX_MS = 5 * 60 * 1000;
+const DEAD_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+let sequence = 0;
+
+/**
+ * Outbox expiry from config (`outbox.expiryMinutes`, 0 never expires).
+ */
+export function getOutboxExpiryMs(config) {
+  const minutes = config?.outbox?.expiryMinutes ?? DEFAULT_OUTBOX_EXPIRY_MINUTES;
+  return minutes > 0 ? minutes * 60 * 1000 : 0;
+}
+
+/**
+ * Ordering key of an endpoint: its chat_id.
+ * (The full endpoint also names the trigger message, so it is unique per message.)
+ */
+export function outboxKey(endpoint) {
+  return String(endpoint).split('|')[0];
+}
+
+/**
+ * Delay before retry number `attempts` (1-based).
+ */
+export function retryDelay(attempts) {
+  return Math.min(OUTBOX_RETRY_MAX_MS, OUTBOX_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+function deadDir(dir) {
+  return path.join(dir, 'dead');
+}
+
+function writeEntry(dir, entry) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${entry.id}.json`);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(entry));
+  fs.renameSync(tmpPath, filePath);
+}
+
+function readEntries(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const file of files) {
+    try {
+      entries.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    } catch { /* partially written or removed meanwhile */ }
+  }
+  return entries;
+}
+
+function removeEntry(dir, id) {
+  try {
+    fs.unlinkSync(path.join(dir, `${id}.json`));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List queued and dead entries.
+ * @returns {{ pending: object[], dead: object[] }}
+ */
+export function listOutbox(dir = OUTBOX_DIR) {
+  return { pending: readEntries(dir), dead: readEntries(deadDir(dir)) };
+}
+
+/**
+ * Make entries due again: a dead entry returns to the queue with a fresh
+ * expiry, a pending one is retried right away.
+ * @param {string} id - Entry ID, or 'all' (every dead and pending entry)
+ * @returns {number} Number of entries replayed
+ */
+export function replayOutbox(id, dir = OUTBOX_DIR, now = Date.now()) {
+  let count = 0;
+  const { pending, dead } = listOutbox(dir);
+  for (const entry of dead) {
+    if (id !== 'all' && entry.id !== id) continue;
+    const { failedAt, failure, ...rest } = entry;
+    writeEntry(dir, { ...rest, enqueuedAt: now, attempts: 0, nextAttemptAt: now, lastError: null });
+    removeEntry(deadDir(dir), entry.id);
+    count++;
+  }
+  for (const entry of pending) {
+    if (id !== 'all' && entry.id !== id) continue;
+    writeEntry(dir, { ...entry, nextAttemptAt: now });
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Delete entries from the queue and the dead letters.
+ * @param {string} id - Entry ID, or 'all'
+ * @returns {number} Number of entries removed
+ */
+export function dropOutbox(id, dir = OUTBOX_DIR) {
+  let count = 0;
+  const { pending, dead } = listOutbox(dir);
+  for (const entry of pending) {
+    if ((id === 'all' || entry.id === id) && removeEntry(dir, entry.id)) count++;
+  }
+  for (const entry of dead) {
+    if ((id === 'all' || entry.id === id) && removeEntry(deadDir(dir), entry.id)) count++;
+  }
+  return count;
+}
+
+/**
+ * Create the outbox processor.
+ *
+ * @param {object} options
+ * @param {(entry: object) => Promise<{ ok: boolean, rejected?: boolean, message?: string }>} options.deliver
+ *   Hand one entry to C4. `rejected` marks a permanent refusal (no retry).
+ * @param {(entry: object, reason: 'expired'|'rejected', message: string) => void} [options.onFailure]
+ *   Called when an entry is given up on
+ * @param {() => number} [options.getExpiryMs] - 0 never expires
+ * @param {string} [options.dir]
+ * @param {() => number} [options.now]
+ */
+export function createOutbox({
+  deliver,
+  onFailure = () => {},
+  getExpiryMs = () => DEFAULT_OUTBOX_EXPIRY_MINUTES * 60 * 1000,
+  dir = OUTBOX_DIR,
+  now = Date.now,
+} = {}) {
+  const drains = new Map(); // Map<key, Promise> (running drains)
+  const again = new Set();   // keys enqueued to while draining
+  const timers = new Map();  // Map<key, timeout> (next retry)
+  let stopped = false;
+
+  function fail(entry, reason, message) {
+    writeEntry(deadDir(dir), { ...entry, failedAt: now(), failure: reason, lastError: message });
+    removeEntry(dir, entry.id);
+    try {
+      onFailure(entry, reason, message);
+    } catch (err) {
+      console.error(`[feishu] Outbox failure handler error: ${err.message}`);
+    }
+  }
+
+  // Deliver the due head entries of one chat's queue, in order
+  async function drainQueue(entries) {
+    for (const entry of entries) {
+      const expiryMs = getExpiryMs();
+      if (expiryMs && now() - entry.enqueuedAt > expiryMs) {
+        console.warn(`[feishu] Outbox: ${entry.id} expired after ${entry.attempts} attempt(s), dropping`);
+        fail(entry, 'expired', entry.lastError || 'expired');
+        continue;
+      }
+      if (entry.nextAttemptAt > now()) return entry.nextAttemptAt;
+
+      let result;
+      try {
+        result = await deliver(entry);
+      } catch (err) {
+        result = { ok: false, message: err.message };
+      }
+      if (result.ok) {
+        removeEntry(dir, entry.id);
+        continue;
+      }
+      if (result.rejected) {
+        fail(entry, 'rejected', result.message || 'rejected');
+        continue;
+      }
+      const attempts = entry.attempts + 1;
+      const delay = retryDelay(attempts);
+      console.warn(`[feishu] Outbox: delivery of ${entry.id} failed (attempt ${attempts}), retrying in ${Math.round(delay / 1000)}s: ${result.message}`);
+      const updated = { ...entry, attempts, nextAttemptAt: now() + delay, lastError: result.message || null };
+      // Dropped from admin.js meanwhile: leave it gone
+      if (fs.existsSync(path.join(dir, `${entry.id}.json`))) writeEntry(dir, updated);
+      return updated.nextAttemptAt;
+    }
+    return null;
+  }
+
+  function pruneDead() {
+    const cutoff = now() - DEAD_RETENTION_MS;
+    for (const entry of readEntries(deadDir(dir))) {
+      if (entry.failedAt < cutoff) removeEntry(deadDir(dir), entry.id);
+    }
+  }
+
+  function schedule(key, at) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+    if (stopped || !at) return;
+    const timer = setTimeout(() => { drainKey(key); }, Math.max(0, at - now()));
+    timer.unref?.();
+    timers.set(key, timer);
+  }
+
+  /**
+   * Deliver one chat's due entries. A call while that chat is draining
+   * coalesces into one follow-up pass; other chats are not waited on.
+   */
+  function drainKey(key) {
+    if (drains.has(key)) {
+      again.add(key);
+      return drains.get(key);
+    }
+    const run = (async () => {
+      let next = null;
+      do {
+        again.delete(key);
+        try {
+          next = await drainQueue(readEntries(dir).filter(e => outboxKey(e.endpoint) === key));
+        } catch (err) {
+          console.error(`[feishu] Outbox processing failed: ${err.message}`);
+          next = now() + OUTBOX_RETRY_BASE_MS;
+        }
+      } while (again.has(key) && !stopped);
+      pruneDead();
+      drains.delete(key);
+      schedule(key, next);
+    })();
+    drains.set(key, run);
+    return run;
+  }
+
+  /**
+   * Deliver everything that is due, every chat in parallel.
+   * @returns {Promise<void>} Resolves when every chat's pass is done
+   */
+  function flush() {
+    const keys = new Set(readEntries(dir).map(e => outboxKey(e.endpoint)));
+    return Promise.all([...keys].map(drainKey)).then(() => {});
+  }
+
+  /**
+   * Queue a message for C4 and start delivering.
+   * @param {{ channel: string, endpoint: string, content: string, notify?: boolean }} message
+   *   `notify`: tell the sender when the message is given up on
+   * @returns {object} The queued entry
+   */
+  function enqueue({ channel, endpoint, content, notify = false }) {
+    const t = now();
+    sequence = (sequence + 1) % 10000;
+    const entry = {
+      id: `${t}-${String(sequence).padStart(4, '0')}-${crypto.randomBytes(2).toString('hex')}`,
+      channel,
+      endpoint,
+      content,
+      notify,
+      enqueuedAt: t,
+      attempts: 0,
+      nextAttemptAt: t,
+      lastError: null,
+    };
+    writeEntry(dir, entry);
+    if (!stopped) drainKey(outboxKey(endpoint));
+    return entry;
+  }
+
+  function stop() {
+    stopped = true;
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+  }
+
+  return { enqueue, flush, stop };
+}
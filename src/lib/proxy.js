@@ -0,0 +1,138 @@
+/**
+ * Outbound proxy support for every Feishu connection.
+ *
+ * `config.proxy` ({ enabled, host, port, username?, password? }) names an
+ * HTTP proxy. HTTPS traffic — SDK client calls, raw axios calls and the
+ * websocket — is tunnelled through it with HTTP CONNECT, authenticating with
+ * Proxy-Authorization: Basic when credentials are set.
+ *
+ * Agents and the SDK http instance are cached per proxy setting, so a config
+ * reload that changes the proxy takes effect for clients created afterwards
+ * (see resetClient in client.js).
+ */
+
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import axios from 'axios';
+import { getProxyConfig } from './config.js';
+
+/**
+ * https.Agent that opens each connection through an HTTP CONNECT tunnel.
+ */
+export class ProxyTunnelAgent extends https.Agent {
+  /**
+   * @param {{ host: string, port: number, auth?: { username: string, password: string } }} proxy
+   * @param {object} [options] - https.Agent options
+   */
+  constructor(proxy, options = {}) {
+    super({ keepAlive: true, ...options });
+    this.proxy = proxy;
+  }
+
+  createConnection(options, callback) {
+    const target = `${options.host}:${options.port || 443}`;
+    const headers = { Host: target };
+    if (this.proxy.auth?.username) {
+      const credentials = `${this.proxy.auth.username}:${this.proxy.auth.password || ''}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const req = http.request({
+      host: this.proxy.host,
+      port: this.proxy.port,
+      method: 'CONNECT',
+      path: target,
+      headers,
+      agent: false,
+      timeout: options.timeout || 30000,
+    });
+
+    let settled = false;
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      req.destroy();
+      callback(err);
+    };
+
+    req.once('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        fail(new Error(`Proxy CONNECT to ${target} failed: ${res.statusCode} ${res.statusMessage || ''}`.trim()));
+        return;
+      }
+      settled = true;
+      const tlsSocket = tls.connect({
+        socket,
+        servername: options.servername || options.host,
+        rejectUnauthorized: options.rejectUnauthorized,
+        ca: options.ca,
+        ALPNProtocols: options.ALPNProtocols,
+      });
+      callback(null, tlsSocket);
+    });
+    req.once('timeout', () => fail(new Error(`Proxy CONNECT to ${target} timed out`)));
+    req.once('error', fail);
+    req.end();
+  }
+}
+
+let cachedKey = null;
+let cachedAgent = null;
+let cachedHttpInstance = null;
+
+function currentProxy() {
+  const proxy = getProxyConfig();
+  const key = proxy ? JSON.stringify(proxy) : null;
+  if (key !== cachedKey) {
+    if (cachedAgent) cachedAgent.destroy();
+    cachedKey = key;
+    cachedAgent = proxy ? new ProxyTunnelAgent(proxy) : null;
+    cachedHttpInstance = null;
+  }
+  return cachedAgent;
+}
+
+/**
+ * Agent for the configured proxy, or undefined when no proxy is enabled.
+ * Passed to the websocket client and raw HTTPS requests.
+ */
+export function getProxyAgent() {
+  return currentProxy() || undefined;
+}
+
+/**
+ * Options to spread into raw axios requests. axios' own `proxy` option does
+ * not tunnel HTTPS, so the tunnel agent is used with `proxy: false`.
+ */
+export function getAxiosProxyOptions() {
+  const agent = currentProxy();
+  return agent ? { httpsAgent: agent, proxy: false } : {};
+}
+
+/**
+ * http instance for lark.Client / lark.WSClient routed through the proxy, or
+ * undefined to use the SDK default. Mirrors the SDK default instance: sets
+ * the SDK User-Agent and resolves to the response body (or { data, headers }
+ * when `$return_headers` is set).
+ */
+export function getProxyHttpInstance() {
+  const agent = currentProxy();
+  if (!agent) return undefined;
+  if (!cachedHttpInstance) {
+    const instance = axios.create({ httpsAgent: agent, proxy: false });
+    instance.interceptors.request.use((req) => {
+      if (req.headers) req.headers['User-Agent'] = 'oapi-node-sdk/1.0.0';
+      return req;
+    }, undefined, { synchronous: true });
+    instance.interceptors.response.use((resp) => {
+      if (resp.config['$return_headers']) {
+        return { data: resp.data, headers: resp.headers };
+      }
+      return resp.data;
+    });
+    cachedHttpInstance = instance;
+  }
+  return cachedHttpInstance;
+}
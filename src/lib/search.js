@@ -0,0 +1,175 @@
+/**
+ * Full-text search over the message store (src/lib/message-store.js).
+ *
+ * No index is kept: the store is scanned (narrowed by chat, thread and date
+ * first), which is fast enough for a bot's history. Text is tokenized as
+ * - latin words and numbers, lowercased; a query word also matches longer
+ *   words it starts ("migrat" finds "migration")
+ * - CJK runs as overlapping character bigrams, since Chinese has no spaces:
+ *   "数据库迁移" finds "数据库的迁移" (most bigrams shared) and "迁移" finds
+ *   any text containing it
+ *
+ * Every query term (whitespace-separated) must match; results are ranked by
+ * how well they match, then newest first.
+ */
+
+// Kana, CJK ideographs, Hangul
+const CJK_RE = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]+/g;
+const WORD_RE = /[\p{L}\p{N}_]+/gu;
+// Share of a CJK term's bigrams a message must contain
+const CJK_MATCH_RATIO = 0.75;
+// Window of a search across all chats when no start date is given
+export const DEFAULT_SEARCH_DAYS = 30;
+
+/**
+ * Tokenize text for search.
+ * @param {string} text
+ * @returns {{ words: string[], bigrams: string[] }}
+ */
+export function tokenize(text) {
+  const value = String(text || '').toLowerCase();
+  const bigrams = [];
+  for (const run of value.match(CJK_RE) || []) {
+    const chars = [...run];
+    if (chars.length === 1) bigrams.push(chars[0]);
+    for (let i = 0; i < chars.length - 1; i++) bigrams.push(chars[i] + chars[i + 1]);
+  }
+  const words = (value.replace(CJK_RE, ' ').match(WORD_RE) || []);
+  return { words, bigrams };
+}
+
+/**
+ * Score how well a message matches one query term.
+ * @returns {number} 0 (no match) .. 1 (exact)
+ */
+function scoreTerm(term, text, tokens) {
+  if (text.includes(term)) return 1;
+  const query = tokenize(term);
+  const parts = [];
+  for (const word of query.words) {
+    if (tokens.words.includes(word)) parts.push(1);
+    else if (tokens.words.some(w => w.startsWith(word))) parts.push(0.8);
+    else return 0;
+  }
+  if (query.bigrams.length) {
+    const found = query.bigrams.filter(b => tokens.bigrams.includes(b)).length;
+    const ratio = found / query.bigrams.length;
+    if (ratio < CJK_MATCH_RATIO || query.bigrams.length === 1) return 0;
+    parts.push(ratio * 0.9);
+  }
+  if (!parts.length) return 0;
+  return parts.reduce((a, b) => a + b, 0) / parts.length;
+}
+
+/**
+ * Score a message against a query.
+ * @param {string} query - Whitespace-separated terms, all required
+ * @param {string} text
+ * @returns {number} 0 when some term does not match
+ */
+export function scoreMessage(query, text) {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return 1;
+  const lower = String(text || '').toLowerCase();
+  const tokens = tokenize(lower);
+  let total = 0;
+  for (const term of terms) {
+    const score = scoreTerm(term, lower, tokens);
+    if (!score) return 0;
+    total += score;
+  }
+  // Whole query as a phrase ranks first
+  const phrase = terms.length > 1 && lower.includes(terms.join(' ')) ? 1 : 0;
+  return (total + phrase) / (terms.length + (terms.length > 1 ? 1 : 0));
+}
+
+/**
+ * Parse a date bound: YYYY-MM-DD[THH:MM], an ISO timestamp, or "<n>d" (n days ago).
+ * @param {string} value
+ * @param {{ endOfDay?: boolean, now?: number }} [options] - endOfDay: a bare date means its last millisecond
+ * @returns {string|null} ISO timestamp, null when invalid
+ */
+export function parseSearchDate(value, { endOfDay = false, now = Date.now() } = {}) {
+  if (!value) return null;
+  const relative = String(value).match(/^(\d+)d$/);
+  if (relative) {
+    const date = new Date(now - Number(relative[1]) * 86400000);
+    date.setHours(0, 0, 0, 0);
+    return date.toISOString();
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00`);
+    if (Number.isNaN(date.getTime())) return null;
+    if (endOfDay) date.setHours(23, 59, 59, 999);
+    return date.toISOString();
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Link that opens a chat in the Feishu client. Feishu has no public link to
+ * a single message, so search results carry this as `chat_link` next to the
+ * message_id rather than as a message link.
+ */
+export function chatLink(chatId) {
+  return `https://applink.feishu.cn/client/chat/open?openChatId=${encodeURIComponent(chatId)}`;
+}
+
+function snippet(text, query, width = 160) {
+  const value = String(text || '').replace(/\s+/g, ' ');
+  if (value.length <= width) return value;
+  const lower = value.toLowerCase();
+  const first = String(query || '').toLowerCase().split(/\s+/).filter(Boolean)
+    .map(term => lower.indexOf(term)).filter(i => i >= 0).sort((a, b) => a - b)[0] ?? 0;
+  const start = Math.max(0, Math.min(first - Math.floor(width / 3), value.length - width));
+  return `${start > 0 ? '…' : ''}${value.slice(start, start + width)}${start + width < value.length ? '…' : ''}`;
+}
+
+/**
+ * Search stored messages.
+ *
+ * @param {object} store - createMessageStore() result
+ * @param {object} options
+ * @param {string} [options.query] - Keywords (all required); empty lists matching messages
+ * @param {string} [options.sender] - Sender user_id / open_id, or part of the sender's name
+ * @param {string} [options.chatId]
+ * @param {string} [options.threadId]
+ * @param {string} [options.since] - ISO lower bound
+ * @param {string} [options.until] - ISO upper bound
+ * @param {number} [options.limit] - Default 20
+ * @param {(chatId: string) => string|null} [options.chatName] - Chat display names
+ * @returns {{ total: number, results: object[] }} total: matches before the limit. Each
+ *   result has `chat_link` (opens the chat, not the message) next to the
+ *   message_id, thread_id and timestamp that find the message there
+ */
+export function searchMessages(store, {
+  query = '', sender, chatId, threadId, since, until, limit = 20, chatName = () => null,
+} = {}) {
+  const senderQuery = sender ? String(sender).toLowerCase() : null;
+  const matches = [];
+  for (const m of store.query({ chatId, threadId, since, until })) {
+    if (senderQuery && ![m.user_id, m.open_id].includes(sender) &&
+        !String(m.user_name || '').toLowerCase().includes(senderQuery)) continue;
+    const score = scoreMessage(query, m.text);
+    if (score > 0) matches.push({ m, score });
+  }
+  matches.sort((a, b) => b.score - a.score || (a.m.timestamp < b.m.timestamp ? 1 : a.m.timestamp > b.m.timestamp ? -1 : 0));
+
+  const results = matches.slice(0, limit).map(({ m, score }) => ({
+    message_id: m.message_id || null,
+    chat_id: m.chat_id,
+    chat_name: chatName(m.chat_id) || null,
+    chat_type: m.chat_type || null,
+    thread_id: m.thread_id || null,
+    timestamp: m.timestamp,
+    sender: { id: m.user_id || m.open_id || null, name: m.user_name || null },
+    direction: m.direction || 'in',
+    msg_type: m.msg_type || null,
+    text: snippet(m.text, query),
+    ...(m.edited ? { edited: true } : {}),
+    score: Math.round(score * 100) / 100,
+    chat_link: chatLink(m.chat_id)
+  }));
+  return { total: matches.length, results };
+}
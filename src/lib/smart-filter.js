@@ -0,0 +1,159 @@
+/**
+ * Pre-filter for smart groups.
+ *
+ * In smart mode every message without an @mention goes to the agent, which
+ * spends a full turn just to answer [SKIP]. A group with a `smartFilter`
+ * config triages those messages locally first; only messages that pass reach
+ * the agent, the rest are logged only (and still show up as context later).
+ *
+ *   groups[id].smartFilter = {
+ *     keywords: ['deploy', '/bug\\s*#?\\d+/i'],  // substrings (case-insensitive) or /regex/flags
+ *     questions: true,            // questions pass
+ *     ignoreSenders: ['ou_xxx'],  // user_id / open_id / app_id never forwarded
+ *     ignoreBots: true,           // messages sent by other bots never forwarded
+ *     minLength: 4,               // shorter messages dropped (keyword hits exempt)
+ *     cooldownSeconds: 60         // at most one forwarded message per window
+ *   }
+ *
+ * Rules run in that order of precedence: ignored senders, minimum length,
+ * triggers (with keywords or questions configured, a message must match one
+ * of them), cooldown. @mentions of the bot always bypass the filter.
+ *
+ * Per-group counters are kept in DATA_DIR/smart-filter-stats.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './config.js';
+
+export const SMART_FILTER_STATS_PATH = path.join(DATA_DIR, 'smart-filter-stats.json');
+export const FILTER_REASONS = ['ignored', 'too-short', 'no-trigger', 'cooldown'];
+
+const QUESTION_EN = /^\s*(what|why|how|when|where|who|whom|whose|which|can|could|would|should|shall|is|are|am|was|were|do|does|did|will|has|have|any(one|body)?)\b/i;
+const QUESTION_ZH = /[吗么呢][\s。.!！~～]*$|什么|怎么|怎样|为什么|为啥|如何|哪|谁|是否|能否|可否|有没有|是不是|能不能|会不会|要不要|多少/;
+
+/**
+ * Whether text reads as a question.
+ */
+export function isQuestion(text) {
+  const value = String(text || '').trim();
+  if (!value) return false;
+  return /[?？]/.test(value) || QUESTION_EN.test(value) || QUESTION_ZH.test(value);
+}
+
+const triggerCache = new Map();
+
+/**
+ * Compile a keyword trigger: `/pattern/flags` is a regex, anything else a
+ * case-insensitive substring. Returns null for an invalid regex.
+ * @param {string} keyword
+ * @returns {((text: string) => boolean) | null}
+ */
+export function compileTrigger(keyword) {
+  const source = String(keyword);
+  if (triggerCache.has(source)) return triggerCache.get(source);
+  let trigger = null;
+  const regex = source.match(/^\/(.+)\/([a-z]*)$/s);
+  if (regex) {
+    try {
+      const re = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+      trigger = (text) => re.test(text);
+    } catch (err) {
+      console.warn(`[feishu] Ignoring invalid smartFilter keyword ${source}: ${err.message}`);
+    }
+  } else if (source.trim()) {
+    const needle = source.toLowerCase();
+    trigger = (text) => text.toLowerCase().includes(needle);
+  }
+  triggerCache.set(source, trigger);
+  return trigger;
+}
+
+/**
+ * Decide whether a smart-group message is forwarded to the agent.
+ *
+ * @param {object} message
+ * @param {string} message.text - Message text (mentions resolved)
+ * @param {string[]} message.senderIds - user_id / open_id / app_id of the sender
+ * @param {boolean} [message.fromBot] - Sent by a bot (sender_type app)
+ * @param {object} [rules] - groups[id].smartFilter; missing or `enabled: false` passes everything
+ * @param {{ now?: number, lastForwardedAt?: number }} [state]
+ * @returns {{ pass: boolean, reason: string }} reason: 'no-filter', 'keyword', 'question', 'passed' or a FILTER_REASONS entry
+ */
+export function evaluateSmartFilter(message, rules, { now = Date.now(), lastForwardedAt = 0 } = {}) {
+  if (!rules || rules.enabled === false) return { pass: true, reason: 'no-filter' };
+  const text = String(message.text || '').trim();
+
+  const ignored = (rules.ignoreSenders || []).map(s => String(s).toLowerCase());
+  if ((rules.ignoreBots && message.fromBot) ||
+      (message.senderIds || []).some(id => id && ignored.includes(String(id).toLowerCase()))) {
+    return { pass: false, reason: 'ignored' };
+  }
+
+  const keywords = (rules.keywords || []).map(compileTrigger).filter(Boolean);
+  const keywordHit = keywords.some(trigger => trigger(text));
+  if (!keywordHit && rules.minLength > 0 && [...text].length < rules.minLength) {
+    return { pass: false, reason: 'too-short' };
+  }
+
+  let reason = 'passed';
+  if (keywordHit) {
+    reason = 'keyword';
+  } else if (rules.questions && isQuestion(text)) {
+    reason = 'question';
+  } else if (keywords.length || rules.questions) {
+    return { pass: false, reason: 'no-trigger' };
+  }
+
+  if (rules.cooldownSeconds > 0 && now - lastForwardedAt < rules.cooldownSeconds * 1000) {
+    return { pass: false, reason: 'cooldown' };
+  }
+  return { pass: true, reason };
+}
+
+/**
+ * Load the per-group counters.
+ * @returns {Object<string, { forwarded: number, filtered: Object<string, number>, since: string, lastFilteredAt?: string }>}
+ */
+export function loadSmartFilterStats(filePath = SMART_FILTER_STATS_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Count one filter decision.
+ * @param {object} stats - loadSmartFilterStats() result, updated in place
+ * @param {string} chatId
+ * @param {{ pass: boolean, reason: string }} verdict
+ */
+export function countSmartFilterResult(stats, chatId, verdict) {
+  const entry = stats[chatId] || (stats[chatId] = { forwarded: 0, filtered: {}, since: new Date().toISOString() });
+  if (verdict.pass) {
+    entry.forwarded++;
+  } else {
+    entry.filtered[verdict.reason] = (entry.filtered[verdict.reason] || 0) + 1;
+    entry.lastFilteredAt = new Date().toISOString();
+  }
+  return entry;
+}
+
+/**
+ * Write the counters (atomic).
+ * @returns {boolean}
+ */
+export function saveSmartFilterStats(stats, filePath = SMART_FILTER_STATS_PATH) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(stats, null, 2));
+    fs.renameSync(tmpPath, filePath);
+    return true;
+  } catch (err) {
+    console.log(`[feishu] Failed to save smart filter stats: ${err.message}`);
+    try { fs.unlinkSync(tmpPath); } catch {}
+    return false;
+  }
+}
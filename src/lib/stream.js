@@ -0,0 +1,258 @@
+/**
+ * Streaming card replies.
+ *
+ * The agent streams a reply with `[STREAM]` directives through send.js. Each
+ * send.js call is a separate process, so the stream is persisted per trigger
+ * message (the endpoint's `msg:`) under DATA_DIR/streams:
+ * - the first call creates a card with the text and a "working" footer
+ * - later calls append to (or, with `[STREAM:replace]`, replace) the card
+ *   content through the card update API, at most once per
+ *   STREAM_UPDATE_INTERVAL_MS (a call arriving sooner waits its turn)
+ * - `[STREAM:done]` appends any final text and marks the card complete
+ *
+ * Text beyond STREAM_CARD_MAX_LENGTH continues in a new card. When creating
+ * or updating a card fails, the stream degrades to normal chunked messages:
+ * text the card was not able to show is sent as messages, and so is
+ * everything streamed afterwards.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './config.js';
+
+export const STREAMS_DIR = path.join(DATA_DIR, 'streams');
+export const STREAM_UPDATE_INTERVAL_MS = 1000;
+// Same budget as send.js markdown cards
+export const STREAM_CARD_MAX_LENGTH = 4000;
+
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_WAIT_MS = 10 * 1000;
+const APPEND_SEPARATOR = '\n\n';
+
+const realSleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Parse a streaming directive.
+ * `[STREAM]text` / `[STREAM:append]text` append, `[STREAM:replace]text`
+ * replaces the current card's content, `[STREAM:done]` (optionally with
+ * final text to append) completes the stream.
+ * @returns {{ mode: 'append'|'replace'|'done', text: string } | null}
+ */
+export function parseStreamDirective(message) {
+  const match = String(message).match(/^\[STREAM(?::(append|replace|done))?\][ \t]*\n?([\s\S]*)$/);
+  if (!match) return null;
+  return { mode: match[1] || 'append', text: match[2].replace(/\s+$/, '') };
+}
+
+/**
+ * Build the card shown while streaming (and once complete).
+ * @param {string} text - Markdown content
+ * @param {{ done?: boolean, continued?: boolean }} [status]
+ */
+export function buildStreamingCard(text, { done = false, continued = false } = {}) {
+  const elements = [];
+  if (text) elements.push({ tag: 'markdown', content: text });
+  const footer = continued ? '↓ continued below' : (done ? '' : '⏳ _Working…_');
+  if (footer) elements.push({ tag: 'markdown', content: footer, text_size: 'notation' });
+  if (elements.length === 0) elements.push({ tag: 'markdown', content: '⏳ _Working…_' });
+  return {
+    schema: '2.0',
+    config: { wide_screen_mode: true, update_multi: true },
+    body: { elements },
+  };
+}
+
+function streamStatePath(key, dir) {
+  const safeKey = String(key).replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(dir, `${safeKey}.json`);
+}
+
+function loadStreamState(key, dir) {
+  try {
+    return JSON.parse(fs.readFileSync(streamStatePath(key, dir), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function saveStreamState(key, state, dir) {
+  const filePath = streamStatePath(key, dir);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Run fn while holding the stream's lock file, so concurrent send.js calls
+ * for one stream apply in order.
+ */
+async function withStreamLock(key, fn, { now, sleep, dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const lockPath = `${streamStatePath(key, dir)}.lock`;
+  const deadline = now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      try {
+        if (now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+          fs.unlinkSync(lockPath);
+          continue;
+        }
+      } catch { continue; }
+      if (now() > deadline) throw new Error(`Stream ${key} is busy`);
+      await sleep(100);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    try { fs.unlinkSync(lockPath); } catch {}
+  }
+}
+
+// Break long text near maxLength, preferring a paragraph or line boundary
+function splitAt(text, maxLength) {
+  const para = text.lastIndexOf('\n\n', maxLength);
+  if (para > maxLength * 0.5) return para;
+  const line = text.lastIndexOf('\n', maxLength);
+  if (line > maxLength * 0.5) return line;
+  return maxLength;
+}
+
+/**
+ * Apply one streaming call.
+ *
+ * @param {object} params
+ * @param {string} params.key - Stream key (trigger message ID)
+ * @param {'append'|'replace'|'done'} params.mode
+ * @param {string} params.text
+ * @param {object} params.deps
+ * @param {(card: object) => Promise<{ success: boolean, messageId?: string, message?: string }>} params.deps.createCard
+ * @param {(messageId: string, card: object) => Promise<{ success: boolean, message?: string }>} params.deps.updateCard
+ * @param {(text: string) => Promise<void>} params.deps.sendChunks - Normal chunked send (throws on failure)
+ * @param {() => number} [params.now]
+ * @param {(ms: number) => Promise<void>} [params.sleep]
+ * @param {string} [params.dir] - State directory (default STREAMS_DIR)
+ * @returns {Promise<{ cardId: string|null, cards: Array<{ messageId: string, text: string }>, degraded: boolean, done: boolean, text: string }>}
+ *   `text` is everything streamed so far; `cards` lists every card of the
+ *   stream with the text it shows (for history)
+ */
+export async function streamReply({ key, mode, text, deps, now = Date.now, sleep = realSleep, dir = STREAMS_DIR }) {
+  return withStreamLock(key, async () => {
+    let state = loadStreamState(key, dir);
+    if (!state || state.done) {
+      state = { cardId: null, cardText: '', text: '', archived: '', archivedCards: [], degraded: false, done: false, lastUpdateAt: 0, createdAt: now() };
+    }
+
+    let next = text;
+    if (mode !== 'replace' && state.text) {
+      next = text ? state.text + APPEND_SEPARATOR + text : state.text;
+    }
+    const done = mode === 'done';
+
+    if (state.degraded) {
+      // No card any more: only new text goes out, as normal messages
+      const unsent = mode === 'replace' ? next : next.slice(state.text.length).trim();
+      if (unsent) await deps.sendChunks(unsent);
+      state.text = next;
+    } else {
+      await applyToCard(state, next, done, { deps, now, sleep });
+    }
+
+    state.done = done;
+    saveStreamState(key, state, dir);
+    const cards = [...(state.archivedCards || [])];
+    if (state.cardId) cards.push({ messageId: state.cardId, text: state.cardText || '' });
+    return {
+      cardId: state.cardId,
+      cards,
+      degraded: state.degraded,
+      done,
+      text: [state.archived, state.text].filter(Boolean).join(APPEND_SEPARATOR),
+    };
+  }, { now, sleep, dir });
+}
+
+async function applyToCard(state, next, done, { deps, now, sleep }) {
+  // Overflow: fill the current card, continue in a new one
+  while (next.length > STREAM_CARD_MAX_LENGTH) {
+    const cut = splitAt(next, STREAM_CARD_MAX_LENGTH);
+    const head = next.slice(0, cut).trim();
+    if (!await showOnCard(state, head, { continued: true }, { deps, now, sleep })) {
+      await sendUnshown(state, next, deps);
+      return;
+    }
+    state.archived = [state.archived, head].filter(Boolean).join(APPEND_SEPARATOR);
+    state.archivedCards = [...(state.archivedCards || []), { messageId: state.cardId, text: head }];
+    state.cardId = null;
+    state.text = '';
+    next = next.slice(cut).trim();
+  }
+
+  if (!state.cardId && !next) {
+    state.text = '';
+    return;
+  }
+  if (!await showOnCard(state, next, { done }, { deps, now, sleep })) {
+    await sendUnshown(state, next, deps);
+    return;
+  }
+  state.text = next;
+}
+
+// After a card failure, send what the card does not show: the new part of an
+// append, or all of it after a replace
+async function sendUnshown(state, next, deps) {
+  const unshown = next.startsWith(state.text) ? next.slice(state.text.length).trim() : next;
+  if (unshown) await deps.sendChunks(unshown);
+  state.text = next;
+}
+
+/**
+ * Create or update the current card. On failure the stream is marked degraded.
+ * @returns {Promise<boolean>}
+ */
+async function showOnCard(state, text, status, { deps, now, sleep }) {
+  const card = buildStreamingCard(text, status);
+  let result;
+  if (!state.cardId) {
+    result = await deps.createCard(card);
+    if (result.success) state.cardId = result.messageId;
+  } else {
+    const wait = state.lastUpdateAt + STREAM_UPDATE_INTERVAL_MS - now();
+    if (wait > 0) await sleep(wait);
+    result = await deps.updateCard(state.cardId, card);
+  }
+  if (!result.success) {
+    console.log(`[feishu] Streaming card failed, falling back to messages: ${result.message}`);
+    state.degraded = true;
+    return false;
+  }
+  state.lastUpdateAt = now();
+  state.cardText = text;
+  return true;
+}
+
+/**
+ * Delete stream states older than maxAgeMs (and stale lock files).
+ * @returns {number} Number of files removed
+ */
+export function pruneStreamStates(maxAgeMs, dir = STREAMS_DIR) {
+  let removed = 0;
+  try {
+    const t = Date.now();
+    for (const file of fs.readdirSync(dir)) {
+      const filePath = path.join(dir, file);
+      try {
+        if (t - fs.statSync(filePath).mtimeMs > maxAgeMs) {
+          fs.unlinkSync(filePath);
+          removed++;
+        }
+      } catch { /* ignore */ }
+    }
+  } catch { /* directory may not exist yet */ }
+  return removed;
+}
@@ -0,0 +1,112 @@
+/**
+ * Shared tenant_access_token manager for raw HTTP calls.
+ *
+ * The SDK client manages its own token; direct axios calls (media download,
+ * image upload) use this one instead of fetching a token per request. The
+ * token is cached until shortly before its `expire`, concurrent refreshes
+ * share one request, and a request rejected with a token error (99991663
+ * invalid / 99991664 expired) invalidates the cache and is retried once.
+ */
+
+import axios from 'axios';
+import { getCredentials } from './config.js';
+import { getAxiosProxyOptions } from './proxy.js';
+
+export const TOKEN_ERROR_CODES = new Set([99991663, 99991664]);
+
+// Refresh this long before the token's stated expiry
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+async function fetchTenantToken() {
+  const creds = getCredentials();
+
+  const res = await axios({
+    method: 'POST',
+    url: 'https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal',
+    headers: { 'Content-Type': 'application/json' },
+    data: { app_id: creds.app_id, app_secret: creds.app_secret },
+    timeout: 30000,
+    ...getAxiosProxyOptions()
+  });
+
+  if (res.data?.code !== 0 || !res.data.tenant_access_token) {
+    const err = new Error(`Failed to get tenant_access_token: ${res.data?.msg || 'empty response'}`);
+    err.code = res.data?.code;
+    throw err;
+  }
+  return { token: res.data.tenant_access_token, expireSeconds: res.data.expire, appId: creds.app_id };
+}
+
+/**
+ * Create a token manager.
+ * @param {object} [deps]
+ * @param {() => Promise<{ token: string, expireSeconds: number, appId?: string }>} [deps.fetchToken]
+ * @param {() => number} [deps.now]
+ * @param {() => string} [deps.currentAppId] - A credential change drops the cached token
+ */
+export function createTokenManager({
+  fetchToken = fetchTenantToken,
+  now = Date.now,
+  currentAppId = () => getCredentials().app_id,
+} = {}) {
+  let cached = null; // { token, expiresAt, appId }
+  let pending = null;
+
+  async function getToken() {
+    if (cached && cached.appId === currentAppId() && now() < cached.expiresAt - REFRESH_MARGIN_MS) {
+      return cached.token;
+    }
+    if (!pending) {
+      pending = (async () => {
+        try {
+          const { token, expireSeconds, appId } = await fetchToken();
+          cached = { token, expiresAt: now() + (Number(expireSeconds) || 0) * 1000, appId: appId ?? currentAppId() };
+          return token;
+        } finally {
+          pending = null;
+        }
+      })();
+    }
+    return pending;
+  }
+
+  /**
+   * Drop the cached token. With a token argument, only if it is still the
+   * cached one (a concurrent request may already have refreshed it).
+   */
+  function invalidate(token) {
+    if (!token || cached?.token === token) cached = null;
+  }
+
+  /**
+   * Run a request with a token, retrying once with a fresh token when it
+   * fails with a token error. The request may report the error by returning
+   * `{ code }` or by throwing an axios error whose response body has `code`.
+   *
+   * @param {(token: string) => Promise<any>} request
+   */
+  async function withToken(request) {
+    const token = await getToken();
+    try {
+      const result = await request(token);
+      if (!TOKEN_ERROR_CODES.has(result?.code)) return result;
+    } catch (err) {
+      if (!TOKEN_ERROR_CODES.has(err.response?.data?.code)) throw err;
+    }
+    invalidate(token);
+    return request(await getToken());
+  }
+
+  return { getToken, invalidate, withToken };
+}
+
+const defaultManager = createTokenManager();
+
+/** Get a cached (or freshly fetched) tenant_access_token. */
+export const getTenantAccessToken = () => defaultManager.getToken();
+
+/** Drop the cached tenant_access_token. */
+export const invalidateTenantAccessToken = (token) => defaultManager.invalidate(token);
+
+/** Run a raw API request with the shared token (see createTokenManager). */
+export const withTenantToken = (request) => defaultManager.withToken(request);
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildActionCard, buildActionResultCard, describeCardAction, getSystemCardAction } from '../src/lib/card.js';
+
+test('buildActionCard renders title, markdown body and callback buttons', () => {
+  const card = buildActionCard({
+    title: 'Deploy?',
+    text: 'Ship **v1.2** to production',
+    buttons: [{ text: 'Approve', value: 'approve', type: 'primary' }, { text: 'Reject' }],
+  });
+  assert.equal(card.schema, '2.0');
+  assert.equal(card.header.title.content, 'Deploy?');
+  assert.deepEqual(card.body.elements[0], { tag: 'markdown', content: 'Ship **v1.2** to production' });
+  const buttons = card.body.elements[1].columns.map(c => c.elements[0]);
+  assert.equal(buttons.length, 2);
+  assert.deepEqual(buttons[0].behaviors, [{ type: 'callback', value: { action: 'approve', label: 'Approve' } }]);
+  // value defaults to the button text
+  assert.equal(buttons[1].behaviors[0].value.action, 'Reject');
+});
+
+test('buildActionCard renders select options and form inputs', () => {
+  const card = buildActionCard({
+    text: 'Pick an environment',
+    select: { name: 'env', options: ['staging', { text: 'Production', value: 'prod' }] },
+    form: { inputs: [{ name: 'reason', label: 'Reason' }], submit: 'Send' },
+  });
+  const [, select, form] = card.body.elements;
+  assert.equal(select.tag, 'select_static');
+  assert.deepEqual(select.options.map(o => o.value), ['staging', 'prod']);
+  assert.equal(select.options[1].text.content, 'Production');
+  assert.equal(form.tag, 'form');
+  assert.equal(form.elements[0].name, 'reason');
+  assert.equal(form.elements[1].form_action_type, 'submit');
+  assert.equal(form.elements[1].text.content, 'Send');
+});
+
+test('buildActionCard rejects empty or malformed specs', () => {
+  assert.throws(() => buildActionCard(null), /must be an object/);
+  assert.throws(() => buildActionCard({}), /title or text/);
+  assert.throws(() => buildActionCard({ text: 'x', buttons: [] }), /non-empty array/);
+  assert.throws(() => buildActionCard({ text: 'x', select: { name: 'a', options: [] } }), /select/);
+  assert.throws(() => buildActionCard({ text: 'x', form: { inputs: [{}] } }), /needs a name/);
+});
+
+test('buildActionResultCard strips interactive elements and appends the note', () => {
+  const card = buildActionCard({
+    title: 'Deploy?',
+    text: 'Ship it',
+    buttons: [{ text: 'Approve' }],
+    select: { name: 'env', options: ['a'] },
+  });
+  const result = buildActionResultCard(card, '✅ Alice clicked "Approve"');
+  assert.equal(result.header.title.content, 'Deploy?');
+  assert.deepEqual(result.body.elements, [
+    { tag: 'markdown', content: 'Ship it' },
+    { tag: 'markdown', content: '✅ Alice clicked "Approve"' },
+  ]);
+  // original card is untouched
+  assert.equal(card.body.elements.length, 3);
+});
+
+test('describeCardAction summarizes buttons, selects and forms', () => {
+  assert.deepEqual(
+    describeCardAction({ tag: 'button', value: { action: 'approve', label: 'Approve' } }),
+    { summary: 'clicked "Approve"', payload: { action: 'approve' } }
+  );
+  assert.deepEqual(
+    describeCardAction({ tag: 'select_static', value: { action: 'env' }, option: 'prod' }),
+    { summary: 'selected "prod"', payload: { action: 'env', option: 'prod' } }
+  );
+  const form = describeCardAction({ tag: 'button', value: { action: 'submit' }, form_value: { reason: 'ok' }, name: 'submit' });
+  assert.equal(form.summary, 'submitted the form');
+  assert.deepEqual(form.payload, { action: 'submit', form_value: { reason: 'ok' }, name: 'submit' });
+});
+
+test('describeCardAction tolerates raw-card string values', () => {
+  assert.deepEqual(describeCardAction({ value: 'yes' }), { summary: 'clicked "yes"', payload: { action: 'yes' } });
+  assert.equal(describeCardAction().summary, 'clicked "button"');
+});
+
+test('system actions only run on cards the service sent', () => {
+  const spec = { text: 'Allow?', buttons: [{ text: 'Allow', value: { system: 'allow_group', chat_id: 'oc_x', action: 'allow' } }] };
+  // Agent cards cannot carry a system action
+  const agentValue = buildActionCard(spec).body.elements[1].columns[0].elements[0].behaviors[0].value;
+  assert.deepEqual(agentValue, { chat_id: 'oc_x', action: 'allow', label: 'Allow' });
+  const systemCard = buildActionCard(spec, { system: true });
+  const systemValue = systemCard.body.elements[1].columns[0].elements[0].behaviors[0].value;
+  assert.equal(systemValue.system, 'allow_group');
+
+  // A raw card (or stale state) still gets no system action without the service's mark
+  const action = { tag: 'button', value: systemValue };
+  assert.equal(getSystemCardAction(action, { card: systemCard, endpoint: null, system: true }), 'allow_group');
+  assert.equal(getSystemCardAction(action, { card: systemCard, endpoint: 'oc_x|type:group' }), null);
+  assert.equal(getSystemCardAction(action, null), null);
+  assert.equal(getSystemCardAction({ value: { action: 'approve' } }, { system: true }), null);
+});
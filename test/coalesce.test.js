@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCoalescer, getCoalesceWindowMs, burstKey, MAX_BURST_MESSAGES } from '../src/lib/coalesce.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function collector() {
+  const flushed = [];
+  const coalescer = createCoalescer({ onFlush: (parts, state) => { flushed.push({ parts, state }); } });
+  return { coalescer, flushed };
+}
+
+test('getCoalesceWindowMs reads separate DM and group windows', () => {
+  // Off by default
+  assert.equal(getCoalesceWindowMs({}, 'p2p'), 0);
+  assert.equal(getCoalesceWindowMs({ message: { coalesce: { dmSeconds: 2 } } }, 'group'), 0);
+  assert.equal(getCoalesceWindowMs({ message: { coalesce: { dmSeconds: 2 } } }, 'p2p'), 2000);
+  assert.equal(getCoalesceWindowMs({ message: { coalesce: { dmSeconds: 1.5, groupSeconds: 0 } } }, 'p2p'), 1500);
+  assert.equal(getCoalesceWindowMs({ message: { coalesce: { dmSeconds: 1.5, groupSeconds: 0 } } }, 'group'), 0);
+  assert.notEqual(burstKey('oc_1', null, 'ou_a'), burstKey('oc_1', 'omt_1', 'ou_a'));
+});
+
+test('messages within the window flush once, in arrival order, even when filled out of order', async () => {
+  const { coalescer, flushed } = collector();
+  const a = coalescer.join('k', 40);
+  const b = coalescer.join('k', 40);
+  const c = coalescer.join('k', 40);
+  const other = coalescer.join('other', 40);
+  assert.deepEqual([a.first, b.first, c.first, other.first], [true, false, false, true]);
+  assert.equal(a.state, c.state);
+
+  a.state.typingMessageId = 'm1';
+  c.fill({ id: 'm3' });
+  b.drop();
+  other.fill({ id: 'x' });
+  await sleep(60);
+  // Still waiting for the first message's content
+  assert.equal(flushed.length, 1);
+  a.fill({ id: 'm1' });
+  a.drop(); // ignored after fill
+  await sleep(0);
+
+  assert.equal(flushed.length, 2);
+  assert.deepEqual(flushed[1].parts.map(p => p.id), ['m1', 'm3']);
+  assert.equal(flushed[1].state.typingMessageId, 'm1');
+
+  // The window has closed: the next message starts a new burst
+  assert.equal(coalescer.join('k', 40).first, true);
+});
+
+test('a zero window never combines, and bursts are capped', async () => {
+  const { coalescer, flushed } = collector();
+  const a = coalescer.join('k', 0);
+  const b = coalescer.join('k', 0);
+  assert.equal(b.first, true);
+  a.fill({ id: 1 });
+  b.fill({ id: 2 });
+  await sleep(10);
+  assert.deepEqual(flushed.map(f => f.parts.length), [1, 1]);
+
+  flushed.length = 0;
+  const slots = Array.from({ length: MAX_BURST_MESSAGES + 1 }, () => coalescer.join('cap', 1000));
+  slots.forEach((slot, i) => slot.fill({ id: i }));
+  await sleep(0);
+  assert.deepEqual(flushed.map(f => f.parts.length), [MAX_BURST_MESSAGES]);
+  await coalescer.flushAll();
+  assert.deepEqual(flushed.map(f => f.parts.length), [MAX_BURST_MESSAGES, 1]);
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createInternalRouter, startControlServer, stopControlServer, recordOutgoingHandler, isSocketLive } from '../src/lib/control-server.js';
+import { postInternal } from '../src/lib/internal-client.js';
+
+test('control server accepts authenticated internal requests over its socket', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feishu-control-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const socketPath = path.join(dir, 'control.sock');
+  // A stale socket file from a crashed process is replaced
+  fs.writeFileSync(socketPath, '');
+
+  const received = [];
+  const router = createInternalRouter('secret-1');
+  router.post('/internal/record-outgoing', (req, res) => {
+    received.push(req.body);
+    res.json({ ok: true });
+  });
+  assert.equal(await isSocketLive(socketPath), false);
+  const server = await startControlServer(router, { socketPath });
+  assert.equal(await isSocketLive(socketPath), true);
+  await assert.rejects(startControlServer(router, { socketPath }), /in use/);
+
+  const previous = process.env.FEISHU_INTERNAL_SECRET;
+  try {
+    process.env.FEISHU_INTERNAL_SECRET = 'secret-1';
+    assert.equal(await postInternal('/internal/record-outgoing', { chatId: 'oc_1' }, { socketPath }), true);
+    process.env.FEISHU_INTERNAL_SECRET = 'wrong';
+    assert.equal(await postInternal('/internal/record-outgoing', { chatId: 'oc_2' }, { socketPath }), false);
+  } finally {
+    if (previous === undefined) delete process.env.FEISHU_INTERNAL_SECRET;
+    else process.env.FEISHU_INTERNAL_SECRET = previous;
+    await stopControlServer(server, { socketPath });
+  }
+  assert.deepEqual(received, [{ chatId: 'oc_1' }]);
+  assert.equal(fs.existsSync(socketPath), false);
+});
+
+test('record-outgoing keeps every sent message of a batch, even next to empty ones', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feishu-control-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const socketPath = path.join(dir, 'control.sock');
+
+  const recorded = [];
+  const router = createInternalRouter('secret-2');
+  router.post('/internal/record-outgoing', recordOutgoingHandler((target, messages) => {
+    recorded.push({ target, messages });
+  }));
+  const server = await startControlServer(router, { socketPath });
+
+  const previous = process.env.FEISHU_INTERNAL_SECRET;
+  try {
+    process.env.FEISHU_INTERNAL_SECRET = 'secret-2';
+    // Chunked text, an empty stream card and a media send, as send.js reports them
+    assert.equal(await postInternal('/internal/record-outgoing', {
+      chatId: 'oc_1',
+      threadId: 'omt_1',
+      messages: [
+        { messageId: 'om_1', msgType: 'text', text: 'part 1' },
+        { messageId: 'om_2', msgType: 'text', text: 'part 2' },
+        { messageId: 'om_3', msgType: 'interactive', text: '' },
+        { messageId: 'om_4', msgType: 'file', fileName: 'a.pdf', text: '[file: a.pdf]' },
+        { messageId: 'om_5', text: '' },
+      ],
+    }, { socketPath }), true);
+    // Older single-message form
+    assert.equal(await postInternal('/internal/record-outgoing', { chatId: 'oc_2', messageId: 'om_6', text: 'hi' }, { socketPath }), true);
+    // Nothing recordable
+    assert.equal(await postInternal('/internal/record-outgoing', { chatId: 'oc_2', messages: [{ messageId: 'om_7' }] }, { socketPath }), false);
+  } finally {
+    if (previous === undefined) delete process.env.FEISHU_INTERNAL_SECRET;
+    else process.env.FEISHU_INTERNAL_SECRET = previous;
+    await stopControlServer(server, { socketPath });
+  }
+
+  assert.deepEqual(recorded[0].target, { chatId: 'oc_1', threadId: 'omt_1' });
+  assert.deepEqual(recorded[0].messages.map(m => [m.messageId, m.text]), [
+    ['om_1', 'part 1'], ['om_2', 'part 2'], ['om_3', '[interactive]'], ['om_4', '[file: a.pdf]'],
+  ]);
+  assert.equal(recorded[0].messages[3].fileName, 'a.pdf');
+  assert.deepEqual(recorded[1], { target: { chatId: 'oc_2', threadId: null }, messages: [{ messageId: 'om_6', text: 'hi' }] });
+  assert.equal(recorded.length, 2);
+});
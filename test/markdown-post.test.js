@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseInline, markdownToPostParagraphs, splitPostParagraphs, postParagraphsToText, chooseMessageFormat,
+} from '../src/lib/markdown-post.js';
+
+test('parseInline maps emphasis, links, code and mentions to post elements', () => {
+  assert.deepEqual(parseInline('a **b** *c* ~~d~~ ***e***'), [
+    { tag: 'text', text: 'a ' },
+    { tag: 'text', text: 'b', style: ['bold'] },
+    { tag: 'text', text: ' ' },
+    { tag: 'text', text: 'c', style: ['italic'] },
+    { tag: 'text', text: ' ' },
+    { tag: 'text', text: 'd', style: ['lineThrough'] },
+    { tag: 'text', text: ' ' },
+    { tag: 'text', text: 'e', style: ['bold', 'italic'] },
+  ]);
+  assert.deepEqual(parseInline('see [docs](https://x.dev) and `a_b*c*` in snake_case_name'), [
+    { tag: 'text', text: 'see ' },
+    { tag: 'a', text: 'docs', href: 'https://x.dev' },
+    { tag: 'text', text: ' and `a_b*c*` in snake_case_name' },
+  ]);
+  assert.deepEqual(parseInline('hi @[Bob](ou_bob) and <at user_id="ou_amy">Amy</at>'), [
+    { tag: 'text', text: 'hi ' },
+    { tag: 'at', user_id: 'ou_bob' },
+    { tag: 'text', text: ' and ' },
+    { tag: 'at', user_id: 'ou_amy' },
+  ]);
+});
+
+test('markdownToPostParagraphs handles headings, lists, quotes, rules and code blocks', () => {
+  const paragraphs = markdownToPostParagraphs([
+    '## Plan',
+    '',
+    '- first',
+    '  - nested **bold**',
+    '2. second',
+    '> quoted',
+    '---',
+    '```python',
+    'print("**not bold**")',
+    '',
+    '```',
+  ].join('\n'));
+  assert.deepEqual(paragraphs, [
+    [{ tag: 'text', text: 'Plan', style: ['bold'] }],
+    [{ tag: 'text', text: '' }],
+    [{ tag: 'text', text: '• ' }, { tag: 'text', text: 'first' }],
+    [{ tag: 'text', text: '  • ' }, { tag: 'text', text: 'nested ' }, { tag: 'text', text: 'bold', style: ['bold'] }],
+    [{ tag: 'text', text: '2. ' }, { tag: 'text', text: 'second' }],
+    [{ tag: 'text', text: '│ ' }, { tag: 'text', text: 'quoted' }],
+    [{ tag: 'hr' }],
+    [{ tag: 'code_block', language: 'python', text: 'print("**not bold**")\n' }],
+  ]);
+  assert.equal(postParagraphsToText(paragraphs.slice(5)), '│ quoted\n---\n```python\nprint("**not bold**")\n\n```');
+});
+
+test('splitPostParagraphs breaks only between paragraphs and splits oversized code blocks by line', () => {
+  const line = (n) => [{ tag: 'text', text: 'x'.repeat(n) }];
+  const chunks = splitPostParagraphs([line(60), [{ tag: 'text', text: '' }], line(60), line(10)], 100);
+  // The spacer left at the end of the first chunk is dropped
+  assert.deepEqual(chunks.map(c => c.length), [1, 2]);
+
+  const code = [{ tag: 'code_block', text: Array.from({ length: 6 }, (_, i) => `line${i}`.padEnd(30, '.')).join('\n') }];
+  const pieces = splitPostParagraphs([code], 100);
+  assert.equal(pieces.length, 2);
+  assert.ok(pieces.every(([[block]]) => block.tag === 'code_block' && block.text.length <= 100));
+});
+
+test('chooseMessageFormat follows message.format and falls back to useMarkdownCard', () => {
+  const md = '# Title\n- item';
+  assert.equal(chooseMessageFormat(md, { format: 'post' }), 'post');
+  assert.equal(chooseMessageFormat('plain words', { format: 'post' }), 'text');
+  assert.equal(chooseMessageFormat('see [docs](https://x.dev)', { format: 'post' }), 'post');
+  assert.equal(chooseMessageFormat(md, { format: 'auto' }), 'post');
+  assert.equal(chooseMessageFormat('| a | b |\n|---|---|\n| 1 | 2 |', { format: 'auto' }), 'card');
+  assert.equal(chooseMessageFormat(md, { format: 'text' }), 'text');
+  assert.equal(chooseMessageFormat(md, { useMarkdownCard: true }), 'card');
+  assert.equal(chooseMessageFormat(md, {}), 'text');
+});
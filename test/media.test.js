@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  selectMediaToPrune, summarizeMediaUsage, getMediaLimits,
+  detectExtension, storeMedia, lookupCachedMedia, pruneMedia, scanMedia,
+} from '../src/lib/media.js';
+
+const MIN = 60 * 1000;
+const DAY = 24 * 60 * MIN;
+const NOW = 100 * DAY;
+
+const file = (name, size, ageMs, chat = 'oc_a') => ({ path: `/m/${name}`, chat, size, mtimeMs: NOW - ageMs });
+
+test('selectMediaToPrune removes files past the maximum age', () => {
+  const files = [file('old', 10, 8 * DAY), file('new', 10, 1 * DAY)];
+  const selected = selectMediaToPrune(files, { maxAgeMs: 7 * DAY }, NOW);
+  assert.deepEqual(selected.map(f => f.path), ['/m/old']);
+});
+
+test('selectMediaToPrune trims oldest files until under the size limit', () => {
+  const files = [file('c', 40, 1 * DAY), file('a', 40, 3 * DAY), file('b', 40, 2 * DAY)];
+  const selected = selectMediaToPrune(files, { maxTotalBytes: 50 }, NOW);
+  assert.deepEqual(selected.map(f => f.path), ['/m/a', '/m/b']);
+});
+
+test('selectMediaToPrune never removes files inside the grace window', () => {
+  const files = [file('old', 100, 2 * DAY), file('fresh', 100, 5 * MIN)];
+  const selected = selectMediaToPrune(files, { maxTotalBytes: 10, graceMs: 30 * MIN }, NOW);
+  assert.deepEqual(selected.map(f => f.path), ['/m/old']);
+  // Age rule respects the grace window too (e.g. mtime refreshed on hand-off)
+  assert.deepEqual(selectMediaToPrune([file('fresh', 1, 5 * MIN)], { maxAgeMs: 1 * MIN, graceMs: 30 * MIN }, NOW), []);
+});
+
+test('summarizeMediaUsage aggregates per chat, largest first', () => {
+  const usage = summarizeMediaUsage([
+    file('a', 10, 2 * DAY), file('b', 30, 1 * DAY), file('c', 100, 3 * DAY, null),
+  ]);
+  assert.deepEqual(usage.map(u => [u.chat, u.files, u.bytes]), [[null, 1, 100], ['oc_a', 2, 40]]);
+  assert.equal(usage[1].oldestMs, NOW - 2 * DAY);
+});
+
+test('getMediaLimits applies defaults and allows disabling a limit with 0', () => {
+  const defaults = getMediaLimits({});
+  assert.equal(defaults.maxAgeMs, 7 * DAY);
+  assert.equal(defaults.graceMs, 30 * MIN);
+  assert.equal(defaults.maxBytes.video, 200 * 1024 * 1024);
+  const custom = getMediaLimits({ media: { maxAgeDays: 0, maxTotalMB: 1, maxSizeMB: { file: 5 } } });
+  assert.equal(custom.maxAgeMs, 0);
+  assert.equal(custom.maxTotalBytes, 1024 * 1024);
+  assert.equal(custom.maxBytes.file, 5 * 1024 * 1024);
+  assert.equal(custom.maxBytes.image, 20 * 1024 * 1024);
+});
+
+test('detectExtension prefers the file name, then magic bytes, then content type', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const webp = Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'binary');
+  assert.equal(detectExtension({ data: png, fileName: 'report.PDF' }), '.pdf');
+  assert.equal(detectExtension({ data: jpeg }), '.jpg');
+  assert.equal(detectExtension({ data: webp }), '.webp');
+  assert.equal(detectExtension({ data: Buffer.from('hello world!'), contentType: 'text/plain; charset=utf-8' }), '.txt');
+  assert.equal(detectExtension({ data: Buffer.from('hello world!') }), '.bin');
+});
+
+test('storeMedia is content-addressed and indexed by message and key', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feishu-media-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4, 5, 6, 7, 8]);
+
+  const first = storeMedia({ messageId: 'om_1', key: 'img_a', data: jpeg, dir });
+  assert.match(path.basename(first), /^[0-9a-f]{16}\.jpg$/);
+  assert.equal(lookupCachedMedia('om_1', 'img_a', dir), first);
+  assert.equal(lookupCachedMedia('om_1', 'img_b', dir), null);
+
+  // Same bytes under another message map to the same file
+  const second = storeMedia({ messageId: 'om_2', key: 'img_a', data: jpeg, dir });
+  assert.equal(second, first);
+
+  const named = storeMedia({ messageId: 'om_3', key: 'file_a', data: Buffer.from('x'), name: '../a b.pdf', dir });
+  assert.equal(path.dirname(named), dir);
+  assert.match(path.basename(named), /-a_b\.pdf$/);
+
+  // Index entries disappear once their file is pruned
+  fs.unlinkSync(first);
+  assert.equal(lookupCachedMedia('om_1', 'img_a', dir), null);
+  pruneMedia({}, { dir });
+  assert.deepEqual(fs.readdirSync(path.join(dir, '.index')).length, 1);
+
+  // Another process's half-written index entry is left alone until it is stale
+  const inFlight = path.join(dir, '.index', 'om_9_img.json.4242.tmp');
+  const leftover = path.join(dir, '.index', 'om_8_img.json.4243.tmp');
+  fs.writeFileSync(inFlight, '{"messageId":');
+  fs.writeFileSync(leftover, '{"messageId":');
+  const old = (Date.now() - 2 * 60 * 60 * 1000) / 1000;
+  fs.utimesSync(leftover, old, old);
+  pruneMedia({}, { dir });
+  assert.equal(fs.existsSync(inFlight), true);
+  assert.equal(fs.existsSync(leftover), false);
+});
+
+test('storeMedia moves a completed streamed download into place', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feishu-media-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const part = path.join(dir, '.123-abc.part');
+  const gif = Buffer.from('GIF89a-content');
+  fs.writeFileSync(part, gif);
+
+  const stored = storeMedia({
+    messageId: 'om_1',
+    key: 'img_a',
+    file: { path: part, sha256: 'ab'.repeat(32), size: gif.length, head: gif.subarray(0, 16) },
+    dir,
+  });
+  assert.equal(path.basename(stored), `${'ab'.repeat(8)}.gif`);
+  assert.equal(fs.existsSync(part), false);
+  assert.deepEqual(fs.readFileSync(stored), gif);
+  // Hidden partial files are not counted as media
+  fs.writeFileSync(path.join(dir, '.456-def.part'), 'partial');
+  assert.deepEqual(scanMedia(dir).map(f => f.path), [stored]);
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { resolveMentions, renderMentions, hasBareMention, saveGroupMembers, loadGroupMembers } from '../src/lib/mention.js';
+import { parseInline } from '../src/lib/markdown-post.js';
+
+const members = [
+  { id: 'ou_alice', name: 'Alice' },
+  { id: 'ou_al', name: 'Al' },
+  { id: 'ou_zs', name: '张三' },
+  { id: 'ou_bob1', name: 'Bob' },
+  { id: 'ou_bob2', name: 'Bob' },
+];
+
+test('resolveMentions matches bare names against the roster and keeps explicit ids', () => {
+  const result = resolveMentions('@alice please review, cc @Al, @张三请看 and @[Dan](ou_dan)', { members });
+  assert.equal(result.text, '@[Alice](ou_alice) please review, cc @[Al](ou_al), @[张三](ou_zs)请看 and @[Dan](ou_dan)');
+  assert.deepEqual(result.mentions.map(m => m.id).sort(), ['ou_al', 'ou_alice', 'ou_dan', 'ou_zs']);
+
+  // Ambiguous or unknown names, emails and code stay as typed
+  const other = resolveMentions('@Bob @nobody mail a@b.com `@Alice`', { members });
+  assert.equal(other.text, '@Bob @nobody mail a@b.com `@Alice`');
+  assert.deepEqual(other.unresolved, ['Bob', 'nobody']);
+});
+
+test('resolveMentions only mentions @all where the group allows it', () => {
+  const blocked = resolveMentions('@all deploy at 5, see <at user_id="all">所有人</at>');
+  assert.equal(blocked.text, '@all deploy at 5, see @所有人');
+  assert.equal(blocked.blockedAll, true);
+
+  const allowed = resolveMentions('@所有人 deploy at 5', { allowAll: true });
+  assert.equal(allowed.text, '@[所有人](all) deploy at 5');
+  assert.equal(allowed.blockedAll, false);
+});
+
+test('renderMentions produces the text, card and post forms', () => {
+  const text = 'hi @[Alice](ou_alice)';
+  assert.equal(renderMentions(text, 'text'), 'hi <at user_id="ou_alice">Alice</at>');
+  assert.equal(renderMentions(text, 'card'), 'hi <at id=ou_alice></at>');
+  assert.equal(renderMentions(text, 'plain'), 'hi @Alice');
+  assert.deepEqual(parseInline(text), [{ tag: 'text', text: 'hi ' }, { tag: 'at', user_id: 'ou_alice' }]);
+
+  assert.equal(hasBareMention('a@b.com @[A](ou_a)'), false);
+  assert.equal(hasBareMention('thanks @Alice'), true);
+});
+
+test('group rosters round-trip and expire', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feishu-members-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const roster = saveGroupMembers('oc_1', [{ memberId: 'ou_a', name: 'A' }, { memberId: 'ou_b' }], dir);
+  assert.deepEqual(roster, [{ id: 'ou_a', name: 'A' }]);
+  assert.deepEqual(loadGroupMembers('oc_1', { dir }), roster);
+  assert.equal(loadGroupMembers('oc_2', { dir }), null);
+
+  const file = path.join(dir, 'oc_1.json');
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  fs.writeFileSync(file, JSON.stringify({ ...data, updatedAt: Date.now() - 60000 }));
+  assert.equal(loadGroupMembers('oc_1', { dir, maxAgeMs: 1000 }), null);
+});
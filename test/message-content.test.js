@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractMessageContent, buildMediaRefs, describeAttachments } from '../src/lib/message-content.js';
+
+const names = { ou_alice: 'Alice', ou_bob: 'Bob', ou_carol: 'Carol' };
+const deps = {
+  resolveUserName: async (id) => names[id] || id,
+  resolveChatName: async (chatId) => (chatId === 'oc_team' ? 'Team' : null),
+  resolveMentions: (text, mentions) => mentions.reduce((t, m) => t.replace(m.key, `@${m.name}`), text),
+};
+
+const extract = (msgType, content, extra = {}, d = deps) =>
+  extractMessageContent({ msgType, content: JSON.stringify(content), messageId: 'om_1', ...extra }, d);
+
+test('extractMessageContent keeps text, post and image behavior', async () => {
+  assert.equal((await extract('text', { text: 'hi' })).text, 'hi');
+  const post = await extract('post', {
+    title: 'T',
+    content: [[{ tag: 'text', text: 'see ' }, { tag: 'img', image_key: 'img_1' }]],
+  });
+  assert.equal(post.text, '[T] see [image, image_key: img_1, msg_id: om_1]');
+  assert.deepEqual(post.imageKeys, ['img_1']);
+  assert.deepEqual((await extract('image', { image_key: 'img_2' })).imageKeys, ['img_2']);
+  assert.equal((await extract('unknown_type', {})).text, '[unknown_type message]');
+});
+
+test('extractMessageContent treats audio and video as downloadable files', async () => {
+  const audio = await extract('audio', { file_key: 'file_v2_abc123', duration: 65000 });
+  assert.equal(audio.text, '[duration: 1m5s]');
+  assert.equal(audio.fileKey, 'file_v2_abc123');
+  assert.equal(audio.fileKind, 'audio');
+  assert.match(audio.fileName, /^audio-.+\.opus$/);
+
+  const video = await extract('media', { file_key: 'file_v', image_key: 'img_cover', file_name: 'clip.mp4', duration: 3000 });
+  assert.equal(video.fileKind, 'video');
+  assert.equal(video.fileName, 'clip.mp4');
+  assert.deepEqual(buildMediaRefs(video, 'om_1'), ['[video: clip.mp4, file_key: file_v, msg_id: om_1]']);
+});
+
+test('extractMessageContent renders stickers, shares and locations', async () => {
+  assert.equal((await extract('sticker', { file_key: 'x' })).text, '[sticker]');
+  assert.equal((await extract('share_chat', { chat_id: 'oc_team' })).text, '[shared group: Team (oc_team)]');
+  assert.equal((await extract('share_chat', { chat_id: 'oc_other' })).text, '[shared group: oc_other (oc_other)]');
+  assert.equal((await extract('share_user', { user_id: 'ou_bob' })).text, '[shared contact: Bob (ou_bob)]');
+  assert.equal(
+    (await extract('location', { name: 'Office', latitude: '31.2', longitude: '121.4' })).text,
+    '[location: Office (31.2, 121.4)]'
+  );
+});
+
+test('extractMessageContent expands merge_forward into a nested transcript', async () => {
+  const items = [
+    { id: 'om_a', upperMessageId: 'om_1', type: 'text', sender: 'ou_alice', createTime: '2', rawContent: JSON.stringify({ text: 'ping @_user_1' }), mentions: [{ key: '@_user_1', name: 'Bob' }] },
+    { id: 'om_b', upperMessageId: 'om_1', type: 'merge_forward', sender: 'ou_bob', createTime: '3', rawContent: '{}' },
+    { id: 'om_c', upperMessageId: 'om_b', type: 'file', sender: 'ou_carol', createTime: '1', rawContent: JSON.stringify({ file_key: 'fk', file_name: 'a.pdf' }) },
+    { id: 'om_0', upperMessageId: 'om_1', type: 'text', sender: 'ou_bob', createTime: '1', rawContent: JSON.stringify({ text: 'first' }) },
+  ];
+  const requested = [];
+  const result = await extract('merge_forward', {}, {}, {
+    ...deps,
+    fetchForwardedMessages: async (id) => { requested.push(id); return items; },
+  });
+  assert.deepEqual(requested, ['om_1']);
+  assert.equal(result.text, [
+    '[merged forward: 3 messages]',
+    '> [Bob]: first',
+    '> [Alice]: ping @Bob',
+    '> [Bob]: [merged forward: 1 message]',
+    '> > [Carol]: [file: a.pdf, file_key: fk, msg_id: om_c]',
+  ].join('\n'));
+  assert.equal(result.fileKey, null);
+});
+
+test('extractMessageContent degrades merge_forward when children cannot be fetched', async () => {
+  assert.equal((await extract('merge_forward', {})).text, '[merged forward]');
+  const failing = { ...deps, fetchForwardedMessages: async () => { throw new Error('no permission'); } };
+  assert.equal((await extract('merge_forward', {}, {}, failing)).text, '[merged forward]');
+});
+
+test('extractMessageContent lists post images and videos as attachments in order', async () => {
+  const post = await extract('post', {
+    content: [
+      [{ tag: 'img', image_key: 'img_a' }, { tag: 'media', file_key: 'file_v2_clip', image_key: 'img_cover' }],
+      [{ tag: 'img', image_key: 'img_b' }],
+    ],
+  });
+  assert.deepEqual(post.attachments.map(a => [a.kind, a.key]), [
+    ['image', 'img_a'], ['image', 'img_b'], ['video', 'file_v2_clip'],
+  ]);
+  const file = await extract('file', { file_key: 'fk', file_name: 'a.pdf' });
+  assert.deepEqual(file.attachments, [{ kind: 'file', key: 'fk', name: 'a.pdf' }]);
+});
+
+test('describeAttachments summarizes downloaded and failed attachments', () => {
+  assert.equal(describeAttachments([{ kind: 'image', key: 'a', path: '/m/a.png' }]), '[image]');
+  assert.equal(describeAttachments([
+    { kind: 'image', key: 'a', path: '/m/a.png' },
+    { kind: 'image', key: 'b', path: '/m/b.png' },
+    { kind: 'image', key: 'c', path: null },
+    { kind: 'video', key: 'v', name: 'clip.mp4', path: '/m/clip.mp4' },
+    { kind: 'file', key: 'f', name: 'a.pdf', path: null },
+  ]), '[2 images] [image download failed] [video: clip.mp4] [file download failed: a.pdf]');
+  assert.equal(describeAttachments([
+    { kind: 'file', key: 'f', name: 'big.zip', path: null, tooLarge: true, size: 150 * 1024 * 1024 },
+    { kind: 'image', key: 'img_x', path: null, tooLarge: true, size: 512 * 1024 },
+  ]), '[file too large: big.zip, 150.0 MB] [image too large: img_x, 512 KB]');
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describeEditError, cardEditBlocker, editMessage, editBotMessage, buildMarkdownCard } from '../src/lib/message.js';
+import { buildActionCard } from '../src/lib/card.js';
+import { markdownToPost } from '../src/lib/markdown-post.js';
+import { setClient, resetClient } from '../src/lib/client.js';
+
+// Client stub: im.message.get answers from `messages`, edits are recorded
+function stubClient(t, messages) {
+  const calls = [];
+  setClient({
+    im: {
+      message: {
+        get: async ({ path }) => {
+          const msg = messages[path.message_id];
+          return msg ? { code: 0, data: { items: [{ message_id: path.message_id, ...msg }] } } : { code: 230001, msg: 'message not found' };
+        },
+        update: async (req) => { calls.push(['update', req]); return { code: 0 }; },
+        patch: async (req) => { calls.push(['patch', req]); return { code: 0 }; },
+      },
+    },
+  });
+  t.after(() => resetClient());
+  return calls;
+}
+
+test('describeEditError explains edit-window and edit-count rejections', () => {
+  const window = describeEditError(230075, 'message exceeds the editable time');
+  assert.equal(window.editLimit, 'window');
+  assert.match(window.message, /^Cannot edit: the message is past Feishu's edit window/);
+
+  const count = describeEditError(230072, 'message edited too many times');
+  assert.equal(count.editLimit, 'count');
+  assert.match(count.message, /edit limit/);
+
+  // Unknown code: fall back to Feishu's message text
+  assert.deepEqual(describeEditError(230001, 'invalid param'), { message: 'Failed to edit: invalid param', editLimit: null });
+});
+
+test('cardEditBlocker refuses action cards and allows markdown cards', () => {
+  const card = buildActionCard({ text: 'Deploy?', buttons: [{ text: 'Approve' }] });
+  assert.match(cardEditBlocker('om_card', { card, endpoint: 'oc_1' }), /^Cannot edit om_card: .*actions/);
+  // Markdown cards have no saved state
+  assert.equal(cardEditBlocker('om_md', null), null);
+});
+
+test('editBotMessage keeps the message type of the original', async (t) => {
+  const calls = stubClient(t, {
+    om_text: { msg_type: 'text', chat_id: 'oc_1' },
+    om_post: { msg_type: 'post', chat_id: 'oc_1' },
+    om_md_card: { msg_type: 'interactive', chat_id: 'oc_2' },
+    om_image: { msg_type: 'image', chat_id: 'oc_1' },
+  });
+
+  const text = await editBotMessage('om_text', 'fixed typo');
+  assert.equal(text.success, true);
+  assert.equal(text.chatId, 'oc_1');
+  assert.deepEqual(calls.shift(), ['update', {
+    path: { message_id: 'om_text' },
+    data: { msg_type: 'text', content: JSON.stringify({ text: 'fixed typo' }) },
+  }]);
+
+  await editBotMessage('om_post', '**bold** update');
+  assert.deepEqual(calls.shift(), ['update', {
+    path: { message_id: 'om_post' },
+    data: { msg_type: 'post', content: JSON.stringify(markdownToPost('**bold** update')) },
+  }]);
+
+  const card = await editBotMessage('om_md_card', 'new card text');
+  assert.equal(card.msgType, 'interactive');
+  assert.equal(card.chatId, 'oc_2');
+  assert.deepEqual(calls.shift(), ['patch', {
+    path: { message_id: 'om_md_card' },
+    data: { content: JSON.stringify(buildMarkdownCard('new card text')) },
+  }]);
+
+  const image = await editBotMessage('om_image', 'caption');
+  assert.equal(image.success, false);
+  assert.match(image.message, /only text, post and markdown card messages can be edited \(got image\)/);
+
+  const missing = await editBotMessage('om_gone', 'text');
+  assert.match(missing.message, /^Cannot edit om_gone: Failed to get message/);
+  assert.deepEqual(calls, []);
+});
+
+test('a timed-out edit is not retried, since it may already have used up an edit', async (t) => {
+  let attempts = 0;
+  t.after(() => resetClient());
+  setClient({
+    im: {
+      message: {
+        update: async () => {
+          attempts++;
+          throw Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+        },
+      },
+    },
+  });
+  const result = await editMessage('om_text', 'again', 'text', { chatId: 'oc_1' });
+  assert.equal(result.success, false);
+  assert.equal(attempts, 1);
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { recallMessage } from '../src/lib/message.js';
+import { setClient, resetClient } from '../src/lib/client.js';
+
+// Client stub: om_thread_msg lives in a thread of oc_1, delete answers `deleteReply`
+function stubClient(t, deleteReply) {
+  const deleted = [];
+  setClient({
+    im: {
+      message: {
+        get: async ({ path }) => (path.message_id === 'om_thread_msg'
+          ? { code: 0, data: { items: [{ message_id: path.message_id, msg_type: 'text', chat_id: 'oc_1', thread_id: 'omt_1' }] } }
+          : { code: 230001, msg: 'message not found' }),
+        delete: async ({ path }) => {
+          deleted.push(path.message_id);
+          if (deleteReply instanceof Error) throw deleteReply;
+          return deleteReply;
+        },
+      },
+    },
+  });
+  t.after(() => resetClient());
+  return deleted;
+}
+
+test('a recalled message reports the chat and thread it was in', async (t) => {
+  const deleted = stubClient(t, { code: 0 });
+  // The CLI forwards chatId/threadId to /internal/record-recall
+  assert.deepEqual(await recallMessage('om_thread_msg'), {
+    success: true,
+    messageId: 'om_thread_msg',
+    chatId: 'oc_1',
+    threadId: 'omt_1',
+    message: 'Message recalled successfully',
+  });
+  assert.deepEqual(deleted, ['om_thread_msg']);
+
+  // The lookup failing does not stop the recall
+  const unknown = await recallMessage('om_other');
+  assert.equal(unknown.success, true);
+  assert.equal(unknown.chatId, null);
+  assert.equal(unknown.threadId, null);
+});
+
+test('recall of another sender\'s or an expired message explains the limit', async (t) => {
+  stubClient(t, { code: 230026, msg: 'No permission to recall this message' });
+  const denied = await recallMessage('om_thread_msg');
+  assert.equal(denied.success, false);
+  assert.equal(denied.code, 230026);
+  assert.match(denied.message, /^Cannot recall om_thread_msg: a bot can only recall its own messages, and only within Feishu's recall time limit \(No permission/);
+});
+
+test('an expired recall thrown by the SDK is mapped the same way', async (t) => {
+  const err = Object.assign(new Error('Request failed with status code 400'), {
+    response: { data: { code: 230099, msg: 'recall time has expired' } },
+  });
+  stubClient(t, err);
+  const expired = await recallMessage('om_thread_msg');
+  assert.match(expired.message, /only within Feishu's recall time limit \(recall time has expired\)/);
+});
+
+test('a missing app scope is reported as a permission error', async (t) => {
+  const msg = 'Access denied. One of the following scopes is required: [im:message]. https://open.feishu.cn/app/cli_123/auth?q=im:message';
+  stubClient(t, { code: 99991672, msg });
+  const result = await recallMessage('om_thread_msg');
+  assert.equal(result.success, false);
+  assert.equal(result.message, `Permission error: ${msg}`);
+  assert.deepEqual(result.permissionError, { code: 99991672, message: msg, grantUrl: 'https://open.feishu.cn/app/cli_123/auth?q=im:message' });
+});
@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createMessageStore, importLegacyLogs, toIsoTimestamp } from '../src/lib/message-store.js';
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'feishu-store-'));
+}
+
+test('messages, edits and recalls are read back per chat and thread after reopening', () => {
+  const dir = tmpDir();
+  try {
+    const store = createMessageStore({ dir });
+    const base = { chat_id: 'oc_1', chat_type: 'group', user_id: 'u_a', user_name: 'Amy' };
+    store.appendMessage({ ...base, message_id: 'om_1', text: 'hello', timestamp: '2026-10-18T23:59:00.000Z' });
+    store.appendMessage({ ...base, message_id: 'om_2', text: 'typo', timestamp: '1792368000000' });
+    store.appendMessage({ ...base, message_id: 'om_t1', thread_id: 'omt_1', root_id: 'om_1', text: 'in thread', timestamp: '2026-10-19T00:01:00.000Z' });
+    store.appendMessage({
+      chat_id: 'oc_1', message_id: 'om_3', direction: 'out', user_name: 'bot', text: '[image: chart.png]',
+      msg_type: 'image', attachments: [{ kind: 'image', key: 'img_1', name: null }], timestamp: '2026-10-19T00:02:00.000Z',
+    });
+    // Same message_id again (e.g. API backfill) is skipped
+    assert.equal(store.appendMessage({ ...base, message_id: 'om_1', text: 'dup' }), false);
+
+    // A new process only knows the message id
+    const reopened = createMessageStore({ dir });
+    assert.equal(reopened.recordEdit('om_2', 'fixed', { timestamp: '2026-10-19T00:05:00.000Z' }), true);
+    assert.equal(reopened.recordRecall('om_t1', { recallType: 'message_owner' }), true);
+    assert.equal(reopened.recordEdit('om_unknown', 'x'), false);
+
+    const main = reopened.recent('oc_1', null, 10);
+    assert.deepEqual(main.map(m => [m.message_id, m.text, !!m.edited]), [
+      ['om_1', 'hello', false], ['om_2', 'fixed', true], ['om_3', '[image: chart.png]', false],
+    ]);
+    assert.equal(main[1].timestamp, toIsoTimestamp('1792368000000'));
+    assert.deepEqual(main[2].attachments, [{ kind: 'image', key: 'img_1' }]);
+    assert.deepEqual(reopened.recent('oc_1', null, 2).map(m => m.message_id), ['om_2', 'om_3']);
+    // Newest before a point in time (e.g. process start)
+    assert.deepEqual(reopened.recent('oc_1', null, 1, { until: '2026-10-19T00:01:59.000Z' }).map(m => m.message_id), ['om_2']);
+    assert.equal(reopened.recent('oc_1', 'omt_1', 10)[0].recalled, true);
+    assert.equal(reopened.getMessage('om_2').text, 'fixed');
+    assert.equal(reopened.getSenderName('u_a'), 'Amy');
+
+    assert.deepEqual(reopened.listContainers('oc_1').map(c => [c.threadId, c.rootId || null]).sort(), [[null, null], ['omt_1', 'om_1']]);
+    assert.deepEqual(reopened.query({ senderId: 'u_a' }).map(m => m.message_id), ['om_1', 'om_2']);
+    assert.deepEqual(reopened.query({ since: '2026-10-19T00:00:00.000Z', includeRecalled: true }).map(m => m.message_id), ['om_2', 'om_t1', 'om_3']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an until bound still applies edits and recalls written on later days', () => {
+  const dir = tmpDir();
+  try {
+    const store = createMessageStore({ dir });
+    const base = { chat_id: 'oc_1', chat_type: 'group', user_id: 'u_a' };
+    store.appendMessage({ ...base, message_id: 'om_1', text: 'draft', timestamp: '2026-10-10T09:00:00.000Z' });
+    store.appendMessage({ ...base, message_id: 'om_2', text: 'oops', timestamp: '2026-10-10T10:00:00.000Z' });
+    store.appendMessage({ ...base, message_id: 'om_3', text: 'later', timestamp: '2026-10-12T09:00:00.000Z' });
+    store.recordEdit('om_1', 'final', { timestamp: '2026-10-12T08:00:00.000Z' });
+    store.recordRecall('om_2', { timestamp: '2026-10-11T08:00:00.000Z' });
+
+    const early = store.query({ until: '2026-10-10T23:59:59.999Z', includeRecalled: true });
+    assert.deepEqual(early.map(m => [m.message_id, m.text, !!m.edited, !!m.recalled]), [
+      ['om_1', 'final', true, false], ['om_2', 'oops', false, true],
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('prune removes day files past the retention and empty containers', () => {
+  const dir = tmpDir();
+  try {
+    const store = createMessageStore({ dir });
+    const now = Date.parse('2026-10-19T12:00:00.000Z');
+    store.appendMessage({ chat_id: 'oc_old', message_id: 'om_old', text: 'old', timestamp: '2026-01-01T00:00:00.000Z' });
+    store.appendMessage({ chat_id: 'oc_new', message_id: 'om_new', text: 'new', timestamp: '2026-10-18T00:00:00.000Z' });
+    store.appendMessage({ chat_id: 'oc_new', message_id: 'om_older', text: 'older', timestamp: '2026-02-01T00:00:00.000Z' });
+    assert.equal(store.usage().files, 3);
+
+    assert.deepEqual(store.prune({ retentionMs: 0, now }), { files: 0, bytes: 0 });
+    const removed = store.prune({ retentionMs: 30 * 86400000, now });
+    // Two day files and one index file
+    assert.equal(removed.files, 4);
+    const usage = store.usage();
+    assert.deepEqual([usage.chats, usage.files, usage.oldest], [1, 1, '2026-10-18']);
+    assert.deepEqual(store.recent('oc_new', null, 10).map(m => m.message_id), ['om_new']);
+    assert.equal(store.recordRecall('om_old'), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('importLegacyLogs imports group and thread logs once and skips DM logs', () => {
+  const dir = tmpDir();
+  const logsDir = path.join(dir, 'logs');
+  fs.mkdirSync(logsDir);
+  try {
+    const line = (o) => JSON.stringify(o) + '\n';
+    fs.writeFileSync(path.join(logsDir, 'oc_g.log'),
+      line({ timestamp: '2026-05-01T10:00:00.000Z', message_id: 'om_a', user_id: 'u_1', user_name: 'Bo', text: 'hi' }) +
+      line({ timestamp: '2026-05-01T10:01:00.000Z', message_id: 'om_a', event: 'recalled', recall_type: 'message_owner' }));
+    fs.writeFileSync(path.join(logsDir, 'oc_g_t_omt_9.log'),
+      line({ timestamp: '2026-05-02T10:00:00.000Z', message_id: 'om_b', user_id: 'u_1', user_name: 'Bo', text: 'thread' }));
+    fs.writeFileSync(path.join(logsDir, 'u_1.log'), line({ message_id: 'om_c', text: 'dm' }));
+
+    const store = createMessageStore({ dir: path.join(dir, 'store') });
+    const result = importLegacyLogs(store, logsDir);
+    assert.deepEqual(result, { messages: 2, files: 2, skipped: ['u_1.log'] });
+    assert.equal(importLegacyLogs(store, logsDir).messages, 0);
+
+    assert.equal(store.recent('oc_g', null, 5)[0].recalled, true);
+    assert.equal(store.recent('oc_g', 'omt_9', 5)[0].text, 'thread');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRateLimiter, createOutbound, classifyFailure, RATE_LIMIT_CODE } from '../src/lib/outbound.js';
+
+function fakeClock() {
+  const clock = { t: 0, sleeps: [] };
+  clock.now = () => clock.t;
+  clock.sleep = async (ms) => { clock.sleeps.push(ms); clock.t += ms; };
+  return clock;
+}
+
+function makeOutbound(clock, extra = {}) {
+  return createOutbound({
+    now: clock.now,
+    sleep: clock.sleep,
+    random: () => 0,
+    currentAppId: () => 'cli_test',
+    ...extra,
+  });
+}
+
+test('rate limiter allows a burst, then paces at the configured rate per key', async () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter({ rate: 5, burst: 2 }, clock);
+  for (let i = 0; i < 4; i++) await limiter.acquire('oc_a');
+  assert.deepEqual(clock.sleeps, [200, 200]);
+  await limiter.acquire('oc_b');
+  assert.equal(clock.sleeps.length, 2);
+  clock.t += 10000;
+  assert.equal(limiter.reserve('oc_a'), 0);
+});
+
+test('outbound retries rate-limited results with exponential backoff', async () => {
+  const clock = fakeClock();
+  const outbound = makeOutbound(clock);
+  const codes = [RATE_LIMIT_CODE, RATE_LIMIT_CODE, 0];
+  let calls = 0;
+  const result = await outbound.run(async () => ({ code: codes[calls++] }), { label: 'test' });
+  assert.equal(result.code, 0);
+  assert.equal(calls, 3);
+  assert.deepEqual(clock.sleeps, [250, 500]);
+});
+
+test('outbound honours x-ogw-ratelimit-reset on a thrown 429', async () => {
+  const clock = fakeClock();
+  const outbound = makeOutbound(clock);
+  let calls = 0;
+  const result = await outbound.run(async () => {
+    if (calls++ === 0) {
+      const err = new Error('Request failed with status code 429');
+      err.response = { status: 429, headers: { 'x-ogw-ratelimit-reset': '3' }, data: { code: RATE_LIMIT_CODE } };
+      throw err;
+    }
+    return { code: 0 };
+  });
+  assert.equal(result.code, 0);
+  assert.deepEqual(clock.sleeps, [3000]);
+});
+
+test('outbound retries 5xx only for idempotent requests and gives up after maxRetries', async () => {
+  const serverError = () => Object.assign(new Error('Request failed with status code 502'), { response: { status: 502, data: {} } });
+  assert.equal(classifyFailure(undefined, serverError(), false), null);
+  assert.equal(classifyFailure({ code: 230001 }, undefined, true), null);
+  assert.equal(classifyFailure(undefined, Object.assign(new Error('reset'), { code: 'ECONNRESET' }), true).reason, 'ECONNRESET');
+
+  const clock = fakeClock();
+  const outbound = makeOutbound(clock, { maxRetries: 2 });
+  let calls = 0;
+  await assert.rejects(outbound.run(async () => { calls++; throw serverError(); }), /502/);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(outbound.run(async () => { calls++; throw serverError(); }, { idempotent: true }), /502/);
+  assert.equal(calls, 3);
+});
+
+test('outbound paces sends to the same chat', async () => {
+  const clock = fakeClock();
+  const outbound = makeOutbound(clock, { limits: { app: { rate: 50 }, chat: { rate: 5, burst: 1 } } });
+  for (let i = 0; i < 3; i++) await outbound.run(async () => ({ code: 0 }), { chatKey: 'oc_a' });
+  await outbound.run(async () => ({ code: 0 }), { chatKey: 'oc_b' });
+  assert.deepEqual(clock.sleeps, [200, 200]);
+});
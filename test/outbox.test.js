@@ -0,0 +1,149 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createOutbox, listOutbox, replayOutbox, dropOutbox, retryDelay, getOutboxExpiryMs } from '../src/lib/outbox.js';
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feishu-outbox-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('outbox delivers in order per chat and retries failures with backoff', async (t) => {
+  const dir = tmpDir(t);
+  let now = 1000;
+  let downOnce = true;
+  const delivered = [];
+  const outbox = createOutbox({
+    dir,
+    now: () => now,
+    deliver: async (entry) => {
+      if (entry.content === 'a1' && downOnce) {
+        downOnce = false;
+        return { ok: false, message: 'c4 down' };
+      }
+      delivered.push(entry.content);
+      return { ok: true };
+    },
+  });
+  t.after(() => outbox.stop());
+
+  outbox.enqueue({ channel: 'feishu', endpoint: 'oc_a|msg:om_1', content: 'a1' });
+  outbox.enqueue({ channel: 'feishu', endpoint: 'oc_a|msg:om_2', content: 'a2' });
+  outbox.enqueue({ channel: 'feishu', endpoint: 'oc_b|msg:om_3', content: 'b1' });
+  await outbox.flush();
+  // a2 waits behind the failed a1; the other chat is unaffected
+  assert.deepEqual(delivered, ['b1']);
+  const [queued] = listOutbox(dir).pending;
+  assert.equal(queued.attempts, 1);
+  assert.equal(queued.lastError, 'c4 down');
+
+  now += retryDelay(1) - 1;
+  await outbox.flush();
+  assert.deepEqual(delivered, ['b1']);
+  now += 1;
+  await outbox.flush();
+  assert.deepEqual(delivered, ['b1', 'a1', 'a2']);
+  assert.deepEqual(listOutbox(dir).pending, []);
+});
+
+test('a chat whose delivery hangs does not hold up another chat', async (t) => {
+  const dir = tmpDir(t);
+  let releaseA;
+  const aHangs = new Promise((resolve) => { releaseA = resolve; });
+  let bDelivered;
+  const bDone = new Promise((resolve) => { bDelivered = resolve; });
+  const delivered = [];
+  const outbox = createOutbox({
+    dir,
+    deliver: async (entry) => {
+      if (entry.content === 'a1') await aHangs;
+      delivered.push(entry.content);
+      if (entry.content === 'b1') bDelivered();
+      return { ok: true };
+    },
+  });
+  t.after(() => outbox.stop());
+
+  outbox.enqueue({ channel: 'feishu', endpoint: 'oc_a|msg:om_1', content: 'a1' });
+  outbox.enqueue({ channel: 'feishu', endpoint: 'oc_a|msg:om_2', content: 'a2' });
+  outbox.enqueue({ channel: 'feishu', endpoint: 'oc_b|msg:om_3', content: 'b1' });
+  await bDone;
+  assert.deepEqual(delivered, ['b1']);
+
+  releaseA();
+  await outbox.flush();
+  assert.deepEqual(delivered, ['b1', 'a1', 'a2']);
+});
+
+test('outbox survives a restart', async (t) => {
+  const dir = tmpDir(t);
+  let now = 1000;
+  let down = true;
+  const delivered = [];
+  const options = {
+    dir,
+    now: () => now,
+    deliver: async (entry) => {
+      if (down) return { ok: false, message: 'c4 down' };
+      delivered.push(entry.content);
+      return { ok: true };
+    },
+  };
+  const outbox = createOutbox(options);
+  outbox.enqueue({ channel: 'feishu', endpoint: 'oc_a', content: 'kept' });
+  await outbox.flush();
+  outbox.stop();
+
+  down = false;
+  now += retryDelay(1);
+  const restarted = createOutbox(options);
+  t.after(() => restarted.stop());
+  await restarted.flush();
+  assert.deepEqual(delivered, ['kept']);
+});
+
+test('expired and rejected messages move to dead letters and can be replayed or dropped', async (t) => {
+  const dir = tmpDir(t);
+  let now = 1000;
+  let c4Up = false;
+  const delivered = [];
+  const failures = [];
+  const outbox = createOutbox({
+    dir,
+    now: () => now,
+    getExpiryMs: () => 60000,
+    deliver: async (entry) => {
+      if (entry.content === 'bad') return { ok: false, rejected: true, message: 'Too long' };
+      if (!c4Up) return { ok: false, message: 'c4 down' };
+      delivered.push(entry.content);
+      return { ok: true };
+    },
+    onFailure: (entry, reason, message) => failures.push([entry.content, reason, message]),
+  });
+  t.after(() => outbox.stop());
+
+  outbox.enqueue({ channel: 'feishu', endpoint: 'oc_a', content: 'late', notify: true });
+  outbox.enqueue({ channel: 'feishu', endpoint: 'oc_b', content: 'bad' });
+  await outbox.flush();
+  now += 60001;
+  await outbox.flush();
+  assert.deepEqual(failures, [['bad', 'rejected', 'Too long'], ['late', 'expired', 'c4 down']]);
+  const { pending, dead } = listOutbox(dir);
+  assert.equal(pending.length, 0);
+  assert.deepEqual(dead.map(e => e.failure).sort(), ['expired', 'rejected']);
+
+  c4Up = true;
+  const late = dead.find(e => e.content === 'late');
+  assert.equal(replayOutbox(late.id, dir, now), 1);
+  await outbox.flush();
+  assert.deepEqual(delivered, ['late']);
+  assert.equal(dropOutbox('all', dir), 1);
+  assert.deepEqual(listOutbox(dir), { pending: [], dead: [] });
+
+  assert.equal(getOutboxExpiryMs({}), 60 * 60 * 1000);
+  assert.equal(getOutboxExpiryMs({ outbox: { expiryMinutes: 0 } }), 0);
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import https from 'node:https';
+
+import { ProxyTunnelAgent } from '../src/lib/proxy.js';
+
+function startProxy(onConnect) {
+  const server = http.createServer();
+  server.on('connect', onConnect);
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function get(url, agent) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { agent }, resolve);
+    req.on('error', reject);
+  });
+}
+
+test('ProxyTunnelAgent sends CONNECT with proxy credentials and surfaces refusals', async () => {
+  const seen = [];
+  const server = await startProxy((req, socket) => {
+    seen.push({ url: req.url, auth: req.headers['proxy-authorization'] });
+    socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+  });
+  const { port } = server.address();
+  const agent = new ProxyTunnelAgent({ host: '127.0.0.1', port, auth: { username: 'bot', password: 's3cret' } });
+  try {
+    await assert.rejects(get('https://open.feishu.cn/open-apis/x', agent), /CONNECT to open\.feishu\.cn:443 failed: 407/);
+    assert.deepEqual(seen, [{
+      url: 'open.feishu.cn:443',
+      auth: `Basic ${Buffer.from('bot:s3cret').toString('base64')}`,
+    }]);
+  } finally {
+    agent.destroy();
+    server.close();
+  }
+});
+
+test('ProxyTunnelAgent omits Proxy-Authorization without credentials', async () => {
+  let auth = 'unset';
+  const server = await startProxy((req, socket) => {
+    auth = req.headers['proxy-authorization'];
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+  });
+  const agent = new ProxyTunnelAgent({ host: '127.0.0.1', port: server.address().port });
+  try {
+    await assert.rejects(get('https://open.feishu.cn:8443/', agent), /open\.feishu\.cn:8443 failed: 403/);
+    assert.equal(auth, undefined);
+  } finally {
+    agent.destroy();
+    server.close();
+  }
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createMessageStore } from '../src/lib/message-store.js';
+import { tokenize, scoreMessage, parseSearchDate, searchMessages, chatLink } from '../src/lib/search.js';
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'feishu-search-'));
+}
+
+test('Chinese text is split into bigrams, latin text into words', () => {
+  assert.deepEqual(tokenize('部署 Deploy-v2 失败了'), {
+    words: ['deploy', 'v2'],
+    bigrams: ['部署', '失败', '败了'],
+  });
+  assert.ok(scoreMessage('数据库迁移', '今天做数据库的迁移') > 0);
+  assert.ok(scoreMessage('迁移', '数据库迁移完成') > 0);
+  assert.equal(scoreMessage('迁移', '数据库已经备份'), 0);
+  assert.ok(scoreMessage('migrat', 'The migration finished') > 0);
+  // Every term must match
+  assert.equal(scoreMessage('migration rollback', 'The migration finished'), 0);
+  assert.ok(scoreMessage('deploy failed', 'the deploy failed again') > scoreMessage('deploy failed', 'failed: deploy'));
+});
+
+test('dates accept plain days, timestamps and relative days', () => {
+  const now = new Date('2026-10-19T12:00:00').getTime();
+  assert.equal(parseSearchDate('2026-10-12'), new Date('2026-10-12T00:00:00').toISOString());
+  assert.equal(parseSearchDate('2026-10-12', { endOfDay: true }), new Date('2026-10-12T23:59:59.999').toISOString());
+  assert.equal(parseSearchDate('7d', { now }), new Date('2026-10-12T00:00:00').toISOString());
+  assert.equal(parseSearchDate('2026-10-12T08:00:00.000Z'), '2026-10-12T08:00:00.000Z');
+  assert.equal(parseSearchDate('last week'), null);
+  assert.equal(parseSearchDate(null), null);
+});
+
+test('search filters by sender, chat, thread and date and ranks best matches first', () => {
+  const dir = tmpDir();
+  try {
+    const store = createMessageStore({ dir });
+    const add = (id, fields) => store.appendMessage({ chat_type: 'group', message_id: id, ...fields });
+    add('om_1', { chat_id: 'oc_a', user_id: 'u_bob', user_name: 'Bob', text: 'database migration is scheduled', timestamp: '2026-10-10T09:00:00.000Z' });
+    add('om_2', { chat_id: 'oc_a', user_id: 'u_bob', user_name: 'Bob', text: 'the migration of the database failed', timestamp: '2026-10-15T09:00:00.000Z' });
+    add('om_3', { chat_id: 'oc_a', user_id: 'u_amy', user_name: 'Amy', text: 'database migration done', timestamp: '2026-10-16T09:00:00.000Z' });
+    add('om_4', { chat_id: 'oc_b', user_id: 'u_bob', user_name: 'Bob', text: '数据库迁移完成了', timestamp: '2026-10-16T10:00:00.000Z' });
+    add('om_5', { chat_id: 'oc_a', thread_id: 'omt_1', user_id: 'u_bob', user_name: 'Bob', text: 'migration retro', timestamp: '2026-10-17T09:00:00.000Z' });
+    store.recordRecall('om_3');
+
+    const all = searchMessages(store, { query: 'database migration', sender: 'bob' });
+    // Phrase match first, then newest first
+    assert.deepEqual(all.results.map(r => r.message_id), ['om_1', 'om_2']);
+    assert.equal(all.total, 2);
+    assert.deepEqual(all.results[0].sender, { id: 'u_bob', name: 'Bob' });
+    assert.equal(all.results[0].chat_link, chatLink('oc_a'));
+    assert.equal(all.results[0].link, undefined);
+    assert.equal(all.results[0].jump, undefined);
+
+    assert.deepEqual(searchMessages(store, { query: 'migration', since: '2026-10-14T00:00:00.000Z' })
+      .results.map(r => r.message_id), ['om_5', 'om_2']);
+    const [inThread] = searchMessages(store, { query: 'migration', threadId: 'omt_1' }).results;
+    assert.equal(inThread.message_id, 'om_5');
+    assert.equal(inThread.thread_id, 'omt_1');
+    assert.deepEqual(searchMessages(store, { query: '迁移', sender: 'u_bob', chatName: () => 'Ops' })
+      .results.map(r => [r.message_id, r.chat_name]), [['om_4', 'Ops']]);
+    assert.equal(searchMessages(store, { query: 'migration', limit: 1 }).results.length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  isQuestion, evaluateSmartFilter, countSmartFilterResult, loadSmartFilterStats, saveSmartFilterStats,
+} from '../src/lib/smart-filter.js';
+
+const msg = (text, extra = {}) => ({ text, senderIds: ['u_1', 'ou_1'], ...extra });
+
+test('isQuestion recognises English and Chinese questions', () => {
+  for (const text of ['is the build green', 'any update?', '部署好了吗', '这个怎么配置', '谁在值班', '可以帮忙看下？']) {
+    assert.equal(isQuestion(text), true, text);
+  }
+  for (const text of ['thanks', 'deploy done', '好的', '收到了', '']) {
+    assert.equal(isQuestion(text), false, text);
+  }
+});
+
+test('evaluateSmartFilter applies ignore, length, trigger and cooldown rules in order', () => {
+  const rules = {
+    keywords: ['deploy', '/bug\\s*#?\\d+/i', '/[unclosed/'],
+    questions: true,
+    ignoreSenders: ['OU_BOT'],
+    ignoreBots: true,
+    minLength: 5,
+    cooldownSeconds: 60,
+  };
+  const now = 1_000_000;
+  const check = (m, lastForwardedAt = 0) => evaluateSmartFilter(m, rules, { now, lastForwardedAt });
+
+  assert.deepEqual(evaluateSmartFilter(msg('hi'), undefined), { pass: true, reason: 'no-filter' });
+  assert.deepEqual(evaluateSmartFilter(msg('hi'), { ...rules, enabled: false }), { pass: true, reason: 'no-filter' });
+
+  assert.equal(check(msg('deploy failed', { senderIds: ['ou_bot'] })).reason, 'ignored');
+  assert.equal(check(msg('deploy failed', { fromBot: true })).reason, 'ignored');
+  assert.equal(check(msg('ok?')).reason, 'too-short');
+  // A keyword hit is exempt from minLength
+  assert.deepEqual(check(msg('BUG 42')), { pass: true, reason: 'keyword' });
+  assert.deepEqual(check(msg('怎么回滚版本')), { pass: true, reason: 'question' });
+  assert.equal(check(msg('nice weather today')).reason, 'no-trigger');
+  assert.equal(check(msg('deploy failed again'), now - 30_000).reason, 'cooldown');
+  assert.equal(check(msg('deploy failed again'), now - 61_000).pass, true);
+
+  // Without triggers only the other rules apply
+  assert.deepEqual(evaluateSmartFilter(msg('nice weather today'), { minLength: 5 }), { pass: true, reason: 'passed' });
+});
+
+test('smart filter counters accumulate per group and round-trip through the stats file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feishu-smart-filter-'));
+  const file = path.join(dir, 'stats.json');
+  try {
+    const stats = loadSmartFilterStats(file);
+    assert.deepEqual(stats, {});
+    countSmartFilterResult(stats, 'oc_1', { pass: true, reason: 'keyword' });
+    countSmartFilterResult(stats, 'oc_1', { pass: false, reason: 'cooldown' });
+    countSmartFilterResult(stats, 'oc_1', { pass: false, reason: 'cooldown' });
+    assert.equal(saveSmartFilterStats(stats, file), true);
+
+    const loaded = loadSmartFilterStats(file);
+    assert.equal(loaded.oc_1.forwarded, 1);
+    assert.deepEqual(loaded.oc_1.filtered, { cooldown: 2 });
+    assert.ok(loaded.oc_1.since && loaded.oc_1.lastFilteredAt);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { parseStreamDirective, streamReply, STREAM_UPDATE_INTERVAL_MS, STREAM_CARD_MAX_LENGTH } from '../src/lib/stream.js';
+
+const cardText = (card) => card.body.elements.map(e => e.content).join(' | ');
+
+// Records card creates/updates and chunked sends; the clock only moves on sleep
+function fakeStream(dir, { createFails = false, updateFails = false } = {}) {
+  const h = { t: 1000, sleeps: [], created: [], updates: [], chunks: [] };
+  const deps = {
+    createCard: async (card) => {
+      if (createFails) return { success: false, message: 'card failed' };
+      h.created.push(cardText(card));
+      return { success: true, messageId: `om_card${h.created.length}` };
+    },
+    updateCard: async (id, card) => {
+      if (updateFails) return { success: false, message: 'patch failed' };
+      h.updates.push([id, cardText(card)]);
+      return { success: true };
+    },
+    sendChunks: async (text) => { h.chunks.push(text); },
+  };
+  h.call = (mode, text) => streamReply({
+    key: 'om_trigger', mode, text, deps, dir,
+    now: () => h.t,
+    sleep: async (ms) => { h.sleeps.push(ms); h.t += ms; },
+  });
+  return h;
+}
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feishu-stream-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('parseStreamDirective reads mode and text', () => {
+  assert.deepEqual(parseStreamDirective('[STREAM]step 1'), { mode: 'append', text: 'step 1' });
+  assert.deepEqual(parseStreamDirective('[STREAM:replace]\nall new'), { mode: 'replace', text: 'all new' });
+  assert.deepEqual(parseStreamDirective('[STREAM:done]'), { mode: 'done', text: '' });
+  assert.equal(parseStreamDirective('hello [STREAM]'), null);
+});
+
+test('streamReply creates one card, appends, replaces and completes it with throttled updates', async (t) => {
+  const h = fakeStream(tmpDir(t));
+  await h.call('append', 'Step 1');
+  assert.deepEqual(h.created, ['Step 1 | ⏳ _Working…_']);
+
+  await h.call('append', 'Step 2');
+  assert.deepEqual(h.updates.at(-1), ['om_card1', 'Step 1\n\nStep 2 | ⏳ _Working…_']);
+  assert.deepEqual(h.sleeps, [STREAM_UPDATE_INTERVAL_MS]);
+
+  h.t += 5000;
+  await h.call('replace', 'Summary');
+  const done = await h.call('done', 'Bye');
+  assert.deepEqual(h.updates.at(-1), ['om_card1', 'Summary\n\nBye']);
+  assert.equal(done.done, true);
+  assert.equal(done.text, 'Summary\n\nBye');
+  assert.equal(h.created.length, 1);
+  assert.deepEqual(h.chunks, []);
+
+  // A new stream for the same trigger after completion starts a new card
+  await h.call('append', 'Again');
+  assert.equal(h.created.length, 2);
+});
+
+test('streamReply continues long output in a new card', async (t) => {
+  const h = fakeStream(tmpDir(t));
+  const para = 'x'.repeat(STREAM_CARD_MAX_LENGTH - 2);
+  await h.call('append', para);
+  await h.call('append', 'tail');
+  assert.deepEqual(h.updates.at(-1), ['om_card1', `${para} | ↓ continued below`]);
+  assert.deepEqual(h.created.at(-1), 'tail | ⏳ _Working…_');
+  const done = await h.call('done', '');
+  assert.equal(done.cardId, 'om_card2');
+  assert.equal(done.text, `${para}\n\ntail`);
+  assert.deepEqual(done.cards, [{ messageId: 'om_card1', text: para }, { messageId: 'om_card2', text: 'tail' }]);
+});
+
+test('streamReply degrades to chunked messages when card updates fail', async (t) => {
+  const h = fakeStream(tmpDir(t), { updateFails: true });
+  await h.call('append', 'Step 1');
+  const second = await h.call('append', 'Step 2');
+  assert.equal(second.degraded, true);
+  assert.deepEqual(h.chunks, ['Step 2']);
+  await h.call('done', 'Final');
+  assert.deepEqual(h.chunks, ['Step 2', 'Final']);
+
+  const failing = fakeStream(tmpDir(t), { createFails: true });
+  await failing.call('append', 'Only text');
+  assert.deepEqual(failing.chunks, ['Only text']);
+});
+
+test('streamReply waits on a held lock and breaks a stale one', async (t) => {
+  const dir = tmpDir(t);
+  const h = fakeStream(dir);
+  const lockPath = path.join(dir, 'om_trigger.json.lock');
+  fs.writeFileSync(lockPath, '');
+  fs.utimesSync(lockPath, h.t / 1000, h.t / 1000);
+
+  // Held by another call: give up after the wait limit
+  await assert.rejects(h.call('append', 'Step 1'), /busy/);
+  assert.deepEqual(h.created, []);
+
+  // Past the stale age the lock is taken over
+  h.t += 30 * 1000;
+  await h.call('append', 'Step 1');
+  assert.deepEqual(h.created, ['Step 1 | ⏳ _Working…_']);
+  assert.equal(fs.existsSync(lockPath), false);
+});
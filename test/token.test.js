@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTokenManager } from '../src/lib/token.js';
+
+function setup({ expireSeconds = 7200 } = {}) {
+  let clock = 0;
+  let fetches = 0;
+  const manager = createTokenManager({
+    fetchToken: async () => {
+      fetches++;
+      await new Promise(resolve => setImmediate(resolve));
+      return { token: `t${fetches}`, expireSeconds, appId: 'cli_a' };
+    },
+    now: () => clock,
+    currentAppId: () => 'cli_a',
+  });
+  return { manager, advance: (ms) => { clock += ms; }, fetches: () => fetches };
+}
+
+test('token is cached until shortly before expire', async () => {
+  const { manager, advance, fetches } = setup();
+  assert.equal(await manager.getToken(), 't1');
+  advance(60 * 60 * 1000);
+  assert.equal(await manager.getToken(), 't1');
+  // Within the 5 minute refresh margin
+  advance(56 * 60 * 1000);
+  assert.equal(await manager.getToken(), 't2');
+  assert.equal(fetches(), 2);
+});
+
+test('concurrent callers share one refresh', async () => {
+  const { manager, fetches } = setup();
+  const tokens = await Promise.all([manager.getToken(), manager.getToken(), manager.getToken()]);
+  assert.deepEqual(tokens, ['t1', 't1', 't1']);
+  assert.equal(fetches(), 1);
+});
+
+test('withToken retries once with a fresh token on token errors', async () => {
+  const { manager, fetches } = setup();
+  const seen = [];
+  const result = await manager.withToken(async (token) => {
+    seen.push(token);
+    return token === 't1' ? { code: 99991663 } : { code: 0, ok: true };
+  });
+  assert.deepEqual(result, { code: 0, ok: true });
+  assert.deepEqual(seen, ['t1', 't2']);
+  assert.equal(fetches(), 2);
+
+  // Thrown axios-style errors are recognized too
+  const thrown = [];
+  await manager.withToken(async (token) => {
+    thrown.push(token);
+    if (thrown.length === 1) {
+      const err = new Error('Request failed with status code 400');
+      err.response = { data: { code: 99991664 } };
+      throw err;
+    }
+    return { code: 0 };
+  });
+  assert.deepEqual(thrown, ['t2', 't3']);
+});
+
+test('withToken passes other errors through without refreshing', async () => {
+  const { manager, fetches } = setup();
+  assert.deepEqual(await manager.withToken(async () => ({ code: 230002 })), { code: 230002 });
+  await assert.rejects(manager.withToken(async () => { throw new Error('network'); }), /network/);
+  assert.equal(fetches(), 1);
+});
+
+test('invalidate ignores a stale token', async () => {
+  const { manager, fetches } = setup();
+  await manager.getToken();
+  manager.invalidate('t0');
+  assert.equal(await manager.getToken(), 't1');
+  manager.invalidate('t1');
+  assert.equal(await manager.getToken(), 't2');
+  assert.equal(fetches(), 2);
+});